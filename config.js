@@ -1,21 +1,89 @@
+const PORT = process.env.PORT ?? 8888;
+
+// MOCK_ESIGNET=true serves a mock eSignet from this server and points the client at it
+const MOCK_ESIGNET = process.env.MOCK_ESIGNET === "true";
+const MOCK_ESIGNET_ISSUER = process.env.MOCK_ESIGNET_ISSUER ?? `http://localhost:${PORT}/mock-esignet`;
+
 module.exports = {
   ESIGNET_SERVICE_URL: process.env.ESIGNET_SERVICE_URL ?? "https://esignet.sdec.mosip.net/v1/esignet",
-  PORT: process.env.PORT ?? 8888,
-  CLIENT_PRIVATE_KEY:{
-    "p": "v5CY8fgKq0A6iLF-aKHwXCWRcWRfcd0gtEhTUw1NyBhBv1Lq24ovDftuNEJoUC1cJRw2XBL29hWfqtKC5hBr28rXf79NAQS547bIgYnTGupHfmhooBznB3Zcx-A0vfUFZEbi8EklTY-K8PVEDo_QlAiQ-qQ8-A71SnF-2MuvISk",
-    "kty": "RSA",
-    "q": "tyHGzjDilvAOJoBFt7gWv6ReCiCxRniPa_ajtcPcdDX6PuEtObDPw1Zf74jvDyjtSEkejfsn3HLdOEX-KlySRb5GCT-BSw9km10wccYMyccjNZYhIZhDcijnN_nQ0HooOYkSPgqVYdvGZlaZ6N5ymtF-MBv8vxQJnZjkWORbzw0",
-    "d": "JXZZKLj3SHRkFG-R8J-iYa7QAnOcXSW-XCV8PsxXsL9dOfl91ZR2dV9rwTGlnRHFK_axkmVg7VPkL8wmpy88mvy-rhE5m4zg0PBFHM1LXC1PazRX0Rwhvff_Tk_Wfh_qIRABtnVJKXmvyaQ9CxvaAZwPTNSXLvhZdAU84E4iFl4FZdaiIy9ZWeBhwir6xmjl6O5acE2_nOPdOyH8VuTMHT2WSTWPQuTi2q0rFNOmpqJ_DAceed40qhjn5LMUrn6PdQlfItkaokV_W4IjwPmFzBC4P-9QLjGn8rf3JDj0Qv74Wp40NRNE1xJIxOu_GY-JuWlcUgZR10rtITC9uWaogQ",
-    "e": "AQAB",
-    "use": "sig",
-    "qi": "F8aVCHgoykjssy3aZzSDy8wM1CIlGIt__IJhXFjnetVDTSn3dJhiohpyNkQrR4eb13d-SscxLENfjT-9i8QmPBXVwsJL4npBsawnjZjmvNpE8HDUqBwiRN5mpXUsG2pMOSO0U0by7nnVQ9Z_koTUDLf9CGE5m0uW79wELC73GSE",
-    "dp": "kGJ4JMiDohfDBoxhbpPACnP2b7Tri3LT144733lDivFdfMsOYXKBjNRZd-IlpWjK7t2Yy0UwBsK9mY8ZQjZWVU9JpeuWKpJZWZzG-3vaNYsnX8tqMGQYbbN0suH2XsZyzeXv3pQDHbZ3Tq5OIXucBjd-rqtjmMQNdZKdvOGomiE",
-    "alg": "RS256",
-    "dq": "IXwEjMj1dWG5RKLpnHkFd88G_tURdPAwUS5MqryAP6Nq-TpU-ZpxsqbFbdfc1inGkRQFiTJmDHHYLyTlHzvD5wquZZx9-Ip8-8djRzpONkq6Dl8_-ZOMqX__HwYHf0cGudZtRnjK7ZSwxx-IjsK1s8cgSo2jfhCc3XsKLZK7krU",
-    "n": "iQmjvNC7fZ-WC5j7fMsPR4TL8wUvKgocCIOT7DuI2Js0qNHCJPSRxeZLzBDJZeZP3wTv9HCHnJ46dzs_jCwtpFd4z1v1b_I7EVVrd8aA9s654J4_-ldCncY73_sJ-R5abyQa11kZpSnMfkHTEPzt9a8x6Nm0uENV2l92cs-82W1evx7DrB7DUhZweVXi_IQ6DN5TqcMLXMSPkh1-HOmUEY80bU38xjqDWmD_aiiclViKWkZC1Pl6kzLI4lz2KBv-flMmSm0YvnHaQW681H5s6uToA-eM-X49GYUu81fPa2Ua8tv1Y8hQzY5EQI6_x6Jk4J57GlcmCqiM4QiWQUfWFQ"
-},
-  ESIGNET_AUD_URL: process.env.ESIGNET_AUD_URL ?? "https://esignet.sdec.mosip.net/v1/esignet/oauth/v2/token",
+  PORT,
+  MOCK_ESIGNET,
+  MOCK_ESIGNET_ISSUER,
+  MOCK_ESIGNET_IDENTITIES_FILE: process.env.MOCK_ESIGNET_IDENTITIES_FILE ?? "",
+  // Client keys: a JWKS file and/or JSON (plain or base64) with private JWKs, each with its own kid
+  CLIENT_KEYS_FILE: process.env.CLIENT_KEYS_FILE ?? "",
+  CLIENT_KEYS: process.env.CLIENT_KEYS ?? "",
+  CLIENT_SIGNING_KID: process.env.CLIENT_SIGNING_KID ?? "",
+  // Legacy single-key settings, still accepted and merged into the key set
+  CLIENT_PRIVATE_KEY: process.env.CLIENT_PRIVATE_KEY ?? "",
+  // Endpoints and issuer come from the discovery document; ESIGNET_AUD_URL only overrides the client assertion audience
+  ESIGNET_DISCOVERY_URL: process.env.ESIGNET_DISCOVERY_URL
+    ?? (MOCK_ESIGNET ? `${MOCK_ESIGNET_ISSUER}/.well-known/openid-configuration` : ""),
+  DISCOVERY_CACHE_TTL_SECONDS: Number(process.env.DISCOVERY_CACHE_TTL_SECONDS ?? 3600),
+  ESIGNET_AUD_URL: process.env.ESIGNET_AUD_URL ?? "",
+  CLIENT_ID: process.env.CLIENT_ID ?? (MOCK_ESIGNET ? "mock-relying-party" : ""),
+  REDIRECT_URI: process.env.REDIRECT_URI ?? "http://localhost:8888/delegate/callback",
+  SCOPE: process.env.SCOPE ?? "openid profile",
+  ACR_VALUES: process.env.ACR_VALUES ?? "mosip:idp:acr:generated-code mosip:idp:acr:biometrics",
+  CLAIMS: process.env.CLAIMS ?? JSON.stringify({
+    userinfo: {
+      name: { essential: true },
+      email: { essential: true },
+      phone_number: { essential: false },
+      birthdate: { essential: true },
+      gender: { essential: false },
+      address: { essential: false },
+      picture: { essential: false },
+      individual_id: { essential: false }
+    },
+    id_token: {}
+  }),
+  UI_LOCALES: process.env.UI_LOCALES ?? "en",
+  CLAIMS_LOCALES: process.env.CLAIMS_LOCALES ?? "en si ta",
+  CLAIM_MAPPING_FILE: process.env.CLAIM_MAPPING_FILE ?? "",
+  CLAIM_DEFAULT_LANGUAGE: process.env.CLAIM_DEFAULT_LANGUAGE ?? "en",
+  JWKS_CACHE_MAX_AGE_SECONDS: Number(process.env.JWKS_CACHE_MAX_AGE_SECONDS ?? 600),
+  JWT_CLOCK_TOLERANCE_SECONDS: Number(process.env.JWT_CLOCK_TOLERANCE_SECONDS ?? 30),
+  AUTH_REQUEST_TTL_SECONDS: Number(process.env.AUTH_REQUEST_TTL_SECONDS ?? 600),
+  PORTAL_URL: process.env.PORTAL_URL ?? "http://localhost:3009",
+  BOOTSTRAP_ADMIN_SUBS: (process.env.BOOTSTRAP_ADMIN_SUBS ?? "").split(",").map(sub => sub.trim()).filter(Boolean),
+  SESSION_COOKIE_NAME: process.env.SESSION_COOKIE_NAME ?? "dl_session",
+  SESSION_MAX_AGE_SECONDS: Number(process.env.SESSION_MAX_AGE_SECONDS ?? 8 * 60 * 60),
+  TOKEN_REFRESH_LEEWAY_SECONDS: Number(process.env.TOKEN_REFRESH_LEEWAY_SECONDS ?? 60),
+  WRITTEN_TEST_PASS_PERCENT: Number(process.env.WRITTEN_TEST_PASS_PERCENT ?? 60),
+  PRACTICAL_TEST_PASS_PERCENT: Number(process.env.PRACTICAL_TEST_PASS_PERCENT ?? 60),
+  // Kept from the refund when a paid application is cancelled
+  CANCELLATION_FEE: Number(process.env.CANCELLATION_FEE ?? 0),
+  // Licence categories can be renewed from this many days before they expire
+  RENEWAL_WINDOW_DAYS: Number(process.env.RENEWAL_WINDOW_DAYS ?? 90),
+  // Oldest medical certificate accepted for a renewal that needs one
+  RENEWAL_MEDICAL_MAX_AGE_DAYS: Number(process.env.RENEWAL_MEDICAL_MAX_AGE_DAYS ?? 180),
+  // A temporary permit is valid for this many days from the licence version it was printed for
+  TEMPORARY_PERMIT_VALIDITY_DAYS: Number(process.env.TEMPORARY_PERMIT_VALIDITY_DAYS ?? 90),
+  // Verifiable credential issuance (OpenID4VCI). The issuer keys are private JWKs, like the client keys;
+  // "status": "retired" keys are still published so credentials signed with them keep verifying
+  CREDENTIAL_ISSUER_URL: process.env.CREDENTIAL_ISSUER_URL ?? `http://localhost:${PORT}`,
+  ISSUER_KEYS_FILE: process.env.ISSUER_KEYS_FILE ?? "",
+  ISSUER_KEYS: process.env.ISSUER_KEYS ?? "",
+  ISSUER_SIGNING_KID: process.env.ISSUER_SIGNING_KID ?? "",
+  CREDENTIAL_OFFER_TTL_SECONDS: Number(process.env.CREDENTIAL_OFFER_TTL_SECONDS ?? 600),
+  CREDENTIAL_ACCESS_TOKEN_TTL_SECONDS: Number(process.env.CREDENTIAL_ACCESS_TOKEN_TTL_SECONDS ?? 300),
+  CREDENTIAL_NONCE_TTL_SECONDS: Number(process.env.CREDENTIAL_NONCE_TTL_SECONDS ?? 300),
+  DRAFT_TTL_SECONDS: Number(process.env.DRAFT_TTL_SECONDS ?? 30 * 24 * 60 * 60),
+  // Document uploads: "local" keeps files under DOCUMENT_STORAGE_DIR, "s3" uses any S3-compatible object store
+  DOCUMENT_STORAGE: process.env.DOCUMENT_STORAGE ?? "local",
+  DOCUMENT_STORAGE_DIR: process.env.DOCUMENT_STORAGE_DIR ?? "storage/documents",
+  DOCUMENT_MAX_BYTES: Number(process.env.DOCUMENT_MAX_BYTES ?? 5 * 1024 * 1024),
+  DOCUMENT_URL_SECRET: process.env.DOCUMENT_URL_SECRET ?? "",
+  DOCUMENT_URL_TTL_SECONDS: Number(process.env.DOCUMENT_URL_TTL_SECONDS ?? 300),
+  S3_ENDPOINT: process.env.S3_ENDPOINT ?? "",
+  S3_REGION: process.env.S3_REGION ?? "us-east-1",
+  S3_BUCKET: process.env.S3_BUCKET ?? "",
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID ?? "",
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY ?? "",
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE !== "false",
+  POST_LOGOUT_REDIRECT_URI: process.env.POST_LOGOUT_REDIRECT_URI ?? "http://localhost:3009",
   CLIENT_ASSERTION_TYPE: process.env.CLIENT_ASSERTION_TYPE ?? "urn:ietf:params:oauth:client-assertion-type:jwt-bearer",
   USERINFO_RESPONSE_TYPE: process.env.USERINFO_RESPONSE_TYPE ?? "jwk",
-  JWE_USERINFO_PRIVATE_KEY: process.env.JWE_USERINFO_PRIVATE_KEY ?? 'CnsKICAgICJwIjogInY1Q1k4ZmdLcTBBNmlMRi1hS0h3WENXUmNXUmZjZDBndEVoVFV3MU55QmhCdjFMcTI0b3ZEZnR1TkVKb1VDMWNKUncyWEJMMjloV2ZxdEtDNWhCcjI4clhmNzlOQVFTNTQ3YklnWW5UR3VwSGZtaG9vQnpuQjNaY3gtQTB2ZlVGWkViaThFa2xUWS1LOFBWRURvX1FsQWlRLXFROC1BNzFTbkYtMk11dklTayIsCiAgICAia3R5IjogIlJTQSIsCiAgICAicSI6ICJ0eUhHempEaWx2QU9Kb0JGdDdnV3Y2UmVDaUN4Um5pUGFfYWp0Y1BjZERYNlB1RXRPYkRQdzFaZjc0anZEeWp0U0VrZWpmc24zSExkT0VYLUtseVNSYjVHQ1QtQlN3OWttMTB3Y2NZTXljY2pOWlloSVpoRGNpam5OX25RMEhvb09Za1NQZ3FWWWR2R1psYVo2TjV5bXRGLU1Cdjh2eFFKblpqa1dPUmJ6dzAiLAogICAgImQiOiAiSlhaWktMajNTSFJrRkctUjhKLWlZYTdRQW5PY1hTVy1YQ1Y4UHN4WHNMOWRPZmw5MVpSMmRWOXJ3VEdsblJIRktfYXhrbVZnN1ZQa0w4d21weTg4bXZ5LXJoRTVtNHpnMFBCRkhNMUxYQzFQYXpSWDBSd2h2ZmZfVGtfV2ZoX3FJUkFCdG5WSktYbXZ5YVE5Q3h2YUFad1BUTlNYTHZoWmRBVTg0RTRpRmw0RlpkYWlJeTlaV2VCaHdpcjZ4bWpsNk81YWNFMl9uT1BkT3lIOFZ1VE1IVDJXU1RXUFF1VGkycTByRk5PbXBxSl9EQWNlZWQ0MHFoam41TE1Vcm42UGRRbGZJdGthb2tWX1c0SWp3UG1GekJDNFAtOVFMakduOHJmM0pEajBRdjc0V3A0ME5STkUxeEpJeE91X0dZLUp1V2xjVWdaUjEwcnRJVEM5dVdhb2dRIiwKICAgICJlIjogIkFRQUIiLAogICAgInVzZSI6ICJzaWciLAogICAgInFpIjogIkY4YVZDSGdveWtqc3N5M2FaelNEeTh3TTFDSWxHSXRfX0lKaFhGam5ldFZEVFNuM2RKaGlvaHB5TmtRclI0ZWIxM2QtU3NjeExFTmZqVC05aThRbVBCWFZ3c0pMNG5wQnNhd25qWmptdk5wRThIRFVxQndpUk41bXBYVXNHMnBNT1NPMFUwYnk3bm5WUTlaX2tvVFVETGY5Q0dFNW0wdVc3OXdFTEM3M0dTRSIsCiAgICAiZHAiOiAia0dKNEpNaURvaGZEQm94aGJwUEFDblAyYjdUcmkzTFQxNDQ3MzNsRGl2RmRmTXNPWVhLQmpOUlpkLUlscFdqSzd0Mll5MFV3QnNLOW1ZOFpRalpXVlU5SnBldVdLcEpaV1p6Ry0zdmFOWXNuWDh0cU1HUVliYk4wc3VIMlhzWnl6ZVh2M3BRREhiWjNUcTVPSVh1Y0JqZC1ycXRqbU1RTmRaS2R2T0dvbWlFIiwKICAgICJhbGciOiAiUlMyNTYiLAogICAgImRxIjogIklYd0VqTWoxZFdHNVJLTHBuSGtGZDg4R190VVJkUEF3VVM1TXFyeUFQNk5xLVRwVS1acHhzcWJGYmRmYzFpbkdrUlFGaVRKbURISFlMeVRsSHp2RDV3cXVaWng5LUlwOC04ZGpSenBPTmtxNkRsOF8tWk9NcVhfX0h3WUhmMGNHdWRadFJuaks3WlN3eHgtSWpzSzFzOGNnU28yamZoQ2MzWHNLTFpLN2tyVSIsCiAgICAibiI6ICJpUW1qdk5DN2ZaLVdDNWo3Zk1zUFI0VEw4d1V2S2dvY0NJT1Q3RHVJMkpzMHFOSENKUFNSeGVaTHpCREpaZVpQM3dUdjlIQ0huSjQ2ZHpzX2pDd3RwRmQ0ejF2MWJfSTdFVlZyZDhhQTlzNjU0SjRfLWxkQ25jWTczX3NKLVI1YWJ5UWExMWtacFNuTWZrSFRFUHp0OWE4eDZObTB1RU5WMmw5MmNzLTgyVzFldng3RHJCN0RVaFp3ZVZYaV9JUTZETjVUcWNNTFhNU1BraDEtSE9tVUVZODBiVTM4eGpxRFdtRF9haWljbFZpS1drWkMxUGw2a3pMSTRsejJLQnYtZmxNbVNtMFl2bkhhUVc2ODFINXM2dVRvQS1lTS1YNDlHWVV1ODFmUGEyVWE4dHYxWThoUXpZNUVRSTZfeDZKazRKNTdHbGNtQ3FpTTRRaVdRVWZXRlEiCn0='
+  JWE_USERINFO_PRIVATE_KEY: process.env.JWE_USERINFO_PRIVATE_KEY ?? ""
 };
\ No newline at end of file
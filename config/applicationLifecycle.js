@@ -0,0 +1,79 @@
+const { ROLES } = require('./policies');
+
+// Pseudo-role for the applicant who owns the application
+const APPLICANT = 'applicant';
+
+const APPLICATION_STATUSES = ['pending', 'submitted', 'under_review', 'approved', 'rejected', 'cancelled'];
+
+// Allowed status changes: from status -> to status -> who may make the change.
+// Statuses without outgoing transitions are final. Applicants leave pending only by paying; an admin
+// may submit a pending application that has a payment reference.
+const TRANSITIONS = {
+  pending: {
+    submitted: [ROLES.ADMIN],
+    cancelled: [APPLICANT, ROLES.LICENSING_OFFICER, ROLES.ADMIN]
+  },
+  submitted: {
+    under_review: [ROLES.LICENSING_OFFICER, ROLES.ADMIN],
+    cancelled: [APPLICANT, ROLES.ADMIN]
+  },
+  under_review: {
+    submitted: [ROLES.LICENSING_OFFICER, ROLES.ADMIN],
+    approved: [ROLES.LICENSING_OFFICER, ROLES.ADMIN],
+    rejected: [ROLES.LICENSING_OFFICER, ROLES.ADMIN],
+    cancelled: [ROLES.ADMIN]
+  },
+  approved: {},
+  rejected: {},
+  cancelled: {}
+};
+
+// Changes into these statuses must say why; decisions give a reason code instead
+const REASON_REQUIRED = ['cancelled'];
+
+// Decisions need a reason code and can only be made by the officer the application is assigned to
+const DECISION_STATUSES = ['approved', 'rejected'];
+
+// Structured reasons for decisions. Codes marked requiresComment also need a free-text reason.
+const DECISION_REASONS = {
+  approved: [
+    { code: 'REQUIREMENTS_MET', label: 'All requirements met' },
+    { code: 'APPROVED_WITH_CONDITIONS', label: 'Approved with conditions noted on the file', requiresComment: true }
+  ],
+  rejected: [
+    { code: 'MEDICAL_UNFIT', label: 'Medical certificate states the applicant is unfit to drive' },
+    { code: 'MEDICAL_EXPIRED', label: 'Medical certificate has expired' },
+    { code: 'TEST_FAILED', label: 'Written or practical test not passed' },
+    { code: 'UNDERAGE', label: 'Applicant is below the minimum age for a category' },
+    { code: 'DOCUMENTS_INVALID', label: 'Supporting documents are missing or invalid' },
+    { code: 'IDENTITY_MISMATCH', label: 'Applicant details do not match the verified identity' },
+    { code: 'OTHER', label: 'Other', requiresComment: true }
+  ]
+};
+
+// Applications still being worked on. An applicant may not open a second application for a
+// category they already have an open application for, nor any application while one is under review.
+const OPEN_STATUSES = ['pending', 'submitted', 'under_review'];
+
+// Applicants may correct their details only before review starts. Amendable fields map
+// request field names to applications columns; identity (including the name, which comes from
+// the verified identity), medical and test data are not amendable.
+const AMENDABLE_STATUSES = ['pending', 'submitted'];
+const AMENDABLE_FIELDS = {
+  email: 'email',
+  phone: 'phone',
+  gender: 'gender',
+  bloodGroup: 'blood_group'
+};
+
+module.exports = {
+  APPLICANT,
+  APPLICATION_STATUSES,
+  TRANSITIONS,
+  REASON_REQUIRED,
+  DECISION_STATUSES,
+  DECISION_REASONS,
+  OPEN_STATUSES,
+  AMENDABLE_STATUSES,
+  AMENDABLE_FIELDS
+};
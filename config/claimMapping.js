@@ -0,0 +1,20 @@
+// Default mapping from eSignet userinfo claims to columns of the users table.
+// Override it with a JSON file of the same shape through CLAIM_MAPPING_FILE.
+//
+// Each column lists the claims to try in order. Options:
+//   type      string (default), email, date, address (formatted text) or json (stored as is)
+//   language  only read the language-tagged claim, e.g. "name#si"
+//   required  login fails with a mapping error when no claim yields a value
+module.exports = {
+  sub: { claims: ['sub'], required: true },
+  name: { claims: ['name', 'given_name'], required: true },
+  name_si: { claims: ['name'], language: 'si' },
+  name_ta: { claims: ['name'], language: 'ta' },
+  email: { claims: ['email'], type: 'email' },
+  phone: { claims: ['phone_number', 'phone'] },
+  date_of_birth: { claims: ['birthdate'], type: 'date' },
+  gender: { claims: ['gender'] },
+  address: { claims: ['address'], type: 'address' },
+  address_details: { claims: ['address'], type: 'json' },
+  nic: { claims: ['individual_id', 'nic', 'uin'] }
+};
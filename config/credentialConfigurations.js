@@ -0,0 +1,54 @@
+// Credentials the issuer offers, keyed by OpenID4VCI credential configuration ID. Both carry the
+// same licence claims: jwt_vc_json as a W3C Verifiable Credential (VCDM 1.1) signed as a JWT,
+// vc+sd-jwt as an SD-JWT VC in which every licence claim is selectively disclosable.
+const CREDENTIAL_TYPE = 'DrivingLicenceCredential';
+
+const DISPLAY = [{
+  name: 'Driving Licence',
+  locale: 'en',
+  background_color: '#12107c',
+  text_color: '#ffffff'
+}];
+
+// Holder proofs of possession the issuer accepts
+const PROOF_SIGNING_ALGS = ['ES256', 'ES384', 'EdDSA', 'RS256', 'PS256'];
+
+const CREDENTIAL_CONFIGURATIONS = {
+  DrivingLicence_jwt_vc_json: {
+    format: 'jwt_vc_json',
+    scope: CREDENTIAL_TYPE,
+    cryptographic_binding_methods_supported: ['did:jwk'],
+    credential_definition: {
+      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      type: ['VerifiableCredential', CREDENTIAL_TYPE]
+    },
+    display: DISPLAY
+  },
+  DrivingLicence_vc_sd_jwt: {
+    format: 'vc+sd-jwt',
+    scope: `${CREDENTIAL_TYPE}SdJwt`,
+    cryptographic_binding_methods_supported: ['jwk'],
+    vct: CREDENTIAL_TYPE,
+    display: DISPLAY
+  }
+};
+
+// Licence claims, with their display names for wallets
+const CREDENTIAL_CLAIMS = {
+  licenceNumber: 'Licence number',
+  fullName: 'Full name',
+  dateOfBirth: 'Date of birth',
+  address: 'Address',
+  bloodGroup: 'Blood group',
+  issueDate: 'Issue date',
+  expiryDate: 'Expiry date',
+  categories: 'Vehicle categories',
+  portrait: 'Photo'
+};
+
+module.exports = {
+  CREDENTIAL_TYPE,
+  PROOF_SIGNING_ALGS,
+  CREDENTIAL_CONFIGURATIONS,
+  CREDENTIAL_CLAIMS
+};
@@ -0,0 +1,36 @@
+const MB = 1024 * 1024;
+
+// Documents an applicant can upload: accepted content types (checked against the file
+// contents, not the client's header), size limit and, for images, the accepted dimensions.
+// Photos follow the 35 x 45 mm passport photo format (portrait, width/height about 0.78) and must
+// show exactly one face detected with at least minConfidence, filling minHeight of the photo height.
+const DOCUMENT_TYPES = {
+  photo: {
+    label: 'Applicant photo',
+    mimeTypes: ['image/jpeg', 'image/png'],
+    maxBytes: 2 * MB,
+    image: { minWidth: 350, minHeight: 450, maxWidth: 4000, maxHeight: 5000, minAspectRatio: 0.7, maxAspectRatio: 0.85 },
+    faces: { count: 1, minConfidence: 0.8, minHeight: 0.3 }
+  },
+  nic: {
+    label: 'NIC scan',
+    mimeTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+    maxBytes: 5 * MB,
+    image: { minWidth: 600, minHeight: 380 }
+  },
+  medical_certificate: {
+    label: 'Medical certificate',
+    mimeTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+    maxBytes: 5 * MB,
+    image: { minWidth: 600, minHeight: 600 }
+  },
+  other: {
+    label: 'Other supporting document',
+    mimeTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+    maxBytes: 5 * MB
+  }
+};
+
+module.exports = {
+  DOCUMENT_TYPES
+};
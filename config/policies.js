@@ -0,0 +1,23 @@
+// Roles stored in the roles table. Applicants have no role.
+const ROLES = {
+  ADMIN: 'admin',
+  LICENSING_OFFICER: 'licensing_officer',
+  EXAMINER: 'examiner',
+  MEDICAL_OFFICER: 'medical_officer'
+};
+
+// Which roles may perform each protected action. Routes declare the action they need.
+const POLICIES = {
+  'licenceCategories:manage': [ROLES.ADMIN],
+  'applications:review': [ROLES.ADMIN, ROLES.LICENSING_OFFICER],
+  'applications:assign': [ROLES.ADMIN],
+  'licences:changeStatus': [ROLES.ADMIN, ROLES.LICENSING_OFFICER],
+  'medicalCertificates:write': [ROLES.ADMIN, ROLES.MEDICAL_OFFICER],
+  'testResults:write': [ROLES.ADMIN, ROLES.EXAMINER],
+  'roles:manage': [ROLES.ADMIN]
+};
+
+module.exports = {
+  ROLES,
+  POLICIES
+};
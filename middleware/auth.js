@@ -0,0 +1,56 @@
+const { POLICIES } = require("../config/policies");
+
+/**
+ * Rejects requests that do not carry a valid session.
+ * Must run after loadSession.
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Authentication required." });
+  }
+  next();
+};
+
+/**
+ * Ensures that a subject identifier sent by the client, in the route or the body,
+ * belongs to the logged in user. Requests without one are served for the session user.
+ * Must run after requireAuth.
+ */
+const requireOwnSubject = (req, res, next) => {
+  const requestedSub = req.params.sub || (req.body && req.body.sub);
+
+  if (requestedSub && requestedSub !== req.user.sub) {
+    return res.status(403).json({ error: "You can only access your own data." });
+  }
+  next();
+};
+
+/**
+ * Allows the request only when the session user holds one of the roles
+ * that the policy for the given action lists.
+ * @param {string} action - Policy name from config/policies.js
+ */
+const authorize = (action) => {
+  const allowedRoles = POLICIES[action];
+  if (!allowedRoles) {
+    throw new Error(`No policy defined for action '${action}'`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required." });
+    }
+
+    const roles = req.user.roles || [];
+    if (!roles.some(role => allowedRoles.includes(role))) {
+      return res.status(403).json({ error: "You do not have permission to perform this action." });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  requireAuth,
+  requireOwnSubject,
+  authorize
+};
@@ -0,0 +1,38 @@
+const { SESSION_COOKIE_NAME } = require("../config");
+const { getSession } = require("../services/sessionService");
+
+/**
+ * Resolves the session cookie and attaches req.session and req.user when it is valid.
+ * Requests without a valid session continue anonymously.
+ */
+const loadSession = async (req, res, next) => {
+  try {
+    const session = await getSession(req.cookies[SESSION_COOKIE_NAME]);
+
+    if (session) {
+      req.session = session;
+      req.user = {
+        sub: session.sub,
+        name: session.name,
+        name_si: session.name_si,
+        name_ta: session.name_ta,
+        email: session.email,
+        phone: session.phone,
+        date_of_birth: session.date_of_birth,
+        gender: session.gender,
+        nic: session.nic,
+        address: session.address,
+        address_details: session.address_details,
+        roles: session.roles || []
+      };
+    }
+  } catch (error) {
+    console.error("Error loading session:", error.message);
+  }
+
+  next();
+};
+
+module.exports = {
+  loadSession
+};
@@ -0,0 +1,34 @@
+const multer = require("multer");
+const { DOCUMENT_MAX_BYTES } = require("../config");
+
+// Files are kept in memory: they are checked and hashed before they reach the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_BYTES, files: 1, fields: 10 }
+});
+
+/**
+ * Accepts a multipart request with a single file in the given field.
+ * Oversized uploads are answered with 413 and other malformed uploads with 400.
+ * @param {string} fieldName - Form field holding the file
+ */
+const uploadSingle = (fieldName = "file") => {
+  const handler = upload.single(fieldName);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: `The file may be at most ${DOCUMENT_MAX_BYTES} bytes.` });
+      }
+      res.status(400).json({ error: `Invalid upload: ${error.message}` });
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle
+};
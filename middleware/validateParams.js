@@ -0,0 +1,22 @@
+const { isValidApplicationId, isValidApplicationNumber } = require("../services/applicationNumberService");
+
+/**
+ * Rejects requests whose application ID route parameter is malformed before any lookup.
+ * Application numbers must carry a correct check digit; IDs of older applications are still accepted.
+ * @param {string} paramName - Route parameter holding the ID
+ * @param {boolean} allowLegacy - Whether IDs from before application numbers are accepted
+ */
+const validateApplicationId = (paramName = "applicationId", allowLegacy = true) => {
+  const isValid = allowLegacy ? isValidApplicationId : isValidApplicationNumber;
+
+  return (req, res, next) => {
+    if (!isValid(req.params[paramName])) {
+      return res.status(400).json({ error: `Invalid application number '${req.params[paramName]}'.` });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  validateApplicationId
+};
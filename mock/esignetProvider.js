@@ -0,0 +1,368 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { SignJWT, CompactEncrypt, createLocalJWKSet, jwtVerify, exportJWK, generateKeyPair, importJWK } = require("jose");
+
+const DEFAULT_IDENTITIES_FILE = path.join(__dirname, "identities.json");
+const CLIENT_ASSERTION_TYPE = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+
+const CODE_TTL_SECONDS = 60;
+const ACCESS_TOKEN_TTL_SECONDS = 900;
+const REFRESH_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+/**
+ * Loads the test identities served by the mock provider
+ * @param {string} identitiesFile JSON file with an array of userinfo claim sets
+ * @returns {Array} identities, each with at least a sub
+ */
+const loadIdentities = (identitiesFile) => {
+  const file = identitiesFile || DEFAULT_IDENTITIES_FILE;
+
+  let identities;
+  try {
+    identities = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Unable to read mock identities file '${file}': ${error.message}`);
+  }
+
+  if (!Array.isArray(identities) || identities.length === 0 || identities.some(identity => !identity.sub)) {
+    throw new Error(`Mock identities file '${file}' must hold a non-empty array of claim sets with a sub`);
+  }
+
+  return identities;
+};
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Creates an express router acting as a minimal eSignet OpenID Provider.
+ * Tokens, codes and keys only live in memory and are lost on restart.
+ * @param {string} issuer public URL the router is mounted at
+ * @param {Function} getClientJwks returns the relying party's public JWKS
+ * @param {string} identitiesFile JSON file with the test identities
+ * @param {string} userinfoFormat "jwt" for signed or "jwe" for signed then encrypted userinfo
+ * @returns {Router} express router
+ */
+const createMockEsignet = ({ issuer, getClientJwks, identitiesFile, userinfoFormat = "jwt" }) => {
+  const identities = loadIdentities(identitiesFile);
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  const metadata = {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/oauth/v2/token`,
+    userinfo_endpoint: `${issuer}/oidc/userinfo`,
+    jwks_uri: `${issuer}/oauth/.well-known/jwks.json`,
+    revocation_endpoint: `${issuer}/oauth/revoke`,
+    end_session_endpoint: `${issuer}/oidc/logout`,
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code", "refresh_token"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    userinfo_signing_alg_values_supported: ["RS256"],
+    userinfo_encryption_alg_values_supported: ["RSA-OAEP-256"],
+    userinfo_encryption_enc_values_supported: ["A256GCM"],
+    token_endpoint_auth_methods_supported: ["private_key_jwt"],
+    token_endpoint_auth_signing_alg_values_supported: ["RS256", "PS256", "ES256"],
+    code_challenge_methods_supported: ["S256"],
+    claims_locales_supported: ["en", "si", "ta"]
+  };
+
+  const codes = new Map();
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const usedAssertionIds = new Map();
+
+  // Provider signing key, generated once per router
+  const providerKeyPromise = (async () => {
+    const { privateKey, publicKey } = await generateKeyPair("RS256");
+    const publicJwk = await exportJWK(publicKey);
+    const kid = `mock-esignet-${crypto.randomBytes(6).toString("hex")}`;
+    return { privateKey, publicJwk: { ...publicJwk, kid, use: "sig", alg: "RS256" }, kid };
+  })();
+
+  const signJwt = async (claims, audience, expiresInSeconds) => {
+    const { privateKey, kid } = await providerKeyPromise;
+    return new SignJWT(claims)
+      .setProtectedHeader({ alg: "RS256", kid, typ: "JWT" })
+      .setIssuer(issuer)
+      .setAudience(audience)
+      .setIssuedAt()
+      .setExpirationTime(`${expiresInSeconds}s`)
+      .sign(privateKey);
+  };
+
+  const isLive = (entry) => entry && entry.expiresAt > Date.now();
+
+  const oauthError = (res, status, error, description) => {
+    res.status(status).json({ error, error_description: description });
+  };
+
+  /**
+   * Checks the private_key_jwt client assertion against the relying party's JWKS
+   * @returns {string} authenticated client id
+   */
+  const authenticateClient = async (body) => {
+    const { client_id, client_assertion_type, client_assertion } = body;
+
+    if (client_assertion_type !== CLIENT_ASSERTION_TYPE || !client_assertion) {
+      throw new Error("private_key_jwt client assertion required");
+    }
+
+    const { payload } = await jwtVerify(client_assertion, createLocalJWKSet(await getClientJwks()), {
+      audience: metadata.token_endpoint,
+      issuer: client_id,
+      subject: client_id
+    });
+
+    if (!payload.jti || !payload.exp) {
+      throw new Error("client assertion must carry jti and exp");
+    }
+    if (usedAssertionIds.has(payload.jti)) {
+      throw new Error("client assertion has already been used");
+    }
+
+    usedAssertionIds.set(payload.jti, payload.exp * 1000);
+    for (const [jti, expiresAt] of usedAssertionIds) {
+      if (expiresAt < Date.now()) {
+        usedAssertionIds.delete(jti);
+      }
+    }
+
+    return client_id;
+  };
+
+  const issueTokens = async ({ clientId, identity, nonce, scope }) => {
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+
+    accessTokens.set(accessToken, {
+      clientId,
+      identity,
+      expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000
+    });
+    refreshTokens.set(refreshToken, {
+      clientId,
+      identity,
+      scope,
+      expiresAt: Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000
+    });
+
+    const idTokenClaims = {
+      sub: identity.sub,
+      auth_time: Math.floor(Date.now() / 1000),
+      acr: "mosip:idp:acr:generated-code"
+    };
+    if (nonce) {
+      idTokenClaims.nonce = nonce;
+    }
+
+    return {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      refresh_token: refreshToken,
+      scope,
+      id_token: await signJwt(idTokenClaims, clientId, ACCESS_TOKEN_TTL_SECONDS)
+    };
+  };
+
+  /**
+   * Encrypts a signed userinfo JWT to the relying party's encryption key
+   */
+  const encryptForClient = async (jwt) => {
+    const { keys = [] } = await getClientJwks();
+    const encryptionJwk = keys.find(key => key.use === "enc");
+
+    if (!encryptionJwk) {
+      throw new Error("relying party JWKS has no encryption key");
+    }
+
+    const alg = encryptionJwk.alg || "RSA-OAEP-256";
+    return new CompactEncrypt(new TextEncoder().encode(jwt))
+      .setProtectedHeader({ alg, enc: "A256GCM", kid: encryptionJwk.kid, cty: "JWT" })
+      .encrypt(await importJWK(encryptionJwk, alg));
+  };
+
+  const sendDiscovery = (req, res) => res.json(metadata);
+  router.get("/.well-known/openid-configuration", sendDiscovery);
+  router.get("/oidc/.well-known/openid-configuration", sendDiscovery);
+
+  router.get("/oauth/.well-known/jwks.json", async (req, res) => {
+    const { publicJwk } = await providerKeyPromise;
+    res.json({ keys: [publicJwk] });
+  });
+
+  // Issues a code for the identity named by login_hint (sub or individual_id). Without a
+  // hint a single identity is used directly and several are offered as a list of links.
+  router.get("/authorize", (req, res) => {
+    const {
+      response_type, client_id, redirect_uri, scope, state, nonce,
+      code_challenge, code_challenge_method, login_hint
+    } = req.query;
+
+    let redirectUrl;
+    try {
+      redirectUrl = new URL(redirect_uri);
+    } catch (error) {
+      return oauthError(res, 400, "invalid_request", "redirect_uri must be an absolute URL");
+    }
+
+    const redirectWithError = (error, description) => {
+      redirectUrl.searchParams.set("error", error);
+      redirectUrl.searchParams.set("error_description", description);
+      if (state) {
+        redirectUrl.searchParams.set("state", state);
+      }
+      res.redirect(redirectUrl.toString());
+    };
+
+    if (!client_id) {
+      return redirectWithError("invalid_request", "client_id is required");
+    }
+    if (response_type !== "code") {
+      return redirectWithError("unsupported_response_type", "only the code response type is supported");
+    }
+    if (!scope || !scope.split(" ").includes("openid")) {
+      return redirectWithError("invalid_scope", "scope must include openid");
+    }
+    if (code_challenge && code_challenge_method !== "S256") {
+      return redirectWithError("invalid_request", "only the S256 code challenge method is supported");
+    }
+
+    let identity;
+    if (login_hint) {
+      identity = identities.find(candidate => candidate.sub === login_hint || candidate.individual_id === login_hint);
+      if (!identity) {
+        return redirectWithError("access_denied", `no mock identity matches login_hint '${login_hint}'`);
+      }
+    } else if (identities.length === 1) {
+      identity = identities[0];
+    } else {
+      const links = identities.map(candidate => {
+        const params = new URLSearchParams({ ...req.query, login_hint: candidate.sub });
+        return `<li><a href="?${escapeHtml(params.toString())}">${escapeHtml(candidate.name || candidate.sub)}</a> (${escapeHtml(candidate.sub)})</li>`;
+      });
+      return res.send(`<!DOCTYPE html><html><body><h1>Mock eSignet</h1><p>Log in as:</p><ul>${links.join("")}</ul></body></html>`);
+    }
+
+    const code = randomToken();
+    codes.set(code, {
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      scope,
+      nonce,
+      codeChallenge: code_challenge,
+      identity,
+      expiresAt: Date.now() + CODE_TTL_SECONDS * 1000
+    });
+
+    redirectUrl.searchParams.set("code", code);
+    if (state) {
+      redirectUrl.searchParams.set("state", state);
+    }
+    res.redirect(redirectUrl.toString());
+  });
+
+  router.post("/oauth/v2/token", async (req, res) => {
+    let clientId;
+    try {
+      clientId = await authenticateClient(req.body);
+    } catch (error) {
+      return oauthError(res, 401, "invalid_client", error.message);
+    }
+
+    const { grant_type, code, redirect_uri, code_verifier, refresh_token } = req.body;
+
+    if (grant_type === "authorization_code") {
+      const grant = codes.get(code);
+      codes.delete(code);
+
+      if (!isLive(grant) || grant.clientId !== clientId) {
+        return oauthError(res, 400, "invalid_grant", "authorization code is invalid or expired");
+      }
+      if (grant.redirectUri !== redirect_uri) {
+        return oauthError(res, 400, "invalid_grant", "redirect_uri does not match the authorization request");
+      }
+      if (grant.codeChallenge) {
+        const expected = code_verifier
+          ? crypto.createHash("sha256").update(code_verifier).digest("base64url")
+          : null;
+        if (expected !== grant.codeChallenge) {
+          return oauthError(res, 400, "invalid_grant", "code_verifier does not match the code challenge");
+        }
+      }
+
+      return res.json(await issueTokens({ clientId, identity: grant.identity, nonce: grant.nonce, scope: grant.scope }));
+    }
+
+    if (grant_type === "refresh_token") {
+      const grant = refreshTokens.get(refresh_token);
+      refreshTokens.delete(refresh_token);
+
+      if (!isLive(grant) || grant.clientId !== clientId) {
+        return oauthError(res, 400, "invalid_grant", "refresh token is invalid or expired");
+      }
+
+      return res.json(await issueTokens({ clientId, identity: grant.identity, scope: grant.scope }));
+    }
+
+    oauthError(res, 400, "unsupported_grant_type", `grant_type '${grant_type}' is not supported`);
+  });
+
+  router.get("/oidc/userinfo", async (req, res) => {
+    const [scheme, accessToken] = (req.get("Authorization") || "").split(" ");
+    const grant = scheme === "Bearer" ? accessTokens.get(accessToken) : null;
+
+    if (!isLive(grant)) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return oauthError(res, 401, "invalid_token", "access token is invalid or expired");
+    }
+
+    try {
+      const signed = await signJwt({ ...grant.identity }, grant.clientId, ACCESS_TOKEN_TTL_SECONDS);
+      const body = userinfoFormat === "jwe" ? await encryptForClient(signed) : signed;
+      res.type("application/jwt").send(body);
+    } catch (error) {
+      console.error("Mock eSignet userinfo error:", error.message);
+      oauthError(res, 500, "server_error", error.message);
+    }
+  });
+
+  router.post("/oauth/revoke", async (req, res) => {
+    try {
+      await authenticateClient(req.body);
+    } catch (error) {
+      return oauthError(res, 401, "invalid_client", error.message);
+    }
+
+    accessTokens.delete(req.body.token);
+    refreshTokens.delete(req.body.token);
+    res.status(200).end();
+  });
+
+  router.get("/oidc/logout", (req, res) => {
+    const { post_logout_redirect_uri, state } = req.query;
+
+    if (!post_logout_redirect_uri) {
+      return res.send("<!DOCTYPE html><html><body><p>Logged out of mock eSignet.</p></body></html>");
+    }
+
+    const redirectUrl = new URL(post_logout_redirect_uri);
+    if (state) {
+      redirectUrl.searchParams.set("state", state);
+    }
+    res.redirect(redirectUrl.toString());
+  });
+
+  return router;
+};
+
+module.exports = {
+  createMockEsignet,
+  loadIdentities
+};
@@ -0,0 +1,29 @@
+// Standalone mock eSignet, for running next to the relying party as a sidecar:
+//   MOCK_ESIGNET_PORT=8088 node mock/server.js
+// then point the relying party at it with
+//   ESIGNET_DISCOVERY_URL=http://localhost:8088/.well-known/openid-configuration
+const axios = require("axios");
+const express = require("express");
+const { createMockEsignet } = require("./esignetProvider");
+
+const port = Number(process.env.MOCK_ESIGNET_PORT ?? 8088);
+const issuer = process.env.MOCK_ESIGNET_ISSUER ?? `http://localhost:${port}`;
+const clientJwksUri = process.env.MOCK_ESIGNET_CLIENT_JWKS_URI ?? "http://localhost:8888/.well-known/jwks.json";
+
+// The relying party JWKS is fetched on every use so rotated client keys are picked up
+const getClientJwks = async () => {
+  const response = await axios.get(clientJwksUri, { timeout: 5000 });
+  return response.data;
+};
+
+const app = express();
+app.use(createMockEsignet({
+  issuer,
+  getClientJwks,
+  identitiesFile: process.env.MOCK_ESIGNET_IDENTITIES_FILE,
+  userinfoFormat: process.env.MOCK_ESIGNET_USERINFO_FORMAT ?? "jwt"
+}));
+
+app.listen(port, () => {
+  console.log(`Mock eSignet listening on port ${port} with issuer ${issuer}`);
+});
@@ -0,0 +1,154 @@
+const db = require('../config/database');
+const User = require('./userModel');
+
+class Amendment {
+  // Create application amendments table. Each amendment bumps applications.version and
+  // keeps one row per changed field with the value before and after the change.
+  static async createTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS application_amendments (
+        id SERIAL PRIMARY KEY,
+        application_id VARCHAR(100) NOT NULL REFERENCES applications(application_id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        field VARCHAR(100) NOT NULL,
+        old_value JSONB,
+        new_value JSONB,
+        amended_by VARCHAR(255),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (application_id, version, field)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_amendments_application_id ON application_amendments(application_id);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create application amendments table');
+    }
+  }
+
+  // Get the current values of the given columns, with the version and status
+  static async findCurrentValues(applicationId, columns) {
+    try {
+      const query = `
+        SELECT application_id, sub, status, version, ${columns.join(', ')}
+        FROM applications
+        WHERE application_id = $1
+      `;
+
+      const result = await User.executeQuery(query, [applicationId], 'Get amendable values');
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to get application values: ${error.message}`);
+    }
+  }
+
+  // Apply changed columns and record them in one statement. The update only applies while the
+  // application is still at expectedVersion and in one of the given statuses; the old values
+  // are read from the locked row, so they are exactly the ones that were overwritten.
+  // changes: [{ column, field, newValue }] with column names from a fixed list.
+  // A new email is checked against other applicants' applications in the same transaction,
+  // under the advisory lock saveApplication takes on the email, so a racing submission or
+  // amendment cannot take the same email at the same time.
+  static async apply(applicationId, { sub, expectedVersion, statuses, changes, amendedBy, reason }) {
+    try {
+      if (!changes || changes.length === 0) {
+        throw new Error('changes are required');
+      }
+
+      const setClauses = changes.map((change, index) => `${change.column} = $${index + 6}`);
+
+      const query = `
+        WITH previous AS (
+          SELECT application_id, to_jsonb(a) AS old_row
+          FROM applications a
+          WHERE application_id = $1 AND version = $2 AND status = ANY($3::varchar[])
+          FOR UPDATE
+        ),
+        updated AS (
+          UPDATE applications a
+          SET ${setClauses.join(', ')},
+              version = a.version + 1,
+              updated_at = CURRENT_TIMESTAMP
+          FROM previous p
+          WHERE a.application_id = p.application_id
+          RETURNING a.application_id, a.version
+        )
+        INSERT INTO application_amendments (application_id, version, field, old_value, new_value, amended_by, reason)
+        SELECT u.application_id, u.version, c.field, p.old_row -> c.column_name, c.new_value, $4, $5
+        FROM updated u
+        JOIN previous p ON p.application_id = u.application_id
+        CROSS JOIN jsonb_to_recordset($${changes.length + 6}::jsonb) AS c(field VARCHAR, column_name VARCHAR, new_value JSONB)
+        RETURNING *
+      `;
+
+      const values = [
+        applicationId,
+        expectedVersion,
+        statuses,
+        amendedBy,
+        reason || null,
+        ...changes.map(change => change.newValue),
+        JSON.stringify(changes.map(change => ({
+          field: change.field,
+          column_name: change.column,
+          new_value: change.newValue
+        })))
+      ];
+
+      const emailChange = changes.find(change => change.column === 'email');
+
+      const client = await db.connect();
+      let result;
+      try {
+        await client.query('BEGIN');
+
+        if (emailChange) {
+          await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`email:${emailChange.newValue.toLowerCase()}`]);
+          const conflicts = (await User.findConflictingApplications({ sub, email: emailChange.newValue }, client))
+            .filter(conflict => conflict.conflict_type === 'same_email');
+          if (conflicts.length > 0) {
+            throw User.conflictError(conflicts[0]);
+          }
+        }
+
+        result = await client.query(query, values);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      if (result.rows.length === 0) {
+        throw new Error(`Application '${applicationId}' changed concurrently or can no longer be amended`);
+      }
+
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to amend application: ${error.message}`);
+    }
+  }
+
+  // Get the amendments of an application, oldest first
+  static async findByApplication(applicationId) {
+    try {
+      const query = `
+        SELECT version, field, old_value, new_value, amended_by, reason, created_at
+        FROM application_amendments
+        WHERE application_id = $1
+        ORDER BY version ASC, field ASC
+      `;
+
+      const result = await User.executeQuery(query, [applicationId], 'Get application amendments');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get amendments: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Amendment;
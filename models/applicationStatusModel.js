@@ -0,0 +1,137 @@
+const db = require('../config/database');
+const User = require('./userModel');
+
+class ApplicationStatus {
+  // Create application status history table
+  static async createTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS application_status_history (
+        id SERIAL PRIMARY KEY,
+        application_id VARCHAR(100) NOT NULL REFERENCES applications(application_id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        actor_sub VARCHAR(255),
+        actor_role VARCHAR(50),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE application_status_history ADD COLUMN IF NOT EXISTS reason_code VARCHAR(50);
+
+      CREATE INDEX IF NOT EXISTS idx_status_history_application_id ON application_status_history(application_id);
+      CREATE INDEX IF NOT EXISTS idx_status_history_created_at ON application_status_history(created_at);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create application status history table');
+    }
+  }
+
+  // Change the status and record it in one statement. The update only applies while the
+  // application is still in fromStatus (and, when expectedAssignee is given, still assigned
+  // to that officer), so concurrent changes cannot both succeed.
+  // assignTo moves the assignment: undefined leaves it, null clears it. With a client the
+  // change joins that client's transaction.
+  static async changeStatus(applicationId, change, client = null) {
+    try {
+      const {
+        fromStatus,
+        toStatus,
+        actorSub,
+        actorRole,
+        reason = null,
+        reasonCode = null,
+        assignTo,
+        expectedAssignee = null
+      } = change;
+
+      User.validateRequiredFields({ applicationId, ...change }, ['applicationId', 'fromStatus', 'toStatus']);
+
+      const query = `
+        WITH updated AS (
+          UPDATE applications
+          SET status = $3,
+              assigned_to = CASE WHEN $8::boolean THEN $9::varchar ELSE assigned_to END,
+              assigned_at = CASE WHEN $8::boolean THEN
+                (CASE WHEN $9::varchar IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+                ELSE assigned_at END,
+              decision_reason_code = COALESCE($7, decision_reason_code),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE application_id = $1 AND status = $2
+            AND ($10::varchar IS NULL OR assigned_to = $10::varchar)
+          RETURNING application_id
+        )
+        INSERT INTO application_status_history
+          (application_id, from_status, to_status, actor_sub, actor_role, reason, reason_code)
+        SELECT application_id, $2, $3, $4, $5, $6, $7 FROM updated
+        RETURNING *
+      `;
+
+      const values = [
+        applicationId,
+        fromStatus,
+        toStatus,
+        actorSub,
+        actorRole,
+        reason,
+        reasonCode,
+        assignTo !== undefined,
+        assignTo === undefined ? null : assignTo,
+        expectedAssignee
+      ];
+      const result = client
+        ? await client.query(query, values)
+        : await User.executeQuery(query, values, 'Change application status');
+
+      if (result.rows.length === 0) {
+        throw new Error(`Application '${applicationId}' is no longer ${fromStatus}${expectedAssignee ? ' or assigned to you' : ''}; it changed concurrently`);
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to change application status: ${error.message}`);
+    }
+  }
+
+  // Run work(client) in a transaction, so a status change and what it records commit together
+  static async withTransaction(work) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Get the status history of an application, oldest first
+  static async getTimeline(applicationId) {
+    try {
+      if (!applicationId) {
+        throw new Error('applicationId is required');
+      }
+
+      const query = `
+        SELECT id, application_id, from_status, to_status, actor_sub, actor_role, reason, reason_code, created_at
+        FROM application_status_history
+        WHERE application_id = $1
+        ORDER BY created_at ASC, id ASC
+      `;
+
+      const result = await User.executeQuery(query, [applicationId], 'Get application timeline');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get application timeline: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ApplicationStatus;
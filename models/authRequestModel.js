@@ -0,0 +1,91 @@
+const User = require('./userModel');
+
+class AuthRequest {
+  // Create OIDC authorization requests table
+  static async createTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS oidc_auth_requests (
+        id SERIAL PRIMARY KEY,
+        state VARCHAR(255) UNIQUE NOT NULL,
+        nonce VARCHAR(255) NOT NULL,
+        code_verifier VARCHAR(255) NOT NULL,
+        redirect_uri TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_auth_requests_expires_at ON oidc_auth_requests(expires_at);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create OIDC auth requests table');
+    }
+  }
+
+  // Store a pending authorization request
+  static async save(requestData) {
+    try {
+      const { state, nonce, code_verifier, redirect_uri, ttlSeconds = 600 } = requestData;
+
+      User.validateRequiredFields(requestData, ['state', 'nonce', 'code_verifier', 'redirect_uri']);
+
+      const query = `
+        INSERT INTO oidc_auth_requests (state, nonce, code_verifier, redirect_uri, expires_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 second')
+        RETURNING *
+      `;
+
+      const values = [state, nonce, code_verifier, redirect_uri, ttlSeconds];
+      const result = await User.executeQuery(query, values, 'Save OIDC auth request');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to save auth request: ${error.message}`);
+    }
+  }
+
+  // Remove and return a pending authorization request, so each state is single-use
+  static async consume(state) {
+    try {
+      if (!state) {
+        throw new Error('state is required');
+      }
+
+      const query = `
+        DELETE FROM oidc_auth_requests
+        WHERE state = $1
+        RETURNING *, (expires_at > CURRENT_TIMESTAMP) AS is_valid
+      `;
+
+      const result = await User.executeQuery(query, [state], 'Consume OIDC auth request');
+      const authRequest = result.rows[0];
+
+      if (!authRequest || !authRequest.is_valid) {
+        return null;
+      }
+
+      return authRequest;
+    } catch (error) {
+      throw new Error(`Failed to consume auth request: ${error.message}`);
+    }
+  }
+
+  // Clean up authorization requests that were never completed
+  static async cleanupExpired() {
+    try {
+      const query = `
+        DELETE FROM oidc_auth_requests
+        WHERE expires_at < CURRENT_TIMESTAMP
+        RETURNING state
+      `;
+
+      const result = await User.executeQuery(query, [], 'Cleanup expired auth requests');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to cleanup expired auth requests: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AuthRequest;
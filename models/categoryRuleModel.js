@@ -0,0 +1,137 @@
+const User = require('./userModel');
+
+class CategoryRule {
+  // Create licence category rules table. A "requires" rule is met by holding any one of
+  // related_categories for min_years_held years; an "implies" rule means a licence for the
+  // category also covers the related categories. A category's requires rules must all be met.
+  static async createTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS licence_category_rules (
+        id SERIAL PRIMARY KEY,
+        category_code VARCHAR(10) NOT NULL REFERENCES licence_categories(category_code) ON DELETE CASCADE,
+        rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('requires', 'implies')),
+        related_categories JSONB NOT NULL,
+        min_years_held INTEGER NOT NULL DEFAULT 0 CHECK (min_years_held >= 0),
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_category_rules_category_code ON licence_category_rules(category_code);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create licence category rules table');
+    }
+  }
+
+  // Seed default rules. Categories that already have rules are left alone so that
+  // changes made by admins survive a restart.
+  static async seedRules(client = null) {
+    const rules = {
+      C1: [
+        { rule_type: 'requires', related_categories: ['B'], min_years_held: 1 },
+        { rule_type: 'implies', related_categories: ['B'] }
+      ],
+      C: [
+        { rule_type: 'requires', related_categories: ['B'], min_years_held: 3 },
+        { rule_type: 'implies', related_categories: ['C1'] }
+      ],
+      D1: [
+        { rule_type: 'requires', related_categories: ['B'], min_years_held: 2 },
+        { rule_type: 'implies', related_categories: ['B'] }
+      ],
+      D: [
+        { rule_type: 'requires', related_categories: ['D1', 'C'], min_years_held: 1 },
+        { rule_type: 'implies', related_categories: ['D1'] }
+      ],
+      A: [
+        { rule_type: 'implies', related_categories: ['A1'] }
+      ]
+    };
+
+    for (const [categoryCode, categoryRules] of Object.entries(rules)) {
+      const query = `
+        INSERT INTO licence_category_rules (category_code, rule_type, related_categories, min_years_held)
+        SELECT $1, r.rule_type, r.related_categories, COALESCE(r.min_years_held, 0)
+        FROM jsonb_to_recordset($2::jsonb) AS r(rule_type VARCHAR, related_categories JSONB, min_years_held INTEGER)
+        WHERE NOT EXISTS (SELECT 1 FROM licence_category_rules WHERE category_code = $1)
+      `;
+
+      const values = [categoryCode, JSON.stringify(categoryRules)];
+
+      if (client) {
+        await client.query(query, values);
+      } else {
+        await User.executeQuery(query, values, `Seed rules of category ${categoryCode}`);
+      }
+    }
+
+    User.logOperation('Licence category rules seeding', true);
+  }
+
+  // Get the rules of every category, or of one category
+  static async findAll(categoryCode = null) {
+    try {
+      const query = `
+        SELECT category_code, rule_type, related_categories, min_years_held, created_by, created_at
+        FROM licence_category_rules
+        ${categoryCode ? 'WHERE category_code = $1' : ''}
+        ORDER BY category_code, rule_type, id
+      `;
+
+      const result = await User.executeQuery(query, categoryCode ? [categoryCode] : [], 'Get licence category rules');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get category rules: ${error.message}`);
+    }
+  }
+
+  // Replace all rules of a category in one statement
+  static async replaceRules(categoryCode, rules, createdBy) {
+    try {
+      const query = `
+        WITH removed AS (
+          DELETE FROM licence_category_rules WHERE category_code = $1
+        )
+        INSERT INTO licence_category_rules (category_code, rule_type, related_categories, min_years_held, created_by)
+        SELECT $1, r.rule_type, r.related_categories, r.min_years_held, $3
+        FROM jsonb_to_recordset($2::jsonb) AS r(rule_type VARCHAR, related_categories JSONB, min_years_held INTEGER)
+        RETURNING category_code, rule_type, related_categories, min_years_held, created_by, created_at
+      `;
+
+      const result = await User.executeQuery(query, [categoryCode, JSON.stringify(rules), createdBy], 'Replace licence category rules');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to save category rules: ${error.message}`);
+    }
+  }
+
+  // Get the categories an applicant holds and since when: the unexpired categories of
+  // the current version of their licence, held since they were first issued
+  static async getHeldCategories(sub) {
+    try {
+      const query = `
+        SELECT c.category_code AS category, c.first_issued AS held_since
+        FROM licences l
+        JOIN LATERAL (
+          SELECT v.version, v.status FROM licence_versions v
+          WHERE v.licence_number = l.licence_number
+          ORDER BY v.version DESC
+          LIMIT 1
+        ) v ON true
+        JOIN licence_version_categories c
+          ON c.licence_number = l.licence_number AND c.version = v.version
+        WHERE l.sub = $1 AND v.status = 'active' AND c.valid_until >= CURRENT_DATE
+      `;
+
+      const result = await User.executeQuery(query, [sub], 'Get held categories');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get held categories: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CategoryRule;
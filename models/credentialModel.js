@@ -0,0 +1,178 @@
+const User = require('./userModel');
+
+class Credential {
+  // Create credential offer and issued credential tables. Pre-authorized codes and access
+  // tokens are stored as SHA-256 hashes only, like session tokens.
+  static async createTables(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS credential_offers (
+        id SERIAL PRIMARY KEY,
+        pre_authorized_code_hash CHAR(64) UNIQUE NOT NULL,
+        sub VARCHAR(255) NOT NULL REFERENCES users(sub) ON DELETE CASCADE,
+        licence_number VARCHAR(30) NOT NULL REFERENCES licences(licence_number),
+        configuration_ids JSONB NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        redeemed_at TIMESTAMP,
+        access_token_hash CHAR(64) UNIQUE,
+        token_expires_at TIMESTAMP,
+        c_nonce VARCHAR(100),
+        c_nonce_expires_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS issued_credentials (
+        id SERIAL PRIMARY KEY,
+        credential_id VARCHAR(100) UNIQUE NOT NULL,
+        licence_number VARCHAR(30) NOT NULL REFERENCES licences(licence_number),
+        licence_version INTEGER NOT NULL,
+        configuration_id VARCHAR(100) NOT NULL,
+        format VARCHAR(30) NOT NULL,
+        sub VARCHAR(255) NOT NULL,
+        holder_key_thumbprint VARCHAR(100),
+        signing_kid VARCHAR(255) NOT NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_credential_offers_expires_at ON credential_offers(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_issued_credentials_licence ON issued_credentials(licence_number);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create credential tables');
+    }
+  }
+
+  // Record a credential offer with its pre-authorized code
+  static async createOffer({ preAuthorizedCodeHash, sub, licenceNumber, configurationIds, ttlSeconds }) {
+    try {
+      const query = `
+        INSERT INTO credential_offers (pre_authorized_code_hash, sub, licence_number, configuration_ids, expires_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 second')
+        RETURNING *
+      `;
+
+      const values = [preAuthorizedCodeHash, sub, licenceNumber, JSON.stringify(configurationIds), ttlSeconds];
+      const result = await User.executeQuery(query, values, 'Create credential offer');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create credential offer: ${error.message}`);
+    }
+  }
+
+  // Redeem an unexpired pre-authorized code for an access token. The update only matches an
+  // offer that was not redeemed yet, so each code can be used once.
+  static async redeemOffer(preAuthorizedCodeHash, { accessTokenHash, tokenTtlSeconds, cNonce, nonceTtlSeconds }) {
+    try {
+      const query = `
+        UPDATE credential_offers
+        SET redeemed_at = CURRENT_TIMESTAMP,
+            access_token_hash = $2,
+            token_expires_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 second',
+            c_nonce = $4,
+            c_nonce_expires_at = CURRENT_TIMESTAMP + $5 * INTERVAL '1 second'
+        WHERE pre_authorized_code_hash = $1
+          AND redeemed_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const values = [preAuthorizedCodeHash, accessTokenHash, tokenTtlSeconds, cNonce, nonceTtlSeconds];
+      const result = await User.executeQuery(query, values, 'Redeem credential offer');
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to redeem credential offer: ${error.message}`);
+    }
+  }
+
+  // Find the offer an unexpired access token was issued for, with whether its nonce is still valid
+  static async findByAccessToken(accessTokenHash) {
+    try {
+      const query = `
+        SELECT *, (c_nonce_expires_at > CURRENT_TIMESTAMP) AS c_nonce_valid
+        FROM credential_offers
+        WHERE access_token_hash = $1 AND token_expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const result = await User.executeQuery(query, [accessTokenHash], 'Find credential offer by access token');
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to find credential offer: ${error.message}`);
+    }
+  }
+
+  // Replace the nonce a wallet must sign in its next proof. With previousNonce the nonce is only
+  // replaced while it still has that value, so a nonce is consumed by one proof only.
+  static async rotateNonce(offerId, cNonce, nonceTtlSeconds, previousNonce = null) {
+    try {
+      const query = `
+        UPDATE credential_offers
+        SET c_nonce = $2, c_nonce_expires_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 second'
+        WHERE id = $1 AND ($4::VARCHAR IS NULL OR c_nonce = $4)
+        RETURNING id
+      `;
+
+      const values = [offerId, cNonce, nonceTtlSeconds, previousNonce];
+      const result = await User.executeQuery(query, values, 'Rotate credential nonce');
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to rotate credential nonce: ${error.message}`);
+    }
+  }
+
+  // Record an issued credential
+  static async recordIssued(credentialData) {
+    try {
+      User.validateRequiredFields(credentialData, [
+        'credential_id', 'licence_number', 'licence_version', 'configuration_id', 'format', 'sub', 'signing_kid'
+      ]);
+
+      const query = `
+        INSERT INTO issued_credentials (
+          credential_id, licence_number, licence_version, configuration_id, format, sub,
+          holder_key_thumbprint, signing_kid, expires_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `;
+
+      const values = [
+        credentialData.credential_id,
+        credentialData.licence_number,
+        credentialData.licence_version,
+        credentialData.configuration_id,
+        credentialData.format,
+        credentialData.sub,
+        credentialData.holder_key_thumbprint || null,
+        credentialData.signing_kid,
+        credentialData.expires_at || null
+      ];
+
+      const result = await User.executeQuery(query, values, 'Record issued credential');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to record issued credential: ${error.message}`);
+    }
+  }
+
+  // Remove offers whose code and access token have both expired
+  static async cleanupExpired() {
+    try {
+      const query = `
+        DELETE FROM credential_offers
+        WHERE expires_at < CURRENT_TIMESTAMP
+          AND (token_expires_at IS NULL OR token_expires_at < CURRENT_TIMESTAMP)
+        RETURNING id
+      `;
+
+      const result = await User.executeQuery(query, [], 'Cleanup expired credential offers');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to cleanup expired credential offers: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Credential;
@@ -0,0 +1,138 @@
+const User = require('./userModel');
+
+class Document {
+  // Create documents table. application_id holds the application number, which a draft
+  // already has, so documents can be uploaded before the application is submitted.
+  static async createTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS documents (
+        id SERIAL PRIMARY KEY,
+        document_id VARCHAR(64) UNIQUE NOT NULL,
+        application_id VARCHAR(100) NOT NULL,
+        sub VARCHAR(255) NOT NULL REFERENCES users(sub) ON DELETE CASCADE,
+        document_type VARCHAR(50) NOT NULL,
+        original_name VARCHAR(255),
+        mime_type VARCHAR(100) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        sha256 CHAR(64) NOT NULL,
+        storage_backend VARCHAR(20) NOT NULL,
+        storage_key VARCHAR(500) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_documents_application_id ON documents(application_id);
+      CREATE INDEX IF NOT EXISTS idx_documents_sub ON documents(sub);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create documents table');
+    }
+  }
+
+  // Record an uploaded document
+  static async create(documentData) {
+    try {
+      User.validateRequiredFields(documentData, [
+        'document_id', 'application_id', 'sub', 'document_type', 'mime_type',
+        'size_bytes', 'sha256', 'storage_backend', 'storage_key'
+      ]);
+
+      const query = `
+        INSERT INTO documents (
+          document_id, application_id, sub, document_type, original_name, mime_type,
+          size_bytes, width, height, sha256, storage_backend, storage_key
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *
+      `;
+
+      const values = [
+        documentData.document_id,
+        documentData.application_id,
+        documentData.sub,
+        documentData.document_type,
+        documentData.original_name || null,
+        documentData.mime_type,
+        documentData.size_bytes,
+        documentData.width || null,
+        documentData.height || null,
+        documentData.sha256,
+        documentData.storage_backend,
+        documentData.storage_key
+      ];
+
+      const result = await User.executeQuery(query, values, 'Create document');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to save document: ${error.message}`);
+    }
+  }
+
+  // Find a document by its ID
+  static async findById(documentId) {
+    try {
+      const result = await User.executeQuery(
+        'SELECT * FROM documents WHERE document_id = $1',
+        [documentId],
+        'Find document'
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to find document: ${error.message}`);
+    }
+  }
+
+  // Get the documents of an application, oldest first
+  static async findByApplication(applicationId) {
+    try {
+      const query = `
+        SELECT * FROM documents
+        WHERE application_id = $1
+        ORDER BY created_at ASC, id ASC
+      `;
+
+      const result = await User.executeQuery(query, [applicationId], 'Get application documents');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get documents: ${error.message}`);
+    }
+  }
+
+  // Delete a document record, returning it so the stored file can be removed
+  static async delete(documentId) {
+    try {
+      const result = await User.executeQuery(
+        'DELETE FROM documents WHERE document_id = $1 RETURNING *',
+        [documentId],
+        'Delete document'
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to delete document: ${error.message}`);
+    }
+  }
+
+  // Delete records of documents whose draft expired or was discarded without being submitted
+  static async deleteOrphaned(minAgeSeconds) {
+    try {
+      const query = `
+        DELETE FROM documents d
+        WHERE d.created_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 second'
+          AND NOT EXISTS (SELECT 1 FROM applications a WHERE a.application_id = d.application_id)
+          AND NOT EXISTS (SELECT 1 FROM application_drafts r WHERE r.draft_id = d.application_id)
+        RETURNING *
+      `;
+
+      const result = await User.executeQuery(query, [minAgeSeconds], 'Delete orphaned documents');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to delete orphaned documents: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Document;
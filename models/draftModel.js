@@ -0,0 +1,148 @@
+const User = require('./userModel');
+
+class Draft {
+  // Create application drafts table
+  static async createTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS application_drafts (
+        id SERIAL PRIMARY KEY,
+        -- The application number the draft is submitted under
+        draft_id VARCHAR(100) UNIQUE NOT NULL,
+        sub VARCHAR(255) NOT NULL REFERENCES users(sub) ON DELETE CASCADE,
+        steps JSONB NOT NULL DEFAULT '{}'::jsonb,
+        current_step VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_drafts_sub ON application_drafts(sub);
+      CREATE INDEX IF NOT EXISTS idx_drafts_expires_at ON application_drafts(expires_at);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create application drafts table');
+    }
+  }
+
+  // Create an empty draft
+  static async create(draftData) {
+    try {
+      const { draft_id, sub, ttlSeconds } = draftData;
+
+      User.validateRequiredFields(draftData, ['draft_id', 'sub', 'ttlSeconds']);
+
+      const query = `
+        INSERT INTO application_drafts (draft_id, sub, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 second')
+        RETURNING *
+      `;
+
+      const result = await User.executeQuery(query, [draft_id, sub, ttlSeconds], 'Create application draft');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create draft: ${error.message}`);
+    }
+  }
+
+  // Find an unexpired draft belonging to the user
+  static async findById(draftId, sub) {
+    try {
+      if (!draftId || !sub) {
+        throw new Error('draftId and sub are required');
+      }
+
+      const query = `
+        SELECT * FROM application_drafts
+        WHERE draft_id = $1 AND sub = $2 AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const result = await User.executeQuery(query, [draftId, sub], 'Find application draft');
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to find draft: ${error.message}`);
+    }
+  }
+
+  // Get the user's unexpired drafts, most recently edited first
+  static async findBySub(sub) {
+    try {
+      if (!sub) {
+        throw new Error('sub is required');
+      }
+
+      const query = `
+        SELECT * FROM application_drafts
+        WHERE sub = $1 AND expires_at > CURRENT_TIMESTAMP
+        ORDER BY updated_at DESC
+      `;
+
+      const result = await User.executeQuery(query, [sub], 'Get user drafts');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get drafts: ${error.message}`);
+    }
+  }
+
+  // Replace the data of one step and push the expiry out again
+  static async saveStep(draftId, sub, step, stepData, ttlSeconds) {
+    try {
+      const query = `
+        UPDATE application_drafts
+        SET steps = jsonb_set(steps, ARRAY[$3::text], $4::jsonb),
+            current_step = $3,
+            updated_at = CURRENT_TIMESTAMP,
+            expires_at = CURRENT_TIMESTAMP + $5 * INTERVAL '1 second'
+        WHERE draft_id = $1 AND sub = $2 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const values = [draftId, sub, step, JSON.stringify(stepData), ttlSeconds];
+      const result = await User.executeQuery(query, values, `Save draft step ${step}`);
+
+      if (result.rows.length === 0) {
+        throw new Error(`Draft '${draftId}' not found`);
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to save draft step: ${error.message}`);
+    }
+  }
+
+  // Delete a draft, returning whether it existed
+  static async delete(draftId, sub) {
+    try {
+      const query = `
+        DELETE FROM application_drafts
+        WHERE draft_id = $1 AND sub = $2
+        RETURNING draft_id
+      `;
+
+      const result = await User.executeQuery(query, [draftId, sub], 'Delete application draft');
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete draft: ${error.message}`);
+    }
+  }
+
+  // Clean up drafts that were abandoned
+  static async cleanupExpired() {
+    try {
+      const query = `
+        DELETE FROM application_drafts
+        WHERE expires_at < CURRENT_TIMESTAMP
+        RETURNING draft_id
+      `;
+
+      const result = await User.executeQuery(query, [], 'Cleanup expired drafts');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to cleanup expired drafts: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Draft;
@@ -0,0 +1,205 @@
+const db = require('../config/database');
+const User = require('./userModel');
+
+// Tables whose rows may never be updated or deleted once written
+const IMMUTABLE_TABLES = ['licences', 'licence_versions', 'licence_version_categories'];
+
+// Columns of a licence version with its categories. Dates are returned as YYYY-MM-DD so
+// they do not shift with the server's time zone.
+const VERSION_COLUMNS = `
+  v.licence_number, v.version, v.change_type, v.status,
+  to_char(v.issue_date, 'YYYY-MM-DD') AS issue_date,
+  to_char(v.expiry_date, 'YYYY-MM-DD') AS expiry_date,
+  v.holder_name, to_char(v.holder_date_of_birth, 'YYYY-MM-DD') AS holder_date_of_birth,
+  v.holder_address, v.blood_group, v.photo_url, v.source_application_id, v.issued_by, v.reason, v.created_at,
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'category_code', c.category_code, 'first_issued', c.first_issued,
+      'valid_from', c.valid_from, 'valid_until', c.valid_until
+    ) ORDER BY c.category_code)
+    FROM licence_version_categories c
+    WHERE c.licence_number = v.licence_number AND c.version = v.version
+  ), '[]'::json) AS categories
+`;
+
+class Licence {
+  // Create licence tables. A licence is never changed in place: every change (issue, added
+  // categories, renewal ...) writes a new version with the complete set of categories, and
+  // a trigger rejects updates and deletes.
+  static async createTables(client = null) {
+    const query = `
+      CREATE SEQUENCE IF NOT EXISTS licence_number_seq;
+
+      CREATE TABLE IF NOT EXISTS licences (
+        id SERIAL PRIMARY KEY,
+        licence_number VARCHAR(30) UNIQUE NOT NULL,
+        sub VARCHAR(255) UNIQUE NOT NULL REFERENCES users(sub),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS licence_versions (
+        id SERIAL PRIMARY KEY,
+        licence_number VARCHAR(30) NOT NULL REFERENCES licences(licence_number),
+        version INTEGER NOT NULL,
+        change_type VARCHAR(30) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended', 'revoked')),
+        issue_date DATE NOT NULL,
+        expiry_date DATE NOT NULL,
+        holder_name VARCHAR(255) NOT NULL,
+        holder_date_of_birth DATE,
+        holder_address TEXT,
+        blood_group VARCHAR(10),
+        photo_url TEXT,
+        source_application_id VARCHAR(100) UNIQUE REFERENCES applications(application_id),
+        issued_by VARCHAR(255),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (licence_number, version)
+      );
+
+      CREATE TABLE IF NOT EXISTS licence_version_categories (
+        id SERIAL PRIMARY KEY,
+        licence_number VARCHAR(30) NOT NULL,
+        version INTEGER NOT NULL,
+        category_code VARCHAR(10) NOT NULL REFERENCES licence_categories(category_code),
+        first_issued DATE NOT NULL,
+        valid_from DATE NOT NULL,
+        valid_until DATE NOT NULL,
+        FOREIGN KEY (licence_number, version) REFERENCES licence_versions(licence_number, version),
+        UNIQUE (licence_number, version, category_code)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_licence_versions_number ON licence_versions(licence_number);
+      CREATE INDEX IF NOT EXISTS idx_licence_version_categories_number ON licence_version_categories(licence_number, version);
+
+      CREATE OR REPLACE FUNCTION reject_licence_change() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'Licence records are immutable; write a new version instead';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      ${IMMUTABLE_TABLES.map(table => `
+      DROP TRIGGER IF EXISTS ${table}_immutable ON ${table};
+      CREATE TRIGGER ${table}_immutable BEFORE UPDATE OR DELETE ON ${table}
+        FOR EACH ROW EXECUTE FUNCTION reject_licence_change();`).join('\n')}
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create licence tables');
+    }
+  }
+
+  // Take the next value of the licence number sequence
+  static async nextLicenceSequence(client) {
+    const result = await client.query("SELECT nextval('licence_number_seq') AS value");
+    return result.rows[0].value;
+  }
+
+  // Latest version of a licence with its categories, or null. Pass a client to read inside a transaction.
+  static async findCurrent({ licenceNumber, sub }, client = null) {
+    const query = `
+      SELECT l.sub, ${VERSION_COLUMNS}
+      FROM licences l
+      JOIN licence_versions v ON v.licence_number = l.licence_number
+      WHERE ${licenceNumber ? 'l.licence_number = $1' : 'l.sub = $1'}
+      ORDER BY v.version DESC
+      LIMIT 1
+    `;
+
+    const values = [licenceNumber || sub];
+    const result = client
+      ? await client.query(query, values)
+      : await User.executeQuery(query, values, 'Find current licence');
+    return result.rows[0] || null;
+  }
+
+  // All versions of a licence, oldest first, each with its categories
+  static async findVersions(licenceNumber) {
+    try {
+      const query = `
+        SELECT ${VERSION_COLUMNS}
+        FROM licence_versions v
+        WHERE v.licence_number = $1
+        ORDER BY v.version ASC
+      `;
+
+      const result = await User.executeQuery(query, [licenceNumber], 'Get licence versions');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get licence versions: ${error.message}`);
+    }
+  }
+
+  // Run work that writes a licence version in a transaction holding a lock on the holder,
+  // so concurrent changes to one person's licence are applied one after the other
+  static async withHolderLock(sub, work) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`licence:${sub}`]);
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Create the licence row for a new holder
+  static async create(client, { licenceNumber, sub }) {
+    await client.query('INSERT INTO licences (licence_number, sub) VALUES ($1, $2)', [licenceNumber, sub]);
+  }
+
+  // Write a complete new version of a licence with its categories
+  static async createVersion(client, versionData) {
+    const {
+      licenceNumber, version, changeType, status = 'active', issueDate, expiryDate,
+      holderName, holderDateOfBirth, holderAddress, bloodGroup, photoUrl,
+      sourceApplicationId, issuedBy, reason, categories
+    } = versionData;
+
+    const query = `
+      WITH inserted AS (
+        INSERT INTO licence_versions (
+          licence_number, version, change_type, status, issue_date, expiry_date,
+          holder_name, holder_date_of_birth, holder_address, blood_group, photo_url,
+          source_application_id, issued_by, reason
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING licence_number, version
+      ), categories AS (
+        INSERT INTO licence_version_categories (licence_number, version, category_code, first_issued, valid_from, valid_until)
+        SELECT i.licence_number, i.version, c.category_code, c.first_issued, c.valid_from, c.valid_until
+        FROM inserted i
+        CROSS JOIN jsonb_to_recordset($15::jsonb) AS c(category_code VARCHAR, first_issued DATE, valid_from DATE, valid_until DATE)
+      )
+      SELECT * FROM inserted
+    `;
+
+    const values = [
+      licenceNumber, version, changeType, status, issueDate, expiryDate,
+      holderName, holderDateOfBirth || null, holderAddress || null, bloodGroup || null, photoUrl || null,
+      sourceApplicationId || null, issuedBy || null, reason || null,
+      JSON.stringify(categories)
+    ];
+
+    await client.query(query, values);
+  }
+
+  // Find the licence version issued from an application
+  static async findVersionByApplication(applicationId, client = null) {
+    const query = 'SELECT licence_number, version FROM licence_versions WHERE source_application_id = $1';
+    const result = client
+      ? await client.query(query, [applicationId])
+      : await User.executeQuery(query, [applicationId], 'Find licence version by application');
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Licence;
@@ -0,0 +1,85 @@
+const User = require('./userModel');
+
+class Refund {
+  // Create payment refunds table: at most one refund per application, recorded
+  // against its payment reference and settled outside this service
+  static async createTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS payment_refunds (
+        id SERIAL PRIMARY KEY,
+        application_id VARCHAR(100) UNIQUE NOT NULL REFERENCES applications(application_id) ON DELETE CASCADE,
+        payment_reference_id VARCHAR(100),
+        payment_transaction_id VARCHAR(100),
+        paid_amount DECIMAL(10,2) NOT NULL,
+        cancellation_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+        refund_amount DECIMAL(10,2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+        reason TEXT,
+        requested_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_refunds_status ON payment_refunds(status);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create payment refunds table');
+    }
+  }
+
+  // Record the refund owed for a cancelled, paid application. paidAmount is the amount the
+  // server charged at submission. An application counts as paid only when its status history
+  // shows it leaving pending through payment: saved as submitted, or moved from pending to
+  // submitted once the payment was confirmed. A payment reference alone proves nothing, as the
+  // client sends it. Nothing is recorded for unpaid applications, and a second call for the
+  // same application returns null. With a client the refund joins that client's transaction.
+  static async createForCancellation(applicationId, { paidAmount, cancellationFee = 0, requestedBy, reason }, client = null) {
+    try {
+      const query = `
+        INSERT INTO payment_refunds (
+          application_id, payment_reference_id, payment_transaction_id,
+          paid_amount, cancellation_fee, refund_amount, reason, requested_by
+        )
+        SELECT application_id, payment_reference_id, payment_transaction_id,
+               $2::numeric, LEAST($3::numeric, $2::numeric), GREATEST($2::numeric - $3::numeric, 0), $4, $5
+        FROM applications a
+        WHERE application_id = $1 AND status = 'cancelled'
+          AND $2::numeric > 0 AND payment_reference_id IS NOT NULL
+          AND EXISTS (
+            SELECT 1 FROM application_status_history h
+            WHERE h.application_id = a.application_id AND h.to_status = 'submitted'
+              AND (h.from_status IS NULL OR h.from_status = 'pending')
+          )
+        ON CONFLICT (application_id) DO NOTHING
+        RETURNING *
+      `;
+
+      const values = [applicationId, paidAmount || 0, cancellationFee, reason || null, requestedBy || null];
+      const result = client
+        ? await client.query(query, values)
+        : await User.executeQuery(query, values, 'Record refund');
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to record refund: ${error.message}`);
+    }
+  }
+
+  // Get the refund recorded for an application
+  static async findByApplication(applicationId) {
+    try {
+      const result = await User.executeQuery(
+        'SELECT * FROM payment_refunds WHERE application_id = $1',
+        [applicationId],
+        'Find refund'
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to find refund: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Refund;
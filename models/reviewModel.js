@@ -0,0 +1,146 @@
+const User = require('./userModel');
+
+class Review {
+  // Create internal application notes table
+  static async createNotesTable(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS application_notes (
+        id SERIAL PRIMARY KEY,
+        application_id VARCHAR(100) NOT NULL REFERENCES applications(application_id) ON DELETE CASCADE,
+        author_sub VARCHAR(255) NOT NULL REFERENCES users(sub),
+        note TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_application_notes_application_id ON application_notes(application_id);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create application notes table');
+    }
+  }
+
+  // Get applications waiting for or under review, oldest first
+  static async getQueue(options = {}) {
+    try {
+      const { status = 'submitted', assignedTo, limit = 50, offset = 0 } = options;
+      const conditions = ['a.status = $1'];
+      const values = [status];
+
+      if (assignedTo) {
+        values.push(assignedTo);
+        conditions.push(`a.assigned_to = $${values.length}`);
+      }
+
+      const query = `
+        SELECT
+          a.application_id, a.sub, a.full_name, a.selected_categories, a.status,
+          a.assigned_to, a.assigned_at, a.total_amount, a.created_at, a.updated_at,
+          COUNT(*) OVER () AS total_count
+        FROM applications a
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY a.created_at ASC, a.id ASC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `;
+
+      values.push(limit, offset);
+      const result = await User.executeQuery(query, values, 'Get review queue');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get review queue: ${error.message}`);
+    }
+  }
+
+  // Get groups of applications that look like duplicates: different applicants sharing an
+  // email address or NIC, and one applicant's open applications sharing a category.
+  // Cancelled and rejected applications are left out.
+  static async getSuspectedDuplicates(openStatuses) {
+    try {
+      const applicationJson = `json_build_object(
+        'application_id', a.application_id, 'sub', a.sub, 'full_name', a.full_name, 'email', a.email,
+        'status', a.status, 'selected_categories', a.selected_categories, 'created_at', a.created_at
+      )`;
+
+      const query = `
+        SELECT 'same_email' AS match_type, lower(a.email) AS match_value,
+               json_agg(${applicationJson} ORDER BY a.created_at) AS applications
+        FROM applications a
+        WHERE a.status NOT IN ('cancelled', 'rejected')
+        GROUP BY lower(a.email)
+        HAVING COUNT(DISTINCT a.sub) > 1
+
+        UNION ALL
+
+        SELECT 'same_nic', u.nic, json_agg(${applicationJson} ORDER BY a.created_at)
+        FROM applications a
+        JOIN users u ON u.sub = a.sub
+        WHERE a.status NOT IN ('cancelled', 'rejected') AND u.nic IS NOT NULL
+        GROUP BY u.nic
+        HAVING COUNT(DISTINCT a.sub) > 1
+
+        UNION ALL
+
+        SELECT 'same_categories', a.sub, json_agg(${applicationJson} ORDER BY a.created_at)
+        FROM applications a
+        WHERE a.status = ANY($1::varchar[])
+          AND jsonb_typeof(a.selected_categories) = 'array'
+          AND EXISTS (
+            SELECT 1 FROM applications b
+            WHERE b.sub = a.sub AND b.id <> a.id AND b.status = ANY($1::varchar[])
+              AND jsonb_typeof(b.selected_categories) = 'array'
+              AND b.selected_categories ?| ARRAY(SELECT jsonb_array_elements_text(a.selected_categories))
+          )
+        GROUP BY a.sub
+
+        ORDER BY match_type, match_value
+      `;
+
+      const result = await User.executeQuery(query, [openStatuses], 'Get suspected duplicates');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get suspected duplicates: ${error.message}`);
+    }
+  }
+
+  // Add an internal note to an application
+  static async addNote(noteData) {
+    try {
+      const { application_id, author_sub, note } = noteData;
+
+      User.validateRequiredFields(noteData, ['application_id', 'author_sub', 'note']);
+
+      const query = `
+        INSERT INTO application_notes (application_id, author_sub, note)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `;
+
+      const result = await User.executeQuery(query, [application_id, author_sub, note], 'Add application note');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to add note: ${error.message}`);
+    }
+  }
+
+  // Get the internal notes of an application, oldest first
+  static async getNotes(applicationId) {
+    try {
+      const query = `
+        SELECT n.id, n.application_id, n.author_sub, u.name AS author_name, n.note, n.created_at
+        FROM application_notes n
+        JOIN users u ON n.author_sub = u.sub
+        WHERE n.application_id = $1
+        ORDER BY n.created_at ASC, n.id ASC
+      `;
+
+      const result = await User.executeQuery(query, [applicationId], 'Get application notes');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get notes: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Review;
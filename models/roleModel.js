@@ -0,0 +1,172 @@
+const User = require('./userModel');
+
+class Role {
+  // Create roles and user roles tables
+  static async createTables(client = null) {
+    const query = `
+      CREATE TABLE IF NOT EXISTS roles (
+        id SERIAL PRIMARY KEY,
+        role_code VARCHAR(50) UNIQUE NOT NULL,
+        role_name VARCHAR(100) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS user_roles (
+        id SERIAL PRIMARY KEY,
+        sub VARCHAR(255) NOT NULL REFERENCES users(sub) ON DELETE CASCADE,
+        role_code VARCHAR(50) NOT NULL REFERENCES roles(role_code) ON DELETE CASCADE,
+        granted_by VARCHAR(255),
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (sub, role_code)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_roles_sub ON user_roles(sub);
+      CREATE INDEX IF NOT EXISTS idx_user_roles_role_code ON user_roles(role_code);
+    `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await User.executeQuery(query, [], 'Create roles tables');
+    }
+  }
+
+  // Seed the built-in roles
+  static async seedRoles(client = null) {
+    const roles = [
+      { role_code: 'admin', role_name: 'Administrator', description: 'Manages categories, roles and system settings' },
+      { role_code: 'licensing_officer', role_name: 'Licensing Officer', description: 'Reviews and decides applications' },
+      { role_code: 'examiner', role_name: 'Examiner', description: 'Records written and practical test results' },
+      { role_code: 'medical_officer', role_name: 'Medical Officer', description: 'Issues medical certificates' }
+    ];
+
+    for (const role of roles) {
+      const query = `
+        INSERT INTO roles (role_code, role_name, description)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (role_code)
+        DO UPDATE SET
+          role_name = EXCLUDED.role_name,
+          description = EXCLUDED.description
+      `;
+
+      const values = [role.role_code, role.role_name, role.description];
+
+      if (client) {
+        await client.query(query, values);
+      } else {
+        await User.executeQuery(query, values, `Seed role ${role.role_code}`);
+      }
+    }
+
+    User.logOperation('Roles seeding', true);
+  }
+
+  // Get all roles
+  static async getRoles() {
+    try {
+      const query = `
+        SELECT role_code, role_name, description
+        FROM roles
+        ORDER BY role_code
+      `;
+
+      const result = await User.executeQuery(query, [], 'Get roles');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get roles: ${error.message}`);
+    }
+  }
+
+  // Get role by code
+  static async getRoleByCode(roleCode) {
+    try {
+      if (!roleCode) {
+        throw new Error('roleCode is required');
+      }
+
+      const query = `
+        SELECT role_code, role_name, description
+        FROM roles
+        WHERE role_code = $1
+      `;
+
+      const result = await User.executeQuery(query, [roleCode], 'Get role by code');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to get role: ${error.message}`);
+    }
+  }
+
+  // Get the roles granted to a user
+  static async getUserRoles(sub) {
+    try {
+      if (!sub) {
+        throw new Error('sub is required');
+      }
+
+      const query = `
+        SELECT ur.role_code, r.role_name, ur.granted_by, ur.granted_at
+        FROM user_roles ur
+        JOIN roles r ON ur.role_code = r.role_code
+        WHERE ur.sub = $1
+        ORDER BY ur.role_code
+      `;
+
+      const result = await User.executeQuery(query, [sub], 'Get user roles');
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to get user roles: ${error.message}`);
+    }
+  }
+
+  // Grant a role to a user (idempotent)
+  static async grantRole(sub, roleCode, grantedBy = null) {
+    try {
+      if (!sub || !roleCode) {
+        throw new Error('sub and roleCode are required');
+      }
+
+      const query = `
+        INSERT INTO user_roles (sub, role_code, granted_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (sub, role_code)
+        DO UPDATE SET granted_by = user_roles.granted_by
+        RETURNING *
+      `;
+
+      const result = await User.executeQuery(query, [sub, roleCode, grantedBy], 'Grant role');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to grant role: ${error.message}`);
+    }
+  }
+
+  // Revoke a role from a user
+  static async revokeRole(sub, roleCode) {
+    try {
+      if (!sub || !roleCode) {
+        throw new Error('sub and roleCode are required');
+      }
+
+      const query = `
+        DELETE FROM user_roles
+        WHERE sub = $1 AND role_code = $2
+        RETURNING *
+      `;
+
+      const result = await User.executeQuery(query, [sub, roleCode], 'Revoke role');
+
+      if (result.rows.length === 0) {
+        throw new Error(`Role '${roleCode}' not found for user '${sub}'`);
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to revoke role: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Role;
@@ -1,6 +1,15 @@
 const db = require('../config/database');
+const { APPLICANT, APPLICATION_STATUSES, OPEN_STATUSES } = require('../config/applicationLifecycle');
+
+// Columns of the users table that may be written from eSignet claims
+const USER_COLUMNS = [
+  'sub', 'name', 'name_si', 'name_ta', 'email', 'phone', 'date_of_birth',
+  'gender', 'nic', 'address', 'address_details'
+];
 
 class User {
+  static USER_COLUMNS = USER_COLUMNS;
+
   // Unified logging method
   static async logOperation(operation, success = true, error = null) {
     const timestamp = new Date().toISOString();
@@ -69,8 +78,16 @@ class User {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      -- Columns filled through the claim mapping
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS name_si VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS name_ta VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS gender VARCHAR(20);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS nic VARCHAR(20);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS address_details JSONB;
       
       CREATE INDEX IF NOT EXISTS idx_users_sub ON users(sub);
+      CREATE INDEX IF NOT EXISTS idx_users_nic ON users(nic);
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
       CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
     `;
@@ -98,6 +115,13 @@ class User {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
       
+      -- Years a category stays valid once issued on a licence
+      ALTER TABLE licence_categories ADD COLUMN IF NOT EXISTS validity_years INTEGER NOT NULL DEFAULT 8;
+
+      -- Fee charged to renew the category, and whether renewal needs a fresh medical certificate
+      ALTER TABLE licence_categories ADD COLUMN IF NOT EXISTS renewal_fee DECIMAL(10,2);
+      ALTER TABLE licence_categories ADD COLUMN IF NOT EXISTS renewal_requires_medical BOOLEAN NOT NULL DEFAULT false;
+
       CREATE INDEX IF NOT EXISTS idx_categories_code ON licence_categories(category_code);
       CREATE INDEX IF NOT EXISTS idx_categories_active ON licence_categories(is_active);
       CREATE INDEX IF NOT EXISTS idx_categories_vehicle_type ON licence_categories(vehicle_type);
@@ -125,6 +149,12 @@ class User {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       expires_at TIMESTAMP
     );
+
+    -- Token details kept for refresh, revocation and RP-initiated logout
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS refresh_token TEXT;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS id_token TEXT;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS access_token_expires_at TIMESTAMP;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMP;
     
     -- Create function to calculate expires_at
     CREATE OR REPLACE FUNCTION calculate_expires_at()
@@ -157,6 +187,7 @@ class User {
 
   // Create applications table
  static async createApplicationsTable(client = null) {
+    const statusList = APPLICATION_STATUSES.map(status => `'${status}'`).join(', ');
     const query = `
       CREATE TABLE IF NOT EXISTS applications (
         id SERIAL PRIMARY KEY,
@@ -192,18 +223,50 @@ class User {
         total_amount DECIMAL(10,2) DEFAULT 0,
         payment_reference_id VARCHAR(100),
         payment_transaction_id VARCHAR(100),
-        status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'approved', 'rejected', 'cancelled')),
+        status VARCHAR(50) DEFAULT 'pending' CHECK (status IN (${statusList})),
         
         -- Timestamps
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
       
+      -- Keep the status check in line with the lifecycle on existing databases
+      ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_status_check;
+      ALTER TABLE applications ADD CONSTRAINT applications_status_check CHECK (status IN (${statusList}));
+
+      -- Review assignment and decision
+      ALTER TABLE applications ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(255) REFERENCES users(sub) ON DELETE SET NULL;
+      ALTER TABLE applications ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+      ALTER TABLE applications ADD COLUMN IF NOT EXISTS decision_reason_code VARCHAR(50);
+
+      -- Bumped by every amendment
+      ALTER TABLE applications ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+      -- Renewals extend an existing licence; a renewal needs a medical certificate only for some categories
+      ALTER TABLE applications ADD COLUMN IF NOT EXISTS application_type VARCHAR(20) NOT NULL DEFAULT 'new';
+      ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_application_type_check;
+      ALTER TABLE applications ADD CONSTRAINT applications_application_type_check CHECK (application_type IN ('new', 'renewal'));
+      ALTER TABLE applications ADD COLUMN IF NOT EXISTS licence_number VARCHAR(30);
+      ALTER TABLE applications ALTER COLUMN medical_certificate_id DROP NOT NULL;
+      ALTER TABLE applications ALTER COLUMN doctor_name DROP NOT NULL;
+      ALTER TABLE applications ALTER COLUMN hospital DROP NOT NULL;
+      ALTER TABLE applications ALTER COLUMN issued_date DROP NOT NULL;
+      ALTER TABLE applications ALTER COLUMN expiry_date DROP NOT NULL;
+      ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_new_medical_check;
+      ALTER TABLE applications ADD CONSTRAINT applications_new_medical_check CHECK (
+        application_type <> 'new' OR (medical_certificate_id IS NOT NULL AND doctor_name IS NOT NULL
+          AND hospital IS NOT NULL AND issued_date IS NOT NULL AND expiry_date IS NOT NULL)
+      );
+
+      -- Numbers for application IDs such as DL-2026-000123-3
+      CREATE SEQUENCE IF NOT EXISTS application_number_seq;
+
       -- Create indexes for better performance
       CREATE INDEX IF NOT EXISTS idx_applications_app_id ON applications(application_id);
       CREATE INDEX IF NOT EXISTS idx_applications_sub ON applications(sub);
       CREATE INDEX IF NOT EXISTS idx_applications_medical_cert_id ON applications(medical_certificate_id);
       CREATE INDEX IF NOT EXISTS idx_applications_status ON applications(status);
+      CREATE INDEX IF NOT EXISTS idx_applications_assigned_to ON applications(assigned_to);
       CREATE INDEX IF NOT EXISTS idx_applications_created_at ON applications(created_at);
       CREATE INDEX IF NOT EXISTS idx_applications_email ON applications(email);
       CREATE INDEX IF NOT EXISTS idx_applications_expiry_date ON applications(expiry_date);
@@ -228,7 +291,10 @@ class User {
         description: 'Light Motor Cycle (up to 125cc)',
         fee: 1500.00,
         min_age: 18,
-        vehicle_type: 'Motorcycle'
+        vehicle_type: 'Motorcycle',
+        validity_years: 8,
+        renewal_fee: 750.00,
+        renewal_requires_medical: false
       },
       {
         category_code: 'A',
@@ -236,7 +302,10 @@ class User {
         description: 'Motor Cycle (above 125cc)',
         fee: 1500.00,
         min_age: 18,
-        vehicle_type: 'Motorcycle'
+        vehicle_type: 'Motorcycle',
+        validity_years: 8,
+        renewal_fee: 750.00,
+        renewal_requires_medical: false
       },
       {
         category_code: 'B1',
@@ -244,7 +313,10 @@ class User {
         description: 'Motor Tricycle',
         fee: 2000.00,
         min_age: 18,
-        vehicle_type: 'Three-wheeler'
+        vehicle_type: 'Three-wheeler',
+        validity_years: 8,
+        renewal_fee: 1000.00,
+        renewal_requires_medical: false
       },
       {
         category_code: 'B',
@@ -252,7 +324,10 @@ class User {
         description: 'Light Motor Car (up to 3500 kg)',
         fee: 2500.00,
         min_age: 18,
-        vehicle_type: 'Light Vehicle'
+        vehicle_type: 'Light Vehicle',
+        validity_years: 8,
+        renewal_fee: 1000.00,
+        renewal_requires_medical: false
       },
       {
         category_code: 'C1',
@@ -260,7 +335,10 @@ class User {
         description: 'Light Motor Lorry (3500 kg to 7500 kg)',
         fee: 3000.00,
         min_age: 21,
-        vehicle_type: 'Medium Vehicle'
+        vehicle_type: 'Medium Vehicle',
+        validity_years: 4,
+        renewal_fee: 1500.00,
+        renewal_requires_medical: true
       },
       {
         category_code: 'C',
@@ -268,7 +346,10 @@ class User {
         description: 'Heavy Motor Lorry (above 7500 kg)',
         fee: 3500.00,
         min_age: 25,
-        vehicle_type: 'Heavy Vehicle'
+        vehicle_type: 'Heavy Vehicle',
+        validity_years: 4,
+        renewal_fee: 1500.00,
+        renewal_requires_medical: true
       },
       {
         category_code: 'D1',
@@ -276,7 +357,10 @@ class User {
         description: 'Mini Bus (up to 16 passengers)',
         fee: 4000.00,
         min_age: 21,
-        vehicle_type: 'Passenger Vehicle'
+        vehicle_type: 'Passenger Vehicle',
+        validity_years: 4,
+        renewal_fee: 2000.00,
+        renewal_requires_medical: true
       },
       {
         category_code: 'D',
@@ -284,14 +368,20 @@ class User {
         description: 'Heavy Bus (above 16 passengers)',
         fee: 4500.00,
         min_age: 25,
-        vehicle_type: 'Passenger Vehicle'
+        vehicle_type: 'Passenger Vehicle',
+        validity_years: 4,
+        renewal_fee: 2000.00,
+        renewal_requires_medical: true
       }
     ];
 
     for (const category of categories) {
       const query = `
-        INSERT INTO licence_categories (category_code, category_label, description, fee, min_age, vehicle_type) 
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO licence_categories (
+          category_code, category_label, description, fee, min_age, vehicle_type, validity_years,
+          renewal_fee, renewal_requires_medical
+        ) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         ON CONFLICT (category_code) 
         DO UPDATE SET 
           category_label = EXCLUDED.category_label,
@@ -299,6 +389,9 @@ class User {
           fee = EXCLUDED.fee,
           min_age = EXCLUDED.min_age,
           vehicle_type = EXCLUDED.vehicle_type,
+          validity_years = EXCLUDED.validity_years,
+          renewal_fee = EXCLUDED.renewal_fee,
+          renewal_requires_medical = EXCLUDED.renewal_requires_medical,
           updated_at = CURRENT_TIMESTAMP
       `;
 
@@ -308,7 +401,10 @@ class User {
         category.description,
         category.fee,
         category.min_age,
-        category.vehicle_type
+        category.vehicle_type,
+        category.validity_years,
+        category.renewal_fee,
+        category.renewal_requires_medical
       ];
 
       if (client) {
@@ -323,6 +419,18 @@ class User {
 
   // Initialize all tables with transaction
   static async initTables() {
+    // Subsystem models require this module, so they are loaded lazily here
+    const AuthRequest = require('./authRequestModel');
+    const Role = require('./roleModel');
+    const ApplicationStatus = require('./applicationStatusModel');
+    const Draft = require('./draftModel');
+    const Review = require('./reviewModel');
+    const CategoryRule = require('./categoryRuleModel');
+    const Document = require('./documentModel');
+    const Amendment = require('./amendmentModel');
+    const Refund = require('./refundModel');
+    const Licence = require('./licenceModel');
+    const Credential = require('./credentialModel');
     const client = await db.connect();
 
     try {
@@ -336,7 +444,21 @@ class User {
       await this.createSessionsTable(client);
       await this.createApplicationsTable(client);
       await this.createMedicalCertificatesTable(client); // Add this line
+      await this.createTestResultsTable(client);
+      await AuthRequest.createTable(client);
+      await Role.createTables(client);
+      await Role.seedRoles(client);
+      await ApplicationStatus.createTable(client);
+      await Draft.createTable(client);
+      await Document.createTable(client);
+      await Amendment.createTable(client);
+      await Refund.createTable(client);
+      await Review.createNotesTable(client);
       await this.seedLicenceCategories(client);
+      await CategoryRule.createTable(client);
+      await CategoryRule.seedRules(client);
+      await Licence.createTables(client);
+      await Credential.createTables(client);
 
       await client.query('COMMIT');
       this.logOperation('Database tables initialization', true);
@@ -350,14 +472,20 @@ class User {
   }
 
 
-  // Save or update user
+  // Save or update user. Only known columns are written; on update every
+  // supplied column is overwritten so the row follows the latest claims.
   static async saveUser(userData) {
     try {
-      const { sub, name, email, phone, date_of_birth, address } = userData;
+      const { email, date_of_birth } = userData;
 
       // Validate required fields
       this.validateRequiredFields(userData, ['sub', 'name']);
 
+      const unknownColumns = Object.keys(userData).filter(column => !USER_COLUMNS.includes(column));
+      if (unknownColumns.length > 0) {
+        throw new Error(`Unknown user fields: ${unknownColumns.join(', ')}`);
+      }
+
       // Validate email format
       if (!this.isValidEmail(email)) {
         throw new Error('Invalid email format');
@@ -371,21 +499,24 @@ class User {
         }
       }
 
+      const columns = USER_COLUMNS.filter(column => userData[column] !== undefined);
+      const values = columns.map(column => column === 'address_details' && userData[column] !== null
+        ? JSON.stringify(userData[column])
+        : userData[column]);
+      const updates = columns
+        .filter(column => column !== 'sub')
+        .map(column => `${column} = EXCLUDED.${column}`);
+
       const query = `
-        INSERT INTO users (sub, name, email, phone, date_of_birth, address) 
-        VALUES ($1, $2, $3, $4, $5, $6) 
+        INSERT INTO users (${columns.join(', ')}) 
+        VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) 
         ON CONFLICT (sub) 
         DO UPDATE SET 
-          name = EXCLUDED.name,
-          email = EXCLUDED.email,
-          phone = EXCLUDED.phone,
-          date_of_birth = EXCLUDED.date_of_birth,
-          address = EXCLUDED.address,
+          ${updates.join(',\n          ')},
           updated_at = CURRENT_TIMESTAMP
         RETURNING *
       `;
 
-      const values = [sub, name, email, phone, date_of_birth, address];
       const result = await this.executeQuery(query, values, 'Save/update user');
       return result.rows[0];
     } catch (error) {
@@ -431,6 +562,7 @@ class User {
         hearing_status = EXCLUDED.hearing_status,
         remarks = EXCLUDED.remarks,
         updated_at = CURRENT_TIMESTAMP
+      WHERE medical_certificates.sub = EXCLUDED.sub
       RETURNING *
     `;
 
@@ -449,12 +581,82 @@ class User {
       ];
 
       const result = await this.executeQuery(query, values, 'Save medical certificate');
+      if (result.rows.length === 0) {
+        throw new Error(`Certificate ${certificate_id} is recorded for another user`);
+      }
       return result.rows[0];
     } catch (error) {
       throw new Error(`Failed to save medical certificate: ${error.message}`);
     }
   }
 
+  // Get a medical certificate recorded for a user: the given certificate, or the one issued last
+  static async findMedicalCertificate(sub, certificateId = null) {
+    try {
+      const query = `
+        SELECT * FROM medical_certificates
+        WHERE sub = $1 AND ($2::varchar IS NULL OR certificate_id = $2)
+        ORDER BY issued_date DESC, created_at DESC
+        LIMIT 1
+      `;
+
+      const result = await this.executeQuery(query, [sub, certificateId || null], 'Find medical certificate');
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to find medical certificate: ${error.message}`);
+    }
+  }
+
+  // Record a written or practical test result as reported by the test centre
+  static async saveTestResult(sub, testType, testData) {
+    try {
+      this.validateRequiredFields(testData, ['test_id', 'test_date', 'score']);
+
+      const query = `
+        INSERT INTO test_results (sub, test_type, test_id, test_date, score, max_score, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (sub, test_id) DO UPDATE SET
+          test_date = EXCLUDED.test_date,
+          score = EXCLUDED.score,
+          max_score = EXCLUDED.max_score,
+          details = EXCLUDED.details
+        RETURNING *
+      `;
+
+      const values = [
+        sub,
+        testType,
+        testData.test_id,
+        testData.test_date,
+        testData.score,
+        testData.max_score || 100,
+        JSON.stringify(testData.details || {})
+      ];
+
+      const result = await this.executeQuery(query, values, 'Save test result');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to save test result: ${error.message}`);
+    }
+  }
+
+  // Get the latest written or practical test result recorded for a user
+  static async findLatestTestResult(sub, testType) {
+    try {
+      const query = `
+        SELECT * FROM test_results
+        WHERE sub = $1 AND test_type = $2
+        ORDER BY test_date DESC, created_at DESC
+        LIMIT 1
+      `;
+
+      const result = await this.executeQuery(query, [sub, testType], 'Find latest test result');
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to find test result: ${error.message}`);
+    }
+  }
+
   // Get all active licence categories
   static async getLicenceCategories(options = {}) {
     try {
@@ -473,6 +675,9 @@ class User {
           fee,
           min_age,
           vehicle_type,
+          validity_years,
+          renewal_fee,
+          renewal_requires_medical,
           is_active
         FROM licence_categories 
         ${whereClause}
@@ -513,7 +718,10 @@ class User {
   // Add new licence category
   static async addLicenceCategory(categoryData) {
     try {
-      const { category_code, category_label, description, fee, min_age, vehicle_type } = categoryData;
+      const {
+        category_code, category_label, description, fee, min_age, vehicle_type, validity_years = 8,
+        renewal_fee = fee, renewal_requires_medical = false
+      } = categoryData;
 
       // Validate required fields
       this.validateRequiredFields(categoryData, ['category_code', 'category_label', 'description', 'fee']);
@@ -523,18 +731,28 @@ class User {
         throw new Error('Fee must be a positive number');
       }
 
+      if (renewal_fee < 0) {
+        throw new Error('Renewal fee must be a non-negative number');
+      }
+
       // Validate min_age
       if (min_age && (min_age < 16 || min_age > 100)) {
         throw new Error('Minimum age must be between 16 and 100');
       }
 
       const query = `
-        INSERT INTO licence_categories (category_code, category_label, description, fee, min_age, vehicle_type) 
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO licence_categories (
+          category_code, category_label, description, fee, min_age, vehicle_type, validity_years,
+          renewal_fee, renewal_requires_medical
+        ) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *
       `;
 
-      const values = [category_code, category_label, description, fee, min_age, vehicle_type];
+      const values = [
+        category_code, category_label, description, fee, min_age, vehicle_type, validity_years,
+        renewal_fee, renewal_requires_medical
+      ];
       const result = await this.executeQuery(query, values, 'Add licence category');
       return result.rows[0];
     } catch (error) {
@@ -549,13 +767,20 @@ class User {
         throw new Error('categoryCode is required');
       }
 
-      const { category_label, description, fee, min_age, vehicle_type, is_active } = categoryData;
+      const {
+        category_label, description, fee, min_age, vehicle_type, is_active, validity_years,
+        renewal_fee, renewal_requires_medical
+      } = categoryData;
 
       // Validate fee if provided
       if (fee !== undefined && fee <= 0) {
         throw new Error('Fee must be a positive number');
       }
 
+      if (renewal_fee !== undefined && renewal_fee < 0) {
+        throw new Error('Renewal fee must be a non-negative number');
+      }
+
       const query = `
         UPDATE licence_categories 
         SET 
@@ -565,12 +790,18 @@ class User {
           min_age = COALESCE($4, min_age),
           vehicle_type = COALESCE($5, vehicle_type),
           is_active = COALESCE($6, is_active),
+          validity_years = COALESCE($7, validity_years),
+          renewal_fee = COALESCE($8, renewal_fee),
+          renewal_requires_medical = COALESCE($9, renewal_requires_medical),
           updated_at = CURRENT_TIMESTAMP
-        WHERE category_code = $7
+        WHERE category_code = $10
         RETURNING *
       `;
 
-      const values = [category_label, description, fee, min_age, vehicle_type, is_active, categoryCode];
+      const values = [
+        category_label, description, fee, min_age, vehicle_type, is_active, validity_years,
+        renewal_fee, renewal_requires_medical, categoryCode
+      ];
       const result = await this.executeQuery(query, values, 'Update licence category');
 
       if (result.rows.length === 0) {
@@ -613,31 +844,134 @@ class User {
   // Save user session - UPDATED
   static async saveUserSession(userId, sessionData) {
     try {
-      const { session_id, access_token, token_type, expires_in = 3600, scope } = sessionData;
+      const {
+        session_id,
+        access_token,
+        token_type,
+        expires_in = 3600,
+        scope,
+        refresh_token = null,
+        id_token = null,
+        access_token_expires_in = expires_in
+      } = sessionData;
 
       // Validate required fields
       this.validateRequiredFields(sessionData, ['session_id', 'access_token']);
 
       const query = `
-      INSERT INTO user_sessions (sub, session_id, access_token, token_type, expires_in, scope) 
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO user_sessions (
+        sub, session_id, access_token, token_type, expires_in, scope,
+        refresh_token, id_token, access_token_expires_at
+      ) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP + $9 * INTERVAL '1 second')
       ON CONFLICT (session_id) 
       DO UPDATE SET 
         access_token = EXCLUDED.access_token,
         token_type = EXCLUDED.token_type,
         expires_in = EXCLUDED.expires_in,
         scope = EXCLUDED.scope,
+        refresh_token = EXCLUDED.refresh_token,
+        id_token = EXCLUDED.id_token,
+        access_token_expires_at = EXCLUDED.access_token_expires_at,
         created_at = CURRENT_TIMESTAMP
       RETURNING *
     `;
 
-      const values = [userId, session_id, access_token, token_type, expires_in, scope];
+      const values = [
+        userId, session_id, access_token, token_type, expires_in, scope,
+        refresh_token, id_token, access_token_expires_in
+      ];
       const result = await this.executeQuery(query, values, 'Save user session');
       return result.rows[0];
     } catch (error) {
       throw new Error(`Failed to save user session: ${error.message}`);
     }
   }
+  // Replace the tokens of a session after a refresh, keeping the session lifetime
+  static async updateSessionTokens(sessionId, tokenData) {
+    try {
+      if (!sessionId) {
+        throw new Error('sessionId is required');
+      }
+
+      const { access_token, token_type, expires_in = 3600, scope, refresh_token, id_token } = tokenData;
+
+      this.validateRequiredFields(tokenData, ['access_token']);
+
+      const query = `
+        UPDATE user_sessions
+        SET
+          access_token = $1,
+          token_type = COALESCE($2, token_type),
+          scope = COALESCE($3, scope),
+          refresh_token = COALESCE($4, refresh_token),
+          id_token = COALESCE($5, id_token),
+          access_token_expires_at = CURRENT_TIMESTAMP + $6 * INTERVAL '1 second',
+          refreshed_at = CURRENT_TIMESTAMP
+        WHERE session_id = $7
+        RETURNING *
+      `;
+
+      const values = [access_token, token_type, scope, refresh_token, id_token, expires_in, sessionId];
+      const result = await this.executeQuery(query, values, 'Update session tokens');
+
+      if (result.rows.length === 0) {
+        throw new Error('Session not found');
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to update session tokens: ${error.message}`);
+    }
+  }
+
+  // Find an active session with its user
+  static async findActiveSession(sessionId) {
+    try {
+      if (!sessionId) {
+        throw new Error('sessionId is required');
+      }
+
+      const query = `
+        SELECT
+          s.session_id, s.sub, s.access_token, s.token_type, s.scope,
+          s.refresh_token, s.id_token, s.access_token_expires_at,
+          s.created_at, s.expires_at,
+          u.name, u.name_si, u.name_ta, u.email, u.phone, u.date_of_birth,
+          u.gender, u.nic, u.address, u.address_details,
+          ARRAY(SELECT ur.role_code FROM user_roles ur WHERE ur.sub = s.sub ORDER BY ur.role_code) AS roles
+        FROM user_sessions s
+        JOIN users u ON s.sub = u.sub
+        WHERE s.session_id = $1 AND s.expires_at > CURRENT_TIMESTAMP
+      `;
+
+      const result = await this.executeQuery(query, [sessionId], 'Find active session');
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to find session: ${error.message}`);
+    }
+  }
+
+  // Delete user session
+  static async deleteUserSession(sessionId) {
+    try {
+      if (!sessionId) {
+        throw new Error('sessionId is required');
+      }
+
+      const query = `
+        DELETE FROM user_sessions
+        WHERE session_id = $1
+        RETURNING session_id
+      `;
+
+      const result = await this.executeQuery(query, [sessionId], 'Delete user session');
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete user session: ${error.message}`);
+    }
+  }
+
   // Save application
  static async saveApplication(applicationData) {
     try {
@@ -647,6 +981,8 @@ class User {
         medical_certificate_id,
         selectCategories,
         status = 'pending',
+        applicationType = 'new',
+        licenceNumber = null,
         
         // Personal Information
         fullName,
@@ -677,7 +1013,7 @@ class User {
         payment_transaction_id = null
       } = applicationData;
 
-      // Validate required fields
+      // Validate required fields; renewals carry a medical certificate only when a category needs one
       this.validateRequiredFields(applicationData, [
         'sub', 
         'application_id', 
@@ -685,10 +1021,9 @@ class User {
         'fullName',
         'email',
         'dob',
-        'doctorName',
-        'hospital',
-        'issuedDate',
-        'expiryDate'
+        ...(applicationType === 'renewal'
+          ? ['licenceNumber']
+          : ['medical_certificate_id', 'doctorName', 'hospital', 'issuedDate', 'expiryDate'])
       ]);
 
       // Validate selectCategories is valid JSON object/array
@@ -702,9 +1037,8 @@ class User {
       }
 
       // Validate status
-      const validStatuses = ['pending', 'submitted', 'approved', 'rejected', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+      if (!APPLICATION_STATUSES.includes(status)) {
+        throw new Error(`Invalid status. Must be one of: ${APPLICATION_STATUSES.join(', ')}`);
       }
 
       // Validate test results structure
@@ -716,17 +1050,24 @@ class User {
         throw new Error('practicalTest must be a valid JSON object');
       }
 
+      // The initial status is recorded as the first entry of the status history
       const query = `
-        INSERT INTO applications (
-          sub, application_id, medical_certificate_id, 
-          selected_categories, status, total_amount, payment_reference_id,
-          payment_transaction_id, full_name, email, phone, date_of_birth, gender,
-          blood_group, doctor_name, hospital, issued_date, expiry_date,
-          is_fit_to_drive, vision, hearing, remarks, photo_url,
-          written_test, practical_test
-        ) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25)
-        RETURNING *
+        WITH inserted AS (
+          INSERT INTO applications (
+            sub, application_id, medical_certificate_id, 
+            selected_categories, status, total_amount, payment_reference_id,
+            payment_transaction_id, full_name, email, phone, date_of_birth, gender,
+            blood_group, doctor_name, hospital, issued_date, expiry_date,
+            is_fit_to_drive, vision, hearing, remarks, photo_url,
+            written_test, practical_test, application_type, licence_number
+          ) 
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27)
+          RETURNING *
+        ), history AS (
+          INSERT INTO application_status_history (application_id, from_status, to_status, actor_sub, actor_role)
+          SELECT application_id, NULL, status, sub, $28 FROM inserted
+        )
+        SELECT * FROM inserted
       `;
 
       const values = [
@@ -754,13 +1095,108 @@ class User {
         remarks,
         photoUrl,
         writtenTest ? JSON.stringify(writtenTest) : null,
-        practicalTest ? JSON.stringify(practicalTest) : null
+        practicalTest ? JSON.stringify(practicalTest) : null,
+        applicationType,
+        licenceNumber,
+        APPLICANT
       ];
 
-      const result = await this.executeQuery(query, values, 'Save application');
-      return result.rows[0];
+      // Conflicts are checked and the application inserted under advisory locks on the applicant,
+      // email and NIC, so two submissions racing each other cannot both pass the check
+      const user = await this.findBySub(sub);
+      const nic = user ? user.nic : null;
+      const lockKeys = [`sub:${sub}`, `email:${email.toLowerCase()}`, ...(nic ? [`nic:${nic}`] : [])].sort();
+
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+        for (const key of lockKeys) {
+          await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+        }
+
+        const conflicts = await this.findConflictingApplications({ sub, categories: selectCategories, email, nic }, client);
+        if (conflicts.length > 0) {
+          throw this.conflictError(conflicts[0]);
+        }
+
+        const result = await client.query(query, values);
+        await client.query('COMMIT');
+        this.logOperation('Save application', true);
+        return result.rows[0];
+      } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+          throw new Error('Duplicate entry: Record already exists');
+        }
+        throw error;
+      } finally {
+        client.release();
+      }
     } catch (error) {
-      throw new Error(`Failed to save application: ${error.message}`);
+      const wrapped = new Error(`Failed to save application: ${error.message}`);
+      wrapped.existingApplicationId = error.existingApplicationId;
+      throw wrapped;
+    }
+  }
+
+  // Find open applications a new application would conflict with: the applicant's own open
+  // applications sharing a category or under review, and applications of other applicants
+  // with the same email or NIC that are open or approved
+  static async findConflictingApplications({ sub, categories, email, nic }, client = null) {
+    const categoryCodes = Array.isArray(categories) ? categories.map(String) : [];
+
+    const query = `
+      SELECT a.application_id, a.sub, a.status, a.selected_categories, a.created_at,
+        CASE
+          WHEN a.sub = $1 AND a.selected_categories ?| $2::text[] THEN 'same_categories'
+          WHEN a.sub = $1 THEN 'under_review'
+          WHEN lower(a.email) = lower($3::varchar) THEN 'same_email'
+          ELSE 'same_nic'
+        END AS conflict_type
+      FROM applications a
+      JOIN users u ON u.sub = a.sub
+      WHERE (a.sub = $1 AND a.status = ANY($5::varchar[])
+              AND (a.selected_categories ?| $2::text[] OR a.status = 'under_review'))
+         OR (a.sub <> $1 AND a.status = ANY($6::varchar[])
+              AND (lower(a.email) = lower($3::varchar) OR ($4::varchar IS NOT NULL AND u.nic = $4::varchar)))
+      ORDER BY (a.sub = $1) DESC, a.created_at ASC
+    `;
+
+    const values = [sub, categoryCodes, email || null, nic || null, OPEN_STATUSES, [...OPEN_STATUSES, 'approved']];
+    const result = client
+      ? await client.query(query, values)
+      : await this.executeQuery(query, values, 'Find conflicting applications');
+    return result.rows;
+  }
+
+  // Describe a conflict. Only the applicant's own applications are pointed to;
+  // another applicant's application is never disclosed.
+  static conflictError(conflict) {
+    const messages = {
+      same_categories: `Conflicting application ${conflict.application_id} is still ${conflict.status} for an overlapping licence category`,
+      under_review: `Conflicting application ${conflict.application_id} is under review; wait for its decision before applying again`,
+      same_email: 'Conflicting application: the email address is already used in an application of another applicant',
+      same_nic: 'Conflicting application: the NIC is already used in an application of another applicant'
+    };
+
+    const error = new Error(messages[conflict.conflict_type]);
+    if (conflict.conflict_type === 'same_categories' || conflict.conflict_type === 'under_review') {
+      error.existingApplicationId = conflict.application_id;
+    }
+    return error;
+  }
+
+  // Take the next value of the application number sequence
+  static async nextApplicationSequence() {
+    try {
+      const result = await this.executeQuery(
+        "SELECT nextval('application_number_seq') AS value",
+        [],
+        'Next application number'
+      );
+      return result.rows[0].value;
+    } catch (error) {
+      throw new Error(`Failed to generate application number: ${error.message}`);
     }
   }
 
@@ -773,8 +1209,8 @@ class User {
 
       const query = `
         SELECT 
-          id, sub, name, email, phone, date_of_birth, address, 
-          created_at, updated_at 
+          id, sub, name, name_si, name_ta, email, phone, date_of_birth,
+          gender, nic, address, address_details, created_at, updated_at 
         FROM users 
         WHERE sub = $1
       `;
@@ -836,7 +1272,7 @@ class User {
       const query = `
         SELECT 
           a.*,
-          (SELECT COUNT(*) FROM applications a2 JOIN users u2 ON a2.sub = u2.sub WHERE u2.sub = $1 ${status ? `AND a2.status = $${paramCount}` : ''}) as total_count
+          COUNT(*) OVER () as total_count
         FROM applications a 
         JOIN users u ON a.sub = u.sub
         ${whereClause}
@@ -852,52 +1288,122 @@ class User {
     }
   }
 
-  // Clean up expired sessions
-  static async cleanupExpiredSessions() {
+  // Build the WHERE conditions of an application search, adding the parameters to values
+  static buildApplicationSearchConditions(filters, values) {
+    const conditions = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+    // Wildcards typed by the user are matched literally
+    const contains = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+    if (filters.statuses && filters.statuses.length > 0) {
+      conditions.push(`a.status = ANY(${param(filters.statuses)}::varchar[])`);
+    }
+    if (filters.categories && filters.categories.length > 0) {
+      // Containment is answered by the GIN index on selected_categories
+      conditions.push(`a.selected_categories @> ${param(JSON.stringify(filters.categories))}::jsonb`);
+    }
+    if (filters.createdFrom) {
+      conditions.push(`a.created_at >= ${param(filters.createdFrom)}::date`);
+    }
+    if (filters.createdTo) {
+      conditions.push(`a.created_at < ${param(filters.createdTo)}::date + INTERVAL '1 day'`);
+    }
+    if (filters.hospital) {
+      conditions.push(`a.hospital ILIKE ${param(contains(filters.hospital))}`);
+    }
+    if (filters.medicalExpiresFrom) {
+      conditions.push(`a.expiry_date >= ${param(filters.medicalExpiresFrom)}::date`);
+    }
+    if (filters.medicalExpiresTo) {
+      conditions.push(`a.expiry_date <= ${param(filters.medicalExpiresTo)}::date`);
+    }
+    if (filters.search) {
+      const pattern = param(contains(filters.search));
+      conditions.push(`(a.full_name ILIKE ${pattern} OR a.email ILIKE ${pattern} OR a.application_id ILIKE ${pattern})`);
+    }
+
+    return conditions;
+  }
+
+  // Search applications with keyset pagination. sort.column must be a trusted column name;
+  // the cursor holds the sort value (as text) and id of the last row of the previous page.
+  // Rows without a sort value (renewals have no medical expiry) come last in either order,
+  // and a cursor value of null continues within them.
+  static async searchApplications(options = {}) {
     try {
+      const { filters = {}, sort = { column: 'created_at', direction: 'desc' }, cursor = null, limit = 25 } = options;
+      const values = [];
+      const conditions = this.buildApplicationSearchConditions(filters, values);
+      const comparator = sort.direction === 'asc' ? '>' : '<';
+      const direction = sort.direction === 'asc' ? 'ASC' : 'DESC';
+
+      if (cursor && cursor.value === null) {
+        values.push(cursor.id);
+        conditions.push(`(a.${sort.column} IS NULL AND a.id ${comparator} $${values.length})`);
+      } else if (cursor) {
+        values.push(cursor.value, cursor.id);
+        conditions.push(
+          `((a.${sort.column}, a.id) ${comparator} (CAST($${values.length - 1} AS ${sort.type}), $${values.length})`
+          + ` OR a.${sort.column} IS NULL)`
+        );
+      }
+
       const query = `
-      DELETE FROM user_sessions 
-      WHERE expires_at < CURRENT_TIMESTAMP
-      OR created_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
-      RETURNING session_id
-    `;
+        SELECT
+          a.id, a.application_id, a.sub, a.full_name, a.email, a.selected_categories, a.status,
+          a.hospital, a.expiry_date, a.total_amount, a.assigned_to, a.created_at, a.updated_at,
+          a.${sort.column}::text AS cursor_value
+        FROM applications a
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY a.${sort.column} ${direction} NULLS LAST, a.id ${direction}
+        LIMIT $${values.length + 1}
+      `;
 
-      const result = await this.executeQuery(query, [], 'Cleanup expired sessions');
-      this.logOperation(`Cleaned up ${result.rows.length} expired sessions`, true);
+      values.push(limit);
+      const result = await this.executeQuery(query, values, 'Search applications');
       return result.rows;
     } catch (error) {
-      throw new Error(`Failed to cleanup expired sessions: ${error.message}`);
+      throw new Error(`Failed to search applications: ${error.message}`);
     }
   }
 
-  // Update application status
-  static async updateApplicationStatus(applicationId, status) {
+  // Count the applications matching search filters
+  static async countApplications(filters = {}) {
     try {
-      if (!applicationId || !status) {
-        throw new Error('applicationId and status are required');
-      }
-
-      const validStatuses = ['pending', 'submitted', 'approved', 'rejected', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
-      }
+      const values = [];
+      const conditions = this.buildApplicationSearchConditions(filters, values);
 
       const query = `
-        UPDATE applications 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE application_id = $2
-        RETURNING *
+        SELECT COUNT(*) AS total
+        FROM applications a
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
       `;
 
-      const result = await this.executeQuery(query, [status, applicationId], 'Update application status');
+      const result = await this.executeQuery(query, values, 'Count applications');
+      return Number(result.rows[0].total);
+    } catch (error) {
+      throw new Error(`Failed to count applications: ${error.message}`);
+    }
+  }
 
-      if (result.rows.length === 0) {
-        throw new Error(`Application '${applicationId}' not found`);
-      }
+  // Clean up expired sessions
+  static async cleanupExpiredSessions() {
+    try {
+      const query = `
+      DELETE FROM user_sessions 
+      WHERE expires_at < CURRENT_TIMESTAMP
+      OR created_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+      RETURNING session_id
+    `;
 
-      return result.rows[0];
+      const result = await this.executeQuery(query, [], 'Cleanup expired sessions');
+      this.logOperation(`Cleaned up ${result.rows.length} expired sessions`, true);
+      return result.rows;
     } catch (error) {
-      throw new Error(`Failed to update application status: ${error.message}`);
+      throw new Error(`Failed to cleanup expired sessions: ${error.message}`);
     }
   }
 
@@ -932,6 +1438,33 @@ class User {
       await this.executeQuery(query, [], 'Create medical certificates table');
     }
   }
+
+  // Create test results table. Eligibility is decided from these recorded scores, never from
+  // results sent by the client.
+  static async createTestResultsTable(client = null) {
+    const query = `
+    CREATE TABLE IF NOT EXISTS test_results (
+      id SERIAL PRIMARY KEY,
+      sub VARCHAR(100) NOT NULL REFERENCES users(sub) ON DELETE CASCADE,
+      test_type VARCHAR(20) NOT NULL CHECK (test_type IN ('written', 'practical')),
+      test_id VARCHAR(100) NOT NULL,
+      test_date DATE NOT NULL,
+      score DECIMAL(6,2) NOT NULL,
+      max_score DECIMAL(6,2) NOT NULL DEFAULT 100 CHECK (max_score > 0),
+      details JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (sub, test_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_test_results_sub_type ON test_results(sub, test_type);
+  `;
+
+    if (client) {
+      await client.query(query);
+    } else {
+      await this.executeQuery(query, [], 'Create test results table');
+    }
+  }
 }
 
 module.exports = User;
\ No newline at end of file
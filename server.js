@@ -1,7 +1,10 @@
 const express = require("express");
-const { PORT } = require("./config");
+const cookieParser = require("cookie-parser");
+const { PORT, PORTAL_URL, AUTH_REQUEST_TTL_SECONDS, SESSION_COOKIE_NAME } = require("./config");
+const { MOCK_ESIGNET, MOCK_ESIGNET_ISSUER, MOCK_ESIGNET_IDENTITIES_FILE, USERINFO_RESPONSE_TYPE } = require("./config");
 const {
-  post_GetToken,
+  createAuthorizationRequest,
+  completeAuthorization,
   get_GetUserInfo,
   getMedicalCertificate,
   calculatePayment,
@@ -16,21 +19,120 @@ const {
   getWrittenTestResults,
   getPracticalTestResults,
   setMedicalCertificate,
+  setTestResult,
   setLicenceCategories
 } = require("./services/esignetService");
 
+const { createSession, getValidAccessToken, logout } = require("./services/sessionService");
+const { loadSession } = require("./middleware/session");
+const { requireAuth, requireOwnSubject, authorize } = require("./middleware/auth");
+const { validateApplicationId } = require("./middleware/validateParams");
+const { isValidApplicationNumber } = require("./services/applicationNumberService");
+const { getRoles, getUserRoles, grantRole, revokeRole } = require("./services/roleService");
+const { changeApplicationStatus, cancelApplication, getApplicationTimeline } = require("./services/applicationLifecycleService");
+const { amendApplication, getApplicationAmendments } = require("./services/amendmentService");
+const { createDraft, getDrafts, getDraft, saveDraftStep, discardDraft } = require("./services/draftService");
+const {
+  getReviewQueue,
+  claimApplication,
+  assignApplication,
+  releaseApplication,
+  decideApplication,
+  getDecisionReasons,
+  getSuspectedDuplicates,
+  addApplicationNote,
+  getApplicationNotes
+} = require("./services/reviewService");
+const { searchApplications } = require("./services/applicationSearchService");
+const { evaluateEligibility } = require("./services/eligibilityService");
+const { getCategoryRules, getCategoryRulesByCode, setCategoryRules } = require("./services/categoryRuleService");
+const { issueLicenceForApplication, getMyLicence, getLicenceByNumber, changeLicenceStatus } = require("./services/licenceService");
+const { getRenewalOptions, calculateRenewalPayment, submitRenewal } = require("./services/renewalService");
+const { createApplicationReceipt, createTemporaryPermit } = require("./services/pdfService");
+const {
+  OID4VCI_ERRORS,
+  getCredentialIssuerMetadata,
+  getAuthorizationServerMetadata,
+  getJwtVcIssuerMetadata,
+  createCredentialOffer,
+  exchangePreAuthorizedCode,
+  issueCredential,
+  cleanupExpiredOffers
+} = require("./services/oid4vciService");
+const { loadIssuerKeys } = require("./services/issuerKeyService");
+const { verifyLicence, verifyQrPayload } = require("./services/verificationService");
+const {
+  uploadDocument,
+  getApplicationDocuments,
+  getDownloadUrl,
+  getDocumentContent,
+  deleteDocument,
+  cleanupOrphanedDocuments
+} = require("./services/documentService");
+const { uploadSingle } = require("./middleware/upload");
+const Draft = require("./models/draftModel");
+const { getPublicJwks, loadKeys } = require("./services/keyService");
+const { loadProviderMetadata } = require("./services/discoveryService");
+const { loadClaimMapping } = require("./services/claimMappingService");
+const AuthRequest = require("./models/authRequestModel");
+const User = require("./models/userModel");
+
 const app = express();
 app.use(express.json());
+app.use(cookieParser());
+app.use(loadSession);
 
 // You need to enable CORS for your frontend to communicate with this backend
 const cors = require('cors');
 const { saveApplication } = require("./models/userModel");
 
 // Allow requests from your React App's origin (http://localhost:3009)
+// Credentials are needed so the browser sends the login state cookie
 app.use(cors({
-  origin: 'http://localhost:3009'
+  origin: PORTAL_URL,
+  credentials: true
 }));
 
+// Cookie binding the OIDC state to the browser that started the login
+const AUTH_STATE_COOKIE = "dl_oidc_state";
+const authStateCookieOptions = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: "/"
+};
+
+// The session cookie only carries an opaque token; the session itself lives in user_sessions
+const sessionCookieOptions = { ...authStateCookieOptions };
+
+/**
+ * Creates a server-side session for the logged in user and sets the session cookie
+ * @param {Object} res express response
+ * @param {Object} tokenResponse token response from eSignet
+ * @param {Object} userInfo verified user information
+ */
+const startSession = async (res, tokenResponse, userInfo) => {
+  const { sessionToken, session } = await createSession(userInfo.sub, tokenResponse);
+
+  res.cookie(SESSION_COOKIE_NAME, sessionToken, {
+    ...sessionCookieOptions,
+    expires: new Date(session.expires_at)
+  });
+};
+
+// Local mock eSignet for offline development and CI; never enable in production
+if (MOCK_ESIGNET) {
+  const { createMockEsignet } = require("./mock/esignetProvider");
+
+  app.use(new URL(MOCK_ESIGNET_ISSUER).pathname, createMockEsignet({
+    issuer: MOCK_ESIGNET_ISSUER,
+    getClientJwks: getPublicJwks,
+    identitiesFile: MOCK_ESIGNET_IDENTITIES_FILE,
+    userinfoFormat: USERINFO_RESPONSE_TYPE.toLowerCase() === "jwe" ? "jwe" : "jwt"
+  }));
+  console.warn(`MOCK_ESIGNET is enabled: logins go to the mock provider at ${MOCK_ESIGNET_ISSUER}`);
+}
+
 app.get("/", (req, res) => {
   res.send("Welcome to Mock Relying Party REST APIs!!");
 });
@@ -39,25 +141,192 @@ app.get("/", (req, res) => {
 // AUTHENTICATION FLOW (Existing Endpoint)
 // ====================================================================
 
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys of this relying party, for eSignet to verify client assertions
+ *          and encrypt userinfo responses. Retired keys are not listed.
+ * @access  Public
+ */
+app.get("/.well-known/jwks.json", async (req, res) => {
+  try {
+    const jwks = await getPublicJwks();
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(jwks);
+  } catch (error) {
+    console.error("Error building JWKS:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /delegate/login
+ * @desc    Starts the authorization code flow: stores state, nonce and PKCE verifier and redirects to eSignet.
+ * @access  Public
+ */
+app.get("/delegate/login", async (req, res) => {
+  try {
+    const { authorizationUrl, state } = await createAuthorizationRequest();
+
+    res.cookie(AUTH_STATE_COOKIE, state, {
+      ...authStateCookieOptions,
+      maxAge: AUTH_REQUEST_TTL_SECONDS * 1000
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error("Error starting login:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /delegate/callback
+ * @desc    Redirect URI for eSignet. Checks state, nonce and PKCE before exchanging the code,
+ *          then starts a session and sends the browser back to the portal.
+ * @access  Public
+ * @query   code, state (or error, error_description)
+ */
+app.get("/delegate/callback", async (req, res) => {
+  const { code, state, error, error_description } = req.query;
+  const expectedState = req.cookies[AUTH_STATE_COOKIE];
+  res.clearCookie(AUTH_STATE_COOKIE, authStateCookieOptions);
+
+  if (error) {
+    return res.status(400).json({ error, error_description });
+  }
+
+  try {
+    const { tokenResponse, userInfo } = await completeAuthorization({ code, state, expectedState });
+    await startSession(res, tokenResponse, userInfo);
+    res.redirect(PORTAL_URL);
+  } catch (error) {
+    console.error("Error in login callback:", error.message);
+
+    if (error.message.includes('Invalid authorization')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('verification failed')) {
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.message.includes('Claim mapping failed')) {
+      return res.status(422).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @route   POST /delegate/fetchUserInfo
  * @desc    Exchanges the authorization code for an access token and fetches user info.
+ *          The ID token and signed userinfo are verified against the eSignet JWKS.
+ *          On success a session is created and returned as an httpOnly cookie.
+ *          The login must have been started through /delegate/login: the state it returned is
+ *          required, and state, nonce and PKCE are checked.
  * @access  Public
+ * @body    { "code": "auth-code", "state": "state-from-redirect" }
  */
 app.post("/delegate/fetchUserInfo", async (req, res) => {
   try {
-    console.log("Fetching user info from eSignet...");
-    const tokenResponse = await post_GetToken(req.body);
-    console.log("Token response received");
+    // The state binds the code to a login started by /delegate/login; a missing state is refused
+    const expectedState = req.cookies[AUTH_STATE_COOKIE];
+    res.clearCookie(AUTH_STATE_COOKIE, authStateCookieOptions);
+
+    const { tokenResponse, userInfo } = await completeAuthorization({
+      code: req.body.code,
+      state: req.body.state,
+      expectedState
+    });
+    await startSession(res, tokenResponse, userInfo);
+    res.json(userInfo);
+  } catch (error) {
+    console.error("Error in fetchUserInfo:", error.message);
 
-    if (tokenResponse.error) {
-      return res.status(400).json(tokenResponse);
+    if (error.message.includes('Invalid authorization')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('verification failed')) {
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.message.includes('Claim mapping failed')) {
+      return res.status(422).json({ error: error.message });
     }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/session
+ * @desc    Returns the user of the current session.
+ * @access  Session
+ */
+app.get("/api/session", (req, res) => {
+  if (!req.session) {
+    return res.status(401).json({ error: "Not authenticated." });
+  }
+
+  res.json({
+    user: req.user,
+    expiresAt: req.session.expires_at
+  });
+});
 
-    const userInfo = await get_GetUserInfo(tokenResponse.access_token);
+/**
+ * @route   GET /api/userinfo
+ * @desc    Fetches fresh user info from eSignet with the session's access token,
+ *          refreshing the token first when it is about to expire.
+ * @access  Session
+ */
+app.get("/api/userinfo", requireAuth, async (req, res) => {
+  try {
+    const accessToken = await getValidAccessToken(req.session);
+    const userInfo = await get_GetUserInfo(accessToken, { expectedSub: req.user.sub });
     res.json(userInfo);
   } catch (error) {
-    console.error("Error in fetchUserInfo:", error.message);
+    console.error("Error fetching user info:", error.message);
+
+    if (error.message.includes('Session expired')) {
+      res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions);
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.message.includes('verification failed')) {
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.message.includes('Claim mapping failed')) {
+      return res.status(422).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/logout
+ * @desc    Revokes the eSignet tokens, destroys the current session and clears the session cookie.
+ *          Returns the eSignet end-session URL the portal should navigate to, when there is one.
+ * @access  Session
+ */
+app.post("/api/logout", async (req, res) => {
+  try {
+    const { endSessionUrl } = await logout(req.cookies[SESSION_COOKIE_NAME]);
+    res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions);
+    res.json({ success: true, endSessionUrl });
+  } catch (error) {
+    console.error("Error logging out:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /delegate/logout
+ * @desc    Browser logout: same as POST /api/logout, then redirects to the eSignet end-session
+ *          endpoint with id_token_hint, or straight back to the portal.
+ * @access  Session
+ */
+app.get("/delegate/logout", async (req, res) => {
+  try {
+    const { endSessionUrl } = await logout(req.cookies[SESSION_COOKIE_NAME]);
+    res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions);
+    res.redirect(endSessionUrl || PORTAL_URL);
+  } catch (error) {
+    console.error("Error logging out:", error.message);
     res.status(500).json({ error: error.message });
   }
 });
@@ -68,29 +337,28 @@ app.post("/delegate/fetchUserInfo", async (req, res) => {
 
 /**
  * @route   POST /api/medical-certificate
- * @desc    Fetches a mock medical certificate based on a user's subject identifier.
- * @access  Public (in a real app, this would be protected)
+ * @desc    Returns the latest medical certificate recorded for the logged in user by a medical officer
+ *          (404 when none is recorded). Applicants cannot record certificates themselves.
+ * @access  Session (an optional "sub" must match the session)
  * @body    { "sub": "user-subject-identifier" }
  */
-app.post("/api/medical-certificate", async (req, res) => {
+app.post("/api/medical-certificate", requireAuth, requireOwnSubject, async (req, res) => {
   try {
-    const { sub } = req.body;
-
-    if (!sub) {
-      return res.status(400).json({ error: "User subject identifier (sub) is required." });
-    }
+    const { sub } = req.user;
 
     const medicalCertificate = await getMedicalCertificate(sub);
     res.json(medicalCertificate);
   } catch (error) {
     console.error("Error fetching medical certificate:", error.message);
-    res.status(500).json({ error: error.message });
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
   }
 });
 
 /**
  * @route   POST /api/calculate-payment
- * @desc    Calculates the total payment based on selected licence categories.
+ * @desc    Calculates the total payment based on selected licence categories. For logged in
+ *          applicants the selection is also checked against the category prerequisite rules and
+ *          their open applications (409 with existingApplicationId on a conflict).
  * @access  Public
  * @body    { "categories": ["A1", "B"] }
  */
@@ -102,14 +370,44 @@ app.post("/api/calculate-payment", async (req, res) => {
       return res.status(400).json({ error: "An array of 'categories' is required." });
     }
 
-    const paymentResult = await calculatePayment(categories);
+    const paymentResult = await calculatePayment(categories, req.user?.sub);
     res.json(paymentResult);
   } catch (error) {
     console.error("Error calculating payment:", error.message);
+
+    if (error.message.includes('Prerequisites not met')) {
+      return res.status(422).json({ error: error.message });
+    }
+    if (error.message.includes('Conflicting application')) {
+      return res.status(409).json({ error: error.message, existingApplicationId: error.existingApplicationId || null });
+    }
     res.status(400).json({ error: error.message });
   }
 });
 
+/**
+ * @route   POST /api/eligibility
+ * @desc    Checks eligibility for the selected licence categories with the same rules as submission,
+ *          so the portal can show the reasons before payment. The verified date of birth is used when known.
+ *          The medical certificate and test results are the ones recorded for the user; values sent for
+ *          them are ignored.
+ * @access  Session
+ * @body    { "selectedCategories": ["B"], "dob": "2000-01-31", "certificateId": "MC-1A2B3C4D" }
+ */
+app.post("/api/eligibility", requireAuth, async (req, res) => {
+  try {
+    const verdict = await evaluateEligibility(req.body, req.user.sub);
+    res.json(verdict);
+  } catch (error) {
+    console.error("Error checking eligibility:", error.message);
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/licence-categories
  * @desc    Retrieves available driving licence categories.
@@ -125,6 +423,65 @@ app.get("/api/licence-categories", async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/licence-category-rules
+ * @desc    Lists the prerequisite and progression rules of all licence categories
+ * @access  Public
+ */
+app.get("/api/licence-category-rules", async (req, res) => {
+  try {
+    const rules = await getCategoryRules();
+    res.json(rules);
+  } catch (error) {
+    console.error("Error fetching category rules:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/licence-categories/:categoryCode/rules
+ * @desc    Get the prerequisite and progression rules of a licence category
+ * @access  Public
+ */
+app.get("/api/licence-categories/:categoryCode/rules", async (req, res) => {
+  try {
+    const rules = await getCategoryRulesByCode(req.params.categoryCode);
+    res.json(rules);
+  } catch (error) {
+    console.error("Error fetching category rules:", error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/licence-categories/:categoryCode/rules
+ * @desc    Replace the rules of a licence category. Each "requires" entry is met by holding any
+ *          category of anyOf for minYearsHeld years; "implies" lists categories a licence for this
+ *          category also covers.
+ * @access  Roles: admin
+ * @body    { "requires": [{ "anyOf": ["D1", "C"], "minYearsHeld": 1 }], "implies": ["D1"] }
+ */
+app.put("/api/licence-categories/:categoryCode/rules", authorize('licenceCategories:manage'), async (req, res) => {
+  try {
+    const rules = await setCategoryRules(req.params.categoryCode, req.body, req.user);
+    res.json(rules);
+  } catch (error) {
+    console.error("Error saving category rules:", error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/licence-categories/:categoryCode
  * @desc    Get specific licence category by code
@@ -148,9 +505,9 @@ app.get("/api/licence-categories/:categoryCode", async (req, res) => {
 /**
  * @route   POST /api/licence-categories
  * @desc    Add new licence category (Admin function)
- * @access  Public (should be protected in production)
+ * @access  Roles: admin
  */
-app.post("/api/licence-categories", async (req, res) => {
+app.post("/api/licence-categories", authorize('licenceCategories:manage'), async (req, res) => {
   try {
     const categoryData = req.body;
 
@@ -169,9 +526,9 @@ app.post("/api/licence-categories", async (req, res) => {
 /**
  * @route   PUT /api/licence-categories/:categoryCode
  * @desc    Update existing licence category (Admin function)
- * @access  Public (should be protected in production)
+ * @access  Roles: admin
  */
-app.put("/api/licence-categories/:categoryCode", async (req, res) => {
+app.put("/api/licence-categories/:categoryCode", authorize('licenceCategories:manage'), async (req, res) => {
   try {
     const { categoryCode } = req.params;
     const categoryData = req.body;
@@ -195,9 +552,9 @@ app.put("/api/licence-categories/:categoryCode", async (req, res) => {
 /**
  * @route   DELETE /api/licence-categories/:categoryCode
  * @desc    Delete licence category (soft delete - Admin function)
- * @access  Public (should be protected in production)
+ * @access  Roles: admin
  */
-app.delete("/api/licence-categories/:categoryCode", async (req, res) => {
+app.delete("/api/licence-categories/:categoryCode", authorize('licenceCategories:manage'), async (req, res) => {
   try {
     const { categoryCode } = req.params;
     const deletedCategory = await deleteLicenceCategory(categoryCode);
@@ -216,36 +573,147 @@ app.delete("/api/licence-categories/:categoryCode", async (req, res) => {
   }
 });
 
+// ====================================================================
+// APPLICATION DRAFTS
+// ====================================================================
+
+/**
+ * Sends the error of a draft route with the matching status code
+ */
+const sendDraftError = (res, error) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+/**
+ * @route   POST /api/drafts
+ * @desc    Starts a draft application, optionally saving its first wizard step
+ * @access  Session
+ * @body    { "step": "personal", "data": { "fullName": "Nimal Perera", "email": "nimal@example.com" } }
+ */
+app.post("/api/drafts", requireAuth, async (req, res) => {
+  try {
+    const { step, data } = req.body;
+    const draft = await createDraft(req.user.sub, step, data);
+    res.status(201).json(draft);
+  } catch (error) {
+    console.error("Error creating draft:", error.message);
+    sendDraftError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/drafts
+ * @desc    Lists the drafts of the logged in user, so the flow can be resumed on any device
+ * @access  Session
+ */
+app.get("/api/drafts", requireAuth, async (req, res) => {
+  try {
+    const drafts = await getDrafts(req.user.sub);
+    res.json(drafts);
+  } catch (error) {
+    console.error("Error fetching drafts:", error.message);
+    sendDraftError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/drafts/:draftId
+ * @desc    Get a draft with its saved steps and the steps still incomplete
+ * @access  Session (own drafts only)
+ */
+app.get("/api/drafts/:draftId", requireAuth, validateApplicationId("draftId", false), async (req, res) => {
+  try {
+    const draft = await getDraft(req.params.draftId, req.user.sub);
+    res.json(draft);
+  } catch (error) {
+    console.error("Error fetching draft:", error.message);
+    sendDraftError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/drafts/:draftId/steps/:step
+ * @desc    Saves one wizard step (personal, medical, tests or categories) and extends the draft's expiry
+ * @access  Session (own drafts only)
+ * @body    Step fields, e.g. { "selectedCategories": ["B"] }
+ */
+app.put("/api/drafts/:draftId/steps/:step", requireAuth, validateApplicationId("draftId", false), async (req, res) => {
+  try {
+    const { draftId, step } = req.params;
+    const draft = await saveDraftStep(draftId, req.user.sub, step, req.body);
+    res.json(draft);
+  } catch (error) {
+    console.error("Error saving draft step:", error.message);
+    sendDraftError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/drafts/:draftId
+ * @desc    Discards a draft
+ * @access  Session (own drafts only)
+ */
+app.delete("/api/drafts/:draftId", requireAuth, validateApplicationId("draftId", false), async (req, res) => {
+  try {
+    await discardDraft(req.params.draftId, req.user.sub);
+    res.json({ message: "Draft discarded" });
+  } catch (error) {
+    console.error("Error discarding draft:", error.message);
+    sendDraftError(res, error);
+  }
+});
+
 /**
  * @route   POST /api/confirm-payment
- * @desc    Confirm payment status from payment gateway callback
- * @access  Public (this would be called by payment gateway)
- * @body    { "paymentReferenceId": "PAY-123", "paymentSuccess": true, "transactionId": "TXN-456" }
+ * @desc    Confirm payment status from payment gateway callback. With a draftId the application
+ *          is built from the completed draft, which is then removed. An application overlapping an open
+ *          one, or sharing email or NIC with another applicant, is refused with 409.
+ * @access  Session (the application is always saved for the logged in user)
+ * @body    { "draftId": "draft-id", "paymentReferenceId": "PAY-123", "paymentSuccess": true, "transactionId": "TXN-456" }
  */
-app.post("/api/confirm-payment", async (req, res) => {
+app.post("/api/confirm-payment", requireAuth, requireOwnSubject, async (req, res) => {
   try {
-    const formData = req.body;
+    if (req.body.draftId !== undefined && !isValidApplicationNumber(req.body.draftId)) {
+      return res.status(400).json({ error: `Invalid application number '${req.body.draftId}'.` });
+    }
+
+    const formData = {
+      ...req.body,
+      sub: req.user.sub
+    };
 
     const paymentResult = await confirmPayment(formData);
     res.json(paymentResult);
   } catch (error) {
     console.error("Error confirming payment:", error.message);
+
+    if (error.message.includes('Draft not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('Conflicting application')) {
+      return res.status(409).json({ error: error.message, existingApplicationId: error.existingApplicationId || null });
+    }
+    if (error.message.includes('Not eligible') || error.message.includes('Prerequisites not met')) {
+      return res.status(422).json({ error: error.message });
+    }
     res.status(400).json({ error: error.message });
   }
 });
 
 /**
- * @route   GET /api/application-history/:sub
- * @desc    Get application history for a user
- * @access  Public (should be protected in production)
+ * @route   GET /api/application-history/:sub?
+ * @desc    Get application history for the logged in user
+ * @access  Session (the optional :sub must match the session)
  */
-app.get("/api/application-history/:sub", async (req, res) => {
+app.get(["/api/application-history", "/api/application-history/:sub"], requireAuth, requireOwnSubject, async (req, res) => {
   try {
-    const { sub } = req.params;
-
-    if (!sub) {
-      return res.status(400).json({ error: "User subject identifier (sub) is required." });
-    }
+    const { sub } = req.user;
 
     const applications = await getApplicationHistory(sub);
     res.json(applications);
@@ -257,10 +725,10 @@ app.get("/api/application-history/:sub", async (req, res) => {
 
 /**
  * @route   GET /api/application-details/:applicationId
- * @desc    Get application details by ID
- * @access  Public (should be protected in production)
+ * @desc    Get application details by ID. Other users' applications are reported as not found.
+ * @access  Session
  */
-app.get("/api/application-details/:applicationId", async (req, res) => {
+app.get("/api/application-details/:applicationId", requireAuth, validateApplicationId(), async (req, res) => {
   try {
     const { applicationId } = req.params;
 
@@ -268,7 +736,7 @@ app.get("/api/application-details/:applicationId", async (req, res) => {
       return res.status(400).json({ error: "Application ID is required." });
     }
 
-    const application = await getApplicationDetails(applicationId);
+    const application = await getApplicationDetails(applicationId, req.user.sub);
     res.json(application);
   } catch (error) {
     console.error("Error fetching application details:", error.message);
@@ -281,111 +749,957 @@ app.get("/api/application-details/:applicationId", async (req, res) => {
 });
 
 /**
- * @route   GET /dmt/payment
- * @desc    Redirect endpoint for payment (placeholder)
- * @access  Public
+ * Sends the error of a status change with the matching status code
  */
-app.get('/dmt/payment', (req, res) => {
-  console.log(`[${new Date().toLocaleTimeString('en-LK')}] Received payment redirect request`);
-  res.json({
-    message: "Payment redirect endpoint",
-    note: "This would typically redirect to a payment gateway"
-  });
-});
-
-// Add these endpoints after the existing ones in server.js
+const sendStatusChangeError = (res, error) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('not permitted')) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.message.includes('Invalid status transition') || error.message.includes('changed concurrently')
+    || error.message.includes('no longer') || error.message.includes('Conflicting application')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.includes('Invalid') || error.message.includes('reason is required')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
 
 /**
- * @route   POST /api/written-test
- * @desc    Fetches written test results based on user's subject identifier
- * @access  Public
- * @body    { "sub": "user-subject-identifier" }
+ * @route   PATCH /api/applications/:applicationId/status
+ * @desc    Moves an application to a new status. Only transitions allowed by
+ *          config/applicationLifecycle.js are accepted, and each is recorded in the status history.
+ *          Applicants may cancel their own applications; licensing officers decide them. Applications
+ *          leave pending through payment confirmation (admins may submit one that has a payment reference).
+ *          Decisions need a reasonCode and can only be made by the officer the application is assigned to.
+ * @access  Session (the allowed actors depend on the transition)
+ * @body    { "status": "rejected", "reasonCode": "MEDICAL_EXPIRED", "reason": "Certificate expired in March" }
  */
-app.post("/api/written-test", async (req, res) => {
+app.patch("/api/applications/:applicationId/status", requireAuth, validateApplicationId(), async (req, res) => {
   try {
-    const { sub } = req.body;
+    const { status, reason, reasonCode } = req.body;
 
-    if (!sub) {
-      return res.status(400).json({ error: "User subject identifier (sub) is required." });
+    if (!status) {
+      return res.status(400).json({ error: "status is required." });
     }
 
-    const writtenTest = await getWrittenTestResults(sub);
-    res.json(writtenTest);
+    const change = await changeApplicationStatus(req.params.applicationId, status, reason, req.user, { reasonCode });
+    res.json(change);
   } catch (error) {
-    console.error("Error fetching written test results:", error.message);
-    res.status(500).json({ error: error.message });
+    console.error("Error changing application status:", error.message);
+    sendStatusChangeError(res, error);
   }
 });
 
 /**
- * @route   POST /api/practical-test
- * @desc    Fetches practical test results based on user's subject identifier
- * @access  Public
- * @body    { "sub": "user-subject-identifier" }
+ * @route   POST /api/applications/:applicationId/cancel
+ * @desc    Cancels an application. Applicants may cancel their own applications while they are
+ *          pending or submitted. For paid applications a refund (less CANCELLATION_FEE) is recorded
+ *          against the payment and returned as "refund".
+ * @access  Session (own applications; admins may also cancel applications under review)
+ * @body    { "reason": "Applied for the wrong category" }
  */
-app.post("/api/practical-test", async (req, res) => {
+app.post("/api/applications/:applicationId/cancel", requireAuth, validateApplicationId(), async (req, res) => {
   try {
-    const { sub } = req.body;
-
-    if (!sub) {
-      return res.status(400).json({ error: "User subject identifier (sub) is required." });
-    }
-
-    const practicalTest = await getPracticalTestResults(sub);
-    res.json(practicalTest);
+    const change = await cancelApplication(req.params.applicationId, req.body.reason, req.user);
+    res.json(change);
   } catch (error) {
-    console.error("Error fetching practical test results:", error.message);
-    res.status(500).json({ error: error.message });
+    console.error("Error cancelling application:", error.message);
+    sendStatusChangeError(res, error);
   }
 });
 
 /**
- * @route   POST /api/set-medical-certificate
- * @desc    Stores medical certificate for a user (admin function)
- * @access  Public (should be protected in production)
- * @body    { "sub": "user-subject-identifier", "certificateData": {...} }
+ * @route   POST /api/applications/:applicationId/amendments
+ * @desc    Corrects the applicant's details (email, phone, gender, bloodGroup) before review
+ *          starts. Each amendment creates a new version of the application and keeps the previous values.
+ *          An email already used in another applicant's application is refused with 409.
+ * @access  Session (own applications only)
+ * @body    { "changes": { "email": "new@example.com" }, "reason": "Typo in email address" }
  */
-app.post("/api/set-medical-certificate", async (req, res) => {
+app.post("/api/applications/:applicationId/amendments", requireAuth, validateApplicationId(), async (req, res) => {
   try {
-    const { sub, certificateData } = req.body;
-
-    if (!sub || !certificateData) {
-      return res.status(400).json({ error: "User subject identifier and certificate data are required." });
-    }
-
-    const result = await setMedicalCertificate(sub, certificateData);
-    res.json(result);
+    const amendment = await amendApplication(req.params.applicationId, req.body, req.user);
+    res.status(201).json(amendment);
   } catch (error) {
-    console.error("Error setting medical certificate:", error.message);
-    res.status(400).json({ error: error.message });
+    console.error("Error amending application:", error.message);
+    sendStatusChangeError(res, error);
   }
 });
 
 /**
- * @route   POST /api/set-licence-categories
- * @desc    Bulk update licence categories (admin function)
- * @access  Public (should be protected in production)
- * @body    { "categories": [{...}] }
+ * @route   GET /api/applications/:applicationId/amendments
+ * @desc    Amendment history of an application with the values before and after each change
+ * @access  Session (own applications; licensing officers and admins see all)
  */
-app.post("/api/set-licence-categories", async (req, res) => {
+app.get("/api/applications/:applicationId/amendments", requireAuth, validateApplicationId(), async (req, res) => {
   try {
-    const { categories } = req.body;
+    const amendments = await getApplicationAmendments(req.params.applicationId, req.user);
+    res.json(amendments);
+  } catch (error) {
+    console.error("Error fetching amendments:", error.message);
 
-    if (!categories || !Array.isArray(categories)) {
-      return res.status(400).json({ error: "An array of categories is required." });
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
     }
-
-    const result = await setLicenceCategories(categories);
-    res.json(result);
-  } catch (error) {
-    console.error("Error setting licence categories:", error.message);
-    res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/applications/:applicationId/timeline
+ * @desc    Status history of an application: who changed it, when and why.
+ * @access  Session (own applications; licensing officers and admins see all)
+ */
+app.get("/api/applications/:applicationId/timeline", requireAuth, validateApplicationId(), async (req, res) => {
+  try {
+    const timeline = await getApplicationTimeline(req.params.applicationId, req.user);
+    res.json(timeline);
+  } catch (error) {
+    console.error("Error fetching application timeline:", error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Sends a generated PDF for display in the browser
+ */
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Length": pdf.length,
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Cache-Control": "private, no-store"
+  });
+  res.send(pdf);
+};
+
+/**
+ * @route   GET /api/applications/:applicationId/receipt.pdf
+ * @desc    Printable receipt with the fee breakdown and payment reference of an application
+ * @access  Session (own applications; licensing officers and admins see all)
+ */
+app.get("/api/applications/:applicationId/receipt.pdf", requireAuth, validateApplicationId(), async (req, res) => {
+  try {
+    const pdf = await createApplicationReceipt(req.params.applicationId, req.user);
+    sendPdf(res, pdf, `receipt-${req.params.applicationId}.pdf`);
+  } catch (error) {
+    console.error("Error creating application receipt:", error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /dmt/payment
+ * @desc    Redirect endpoint for payment (placeholder)
+ * @access  Public
+ */
+app.get('/dmt/payment', (req, res) => {
+  console.log(`[${new Date().toLocaleTimeString('en-LK')}] Received payment redirect request`);
+  res.json({
+    message: "Payment redirect endpoint",
+    note: "This would typically redirect to a payment gateway"
+  });
+});
+
+// Add these endpoints after the existing ones in server.js
+
+/**
+ * @route   POST /api/written-test
+ * @desc    Returns the latest written test result recorded for the logged in user by an examiner
+ *          (404 when none is recorded). Applicants cannot record results themselves.
+ * @access  Session (an optional "sub" must match the session)
+ * @body    { "sub": "user-subject-identifier" }
+ */
+app.post("/api/written-test", requireAuth, requireOwnSubject, async (req, res) => {
+  try {
+    const { sub } = req.user;
+
+    const writtenTest = await getWrittenTestResults(sub);
+    res.json(writtenTest);
+  } catch (error) {
+    console.error("Error fetching written test results:", error.message);
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/practical-test
+ * @desc    Returns the latest practical test result recorded for the logged in user by an examiner
+ *          (404 when none is recorded). Applicants cannot record results themselves.
+ * @access  Session (an optional "sub" must match the session)
+ * @body    { "sub": "user-subject-identifier" }
+ */
+app.post("/api/practical-test", requireAuth, requireOwnSubject, async (req, res) => {
+  try {
+    const { sub } = req.user;
+
+    const practicalTest = await getPracticalTestResults(sub);
+    res.json(practicalTest);
+  } catch (error) {
+    console.error("Error fetching practical test results:", error.message);
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/set-medical-certificate
+ * @desc    Records a medical certificate for a user (admin function); eligibility uses recorded certificates only
+ * @access  Roles: admin, medical_officer
+ * @body    { "sub": "user-subject-identifier", "certificateData": { "certificateId": "MC-123", "issuedDate": "2026-10-01",
+ *            "expiryDate": "2027-10-01", "doctorName": "Dr. A. Silva", "hospital": "...", "isFitToDrive": true } }
+ */
+app.post("/api/set-medical-certificate", authorize('medicalCertificates:write'), async (req, res) => {
+  try {
+    const { sub, certificateData } = req.body;
+
+    if (!sub || !certificateData) {
+      return res.status(400).json({ error: "User subject identifier and certificate data are required." });
+    }
+
+    const result = await setMedicalCertificate(sub, certificateData);
+    res.json(result);
+  } catch (error) {
+    console.error("Error setting medical certificate:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/set-test-result
+ * @desc    Records a written or practical test result for a user (examiner function); eligibility uses
+ *          recorded results only
+ * @access  Roles: admin, examiner
+ * @body    { "sub": "user-subject-identifier", "testType": "written", "resultData": { "testDate": "2026-10-01",
+ *            "score": 42, "maxScore": 50, "testCenter": "..." } }
+ */
+app.post("/api/set-test-result", authorize('testResults:write'), async (req, res) => {
+  try {
+    const { sub, testType, resultData } = req.body;
+
+    if (!sub || !testType || !resultData) {
+      return res.status(400).json({ error: "User subject identifier, test type and result data are required." });
+    }
+
+    const result = await setTestResult(sub, testType, resultData, req.user.sub);
+    res.json(result);
+  } catch (error) {
+    console.error("Error setting test result:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/set-licence-categories
+ * @desc    Bulk update licence categories (admin function)
+ * @access  Roles: admin
+ * @body    { "categories": [{...}] }
+ */
+app.post("/api/set-licence-categories", authorize('licenceCategories:manage'), async (req, res) => {
+  try {
+    const { categories } = req.body;
+
+    if (!categories || !Array.isArray(categories)) {
+      return res.status(400).json({ error: "An array of categories is required." });
+    }
+
+    const result = await setLicenceCategories(categories);
+    res.json(result);
+  } catch (error) {
+    console.error("Error setting licence categories:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ====================================================================
+// DOCUMENTS
+// ====================================================================
+
+/**
+ * Maps document errors to HTTP responses
+ */
+const sendDocumentError = (res, error) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('not permitted')) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.message.includes('no longer')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.includes('Invalid') || error.message.includes('expired')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+/**
+ * @route   POST /api/applications/:applicationId/documents
+ * @desc    Uploads a photo, NIC scan or supporting document for a draft or a pending or submitted
+ *          application of the user. The file is checked against the rules of its type in config/documentTypes.js;
+ *          photos must also show exactly one face, large enough to be recognised.
+ * @access  Session (own drafts and applications only)
+ * @body    multipart/form-data with "file" and "type" (photo, nic, medical_certificate or other)
+ */
+app.post("/api/applications/:applicationId/documents", requireAuth, validateApplicationId(), uploadSingle("file"), async (req, res) => {
+  try {
+    const document = await uploadDocument(req.params.applicationId, req.body.type, req.file, req.user);
+    res.status(201).json(document);
+  } catch (error) {
+    console.error("Error uploading document:", error.message);
+    sendDocumentError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/applications/:applicationId/documents
+ * @desc    Lists the documents of a draft or application with short-lived download links
+ * @access  Session (own drafts and applications) or Roles: admin, licensing_officer
+ */
+app.get("/api/applications/:applicationId/documents", requireAuth, validateApplicationId(), async (req, res) => {
+  try {
+    const documents = await getApplicationDocuments(req.params.applicationId, req.user);
+    res.json(documents);
+  } catch (error) {
+    console.error("Error fetching documents:", error.message);
+    sendDocumentError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/documents/:documentId/download-url
+ * @desc    Creates a new download link for a document. Links are signed for the requesting user
+ *          and expire after DOCUMENT_URL_TTL_SECONDS.
+ * @access  Session (own documents) or Roles: admin, licensing_officer
+ */
+app.get("/api/documents/:documentId/download-url", requireAuth, async (req, res) => {
+  try {
+    const download = await getDownloadUrl(req.params.documentId, req.user);
+    res.json(download);
+  } catch (error) {
+    console.error("Error creating download link:", error.message);
+    sendDocumentError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/documents/:documentId/content
+ * @desc    Downloads a document through a signed link
+ * @access  Session (the user the link was signed for)
+ * @query   expires, signature
+ */
+app.get("/api/documents/:documentId/content", requireAuth, async (req, res) => {
+  try {
+    const { document, content } = await getDocumentContent(req.params.documentId, req.query, req.user);
+
+    res.set({
+      "Content-Type": document.mime_type,
+      "Content-Length": content.length,
+      "Content-Disposition": `inline; filename="${document.storage_key.split("/").pop()}"`,
+      "Cache-Control": "private, no-store",
+      "X-Content-Type-Options": "nosniff"
+    });
+    res.send(content);
+  } catch (error) {
+    console.error("Error downloading document:", error.message);
+    sendDocumentError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/documents/:documentId
+ * @desc    Deletes a document uploaded to a draft. Documents of submitted applications are kept.
+ * @access  Session (own documents only)
+ */
+app.delete("/api/documents/:documentId", requireAuth, async (req, res) => {
+  try {
+    await deleteDocument(req.params.documentId, req.user);
+    res.json({ message: "Document deleted" });
+  } catch (error) {
+    console.error("Error deleting document:", error.message);
+    sendDocumentError(res, error);
+  }
+});
+
+// ====================================================================
+// OFFICER REVIEW
+// ====================================================================
+
+/**
+ * @route   GET /api/officer/queue
+ * @desc    Applications waiting for review, oldest first. status=under_review&mine=true lists
+ *          the applications claimed by the logged in officer.
+ * @access  Licensing officer, admin
+ * @query   status (submitted | under_review), mine, limit, offset
+ */
+app.get("/api/officer/queue", authorize('applications:review'), async (req, res) => {
+  try {
+    const { status, mine, limit, offset } = req.query;
+    const queue = await getReviewQueue({ status, mine: mine === 'true', limit, offset }, req.user);
+    res.json(queue);
+  } catch (error) {
+    console.error("Error fetching review queue:", error.message);
+    sendStatusChangeError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/admin/applications
+ * @desc    Searches all applications. Filters combine with AND; status and category take
+ *          comma separated lists (an application must hold every listed category). q matches
+ *          name, email or application ID. Pages are fetched with the returned nextCursor;
+ *          total is only returned for the first page.
+ * @access  Licensing officer, admin
+ * @query   status, category, createdFrom, createdTo, hospital, medicalExpiresFrom, medicalExpiresTo,
+ *          q, sort (createdAt | updatedAt | fullName | medicalExpiry | applicationId), order, limit, cursor
+ */
+app.get("/api/admin/applications", authorize('applications:review'), async (req, res) => {
+  try {
+    const result = await searchApplications(req.query);
+    res.json(result);
+  } catch (error) {
+    console.error("Error searching applications:", error.message);
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/officer/duplicates
+ * @desc    Groups of applications that look like duplicates: different applicants with the same email
+ *          or NIC, and one applicant's open applications for overlapping categories
+ * @access  Licensing officer, admin
+ */
+app.get("/api/officer/duplicates", authorize('applications:review'), async (req, res) => {
+  try {
+    const duplicates = await getSuspectedDuplicates();
+    res.json(duplicates);
+  } catch (error) {
+    console.error("Error fetching suspected duplicates:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/officer/decision-reasons
+ * @desc    Reason codes to choose from when approving or rejecting
+ * @access  Licensing officer, admin
+ */
+app.get("/api/officer/decision-reasons", authorize('applications:review'), (req, res) => {
+  res.json(getDecisionReasons());
+});
+
+/**
+ * @route   POST /api/officer/applications/:applicationId/claim
+ * @desc    Assigns a submitted application to the logged in officer and puts it under review.
+ *          Only one officer can claim an application.
+ * @access  Licensing officer, admin
+ */
+app.post("/api/officer/applications/:applicationId/claim", authorize('applications:review'), validateApplicationId(), async (req, res) => {
+  try {
+    const change = await claimApplication(req.params.applicationId, req.user);
+    res.json(change);
+  } catch (error) {
+    console.error("Error claiming application:", error.message);
+    sendStatusChangeError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/officer/applications/:applicationId/assignment
+ * @desc    Assigns an application to a licensing officer, or hands it over to another one
+ * @access  Admin
+ * @body    { "officerSub": "officer-subject-identifier" }
+ */
+app.put("/api/officer/applications/:applicationId/assignment", authorize('applications:assign'), validateApplicationId(), async (req, res) => {
+  try {
+    const change = await assignApplication(req.params.applicationId, req.body.officerSub, req.user);
+    res.json(change);
+  } catch (error) {
+    console.error("Error assigning application:", error.message);
+    sendStatusChangeError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/officer/applications/:applicationId/release
+ * @desc    Returns an application under review to the queue
+ * @access  Licensing officer the application is assigned to, admin
+ * @body    { "reason": "Going on leave" }
+ */
+app.post("/api/officer/applications/:applicationId/release", authorize('applications:review'), validateApplicationId(), async (req, res) => {
+  try {
+    const change = await releaseApplication(req.params.applicationId, req.body.reason, req.user);
+    res.json(change);
+  } catch (error) {
+    console.error("Error releasing application:", error.message);
+    sendStatusChangeError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/officer/applications/:applicationId/decision
+ * @desc    Approves or rejects an application assigned to the logged in officer
+ * @access  Licensing officer the application is assigned to, admin
+ * @body    { "decision": "rejected", "reasonCode": "TEST_FAILED", "reason": "Practical test not passed" }
+ */
+app.post("/api/officer/applications/:applicationId/decision", authorize('applications:review'), validateApplicationId(), async (req, res) => {
+  try {
+    const change = await decideApplication(req.params.applicationId, req.body, req.user);
+    res.json(change);
+  } catch (error) {
+    console.error("Error deciding application:", error.message);
+    sendStatusChangeError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/officer/applications/:applicationId/notes
+ * @desc    Internal notes on an application. Applicants never see them.
+ * @access  Licensing officer, admin
+ */
+app.get("/api/officer/applications/:applicationId/notes", authorize('applications:review'), validateApplicationId(), async (req, res) => {
+  try {
+    const notes = await getApplicationNotes(req.params.applicationId, req.user);
+    res.json(notes);
+  } catch (error) {
+    console.error("Error fetching application notes:", error.message);
+    sendStatusChangeError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/officer/applications/:applicationId/notes
+ * @desc    Adds an internal note to an application
+ * @access  Licensing officer, admin
+ * @body    { "note": "Called the applicant about the blurred photo" }
+ */
+app.post("/api/officer/applications/:applicationId/notes", authorize('applications:review'), validateApplicationId(), async (req, res) => {
+  try {
+    const note = await addApplicationNote(req.params.applicationId, req.body.note, req.user);
+    res.status(201).json(note);
+  } catch (error) {
+    console.error("Error adding application note:", error.message);
+    sendStatusChangeError(res, error);
+  }
+});
+
+// ====================================================================
+// LICENCES
+// ====================================================================
+
+/**
+ * Sends the HTTP status matching a licence error
+ */
+const sendLicenceError = (res, error) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('Cannot issue') || error.message.includes('Cannot change')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.includes('Conflicting application')) {
+    return res.status(409).json({ error: error.message, existingApplicationId: error.existingApplicationId || null });
+  }
+  if (error.message.includes('Not renewable')) {
+    return res.status(422).json({ error: error.message });
+  }
+  if (error.message.includes('expired')) {
+    return res.status(410).json({ error: error.message });
+  }
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+/**
+ * @route   GET /api/licences/me
+ * @desc    Current version of the logged in user's licence with the validity of each category
+ * @access  Session
+ */
+app.get("/api/licences/me", requireAuth, async (req, res) => {
+  try {
+    const licence = await getMyLicence(req.user.sub);
+    res.json(licence);
+  } catch (error) {
+    console.error("Error fetching licence:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/licences/me/renewal
+ * @desc    Renewal options for each category on the logged in user's licence: whether it can be renewed now
+ *          (from RENEWAL_WINDOW_DAYS before it expires), the renewal fee, whether a fresh medical certificate
+ *          is needed and the expiry date after renewal
+ * @access  Session
+ */
+app.get("/api/licences/me/renewal", requireAuth, async (req, res) => {
+  try {
+    const options = await getRenewalOptions(req.user.sub);
+    res.json(options);
+  } catch (error) {
+    console.error("Error fetching renewal options:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/licences/me/renewal/calculate-payment
+ * @desc    Calculates the renewal fee for categories of the logged in user's licence
+ * @access  Session
+ * @body    { "categories": ["B", "C1"] }
+ */
+app.post("/api/licences/me/renewal/calculate-payment", requireAuth, async (req, res) => {
+  try {
+    const payment = await calculateRenewalPayment(req.body.categories, req.user.sub);
+    res.json(payment);
+  } catch (error) {
+    console.error("Error calculating renewal payment:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/licences/me/renewals
+ * @desc    Submits a renewal of categories on the logged in user's licence for review. Tests are not
+ *          retaken; the medical certificate is only needed when a category requires one. Approval
+ *          extends the categories on the same licence number.
+ * @access  Session
+ * @body    { "categories": ["C1"], "certificateId": "MC-1A2B3C4D", "paymentSuccess": true, "payment_reference_id": "PAY-123", "payment_transaction_id": "TXN-456" }
+ */
+app.post("/api/licences/me/renewals", requireAuth, async (req, res) => {
+  try {
+    const result = await submitRenewal(req.body, req.user.sub);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("Error submitting renewal:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/licences/:licenceNumber/temporary.pdf
+ * @desc    Temporary driving permit for the current version of an active licence, with the holder's photo,
+ *          categories, validity dates and a verification QR code. Valid for TEMPORARY_PERMIT_VALIDITY_DAYS
+ *          from the issue of the version (410 once expired).
+ * @access  Session (own licence; licensing officers and admins see all)
+ */
+app.get("/api/licences/:licenceNumber/temporary.pdf", requireAuth, async (req, res) => {
+  try {
+    const pdf = await createTemporaryPermit(req.params.licenceNumber, req.user);
+    sendPdf(res, pdf, `temporary-permit-${req.params.licenceNumber}.pdf`);
+  } catch (error) {
+    console.error("Error creating temporary permit:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/officer/licences/:licenceNumber
+ * @desc    A licence with every version written since it was first issued
+ * @access  Licensing officer, admin
+ */
+app.get("/api/officer/licences/:licenceNumber", authorize('applications:review'), async (req, res) => {
+  try {
+    const licence = await getLicenceByNumber(req.params.licenceNumber);
+    res.json(licence);
+  } catch (error) {
+    console.error("Error fetching licence:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/officer/licences/:licenceNumber/status
+ * @desc    Suspends, revokes or reinstates a licence by writing a new version with the new status.
+ *          Revocation is final. Verification and credential issuance follow the new status at once.
+ * @access  Licensing officer, admin
+ * @body    { "status": "suspended", "reason": "Court order 123/2026" }
+ */
+app.post("/api/officer/licences/:licenceNumber/status", authorize('licences:changeStatus'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const licence = await changeLicenceStatus(req.params.licenceNumber, { status, reason }, req.user);
+    res.json(licence);
+  } catch (error) {
+    console.error("Error changing licence status:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/officer/applications/:applicationId/licence
+ * @desc    Issues the licence for an approved application when issuance failed at approval.
+ *          Returns the licence already issued for the application if there is one.
+ * @access  Licensing officer, admin
+ */
+app.post("/api/officer/applications/:applicationId/licence", authorize('applications:review'), validateApplicationId(), async (req, res) => {
+  try {
+    const licence = await issueLicenceForApplication(req.params.applicationId, req.user);
+    res.status(201).json(licence);
+  } catch (error) {
+    console.error("Error issuing licence:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+// ====================================================================
+// VERIFIABLE CREDENTIALS (OpenID4VCI, pre-authorized code flow)
+// ====================================================================
+
+/**
+ * Sends an OAuth / OpenID4VCI error response. invalid_proof errors carry a fresh c_nonce.
+ */
+const sendOid4vciError = (res, error) => {
+  const code = OID4VCI_ERRORS.find(candidate => error.message.startsWith(`${candidate}:`));
+  if (!code) {
+    return res.status(500).json({ error: "server_error", error_description: error.message });
+  }
+
+  if (code === "invalid_token") {
+    res.set("WWW-Authenticate", `Bearer error="invalid_token"`);
+  }
+  res.status(code === "invalid_token" ? 401 : 400).json({
+    error: code,
+    error_description: error.message.slice(code.length + 1).trim(),
+    ...(error.cNonce ? { c_nonce: error.cNonce, c_nonce_expires_in: error.cNonceExpiresIn } : {})
+  });
+};
+
+/**
+ * @route   GET /.well-known/openid-credential-issuer
+ * @desc    Credential issuer metadata: the driving licence as jwt_vc_json and vc+sd-jwt
+ * @access  Public
+ */
+app.get("/.well-known/openid-credential-issuer", async (req, res) => {
+  try {
+    res.json(await getCredentialIssuerMetadata());
+  } catch (error) {
+    console.error("Error building credential issuer metadata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /.well-known/oauth-authorization-server
+ * @desc    Authorization server metadata for the pre-authorized code flow
+ * @access  Public
+ */
+app.get("/.well-known/oauth-authorization-server", (req, res) => {
+  res.json(getAuthorizationServerMetadata());
+});
+
+/**
+ * @route   GET /.well-known/jwt-vc-issuer
+ * @desc    Issuer keys for verifying issued credentials, including retired keys
+ * @access  Public
+ */
+app.get("/.well-known/jwt-vc-issuer", async (req, res) => {
+  try {
+    res.json(await getJwtVcIssuerMetadata());
+  } catch (error) {
+    console.error("Error building issuer key set:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/licences/me/credential-offer
+ * @desc    Creates a single-use credential offer for the logged in user's licence. Show credentialOfferUri
+ *          as a QR code for the wallet to scan.
+ * @access  Session
+ * @body    { "credentialConfigurationIds": ["DrivingLicence_vc_sd_jwt"] } (optional, default: all)
+ */
+app.post("/api/licences/me/credential-offer", requireAuth, async (req, res) => {
+  try {
+    const offer = await createCredentialOffer(req.user.sub, req.body.credentialConfigurationIds);
+    res.status(201).json(offer);
+  } catch (error) {
+    console.error("Error creating credential offer:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/oid4vci/token
+ * @desc    Exchanges a pre-authorized code from a credential offer for an access token and c_nonce
+ * @access  Public (the pre-authorized code is the credential)
+ * @body    grant_type=urn:ietf:params:oauth:grant-type:pre-authorized_code&pre-authorized_code=... (form encoded)
+ */
+app.post("/api/oid4vci/token", express.urlencoded({ extended: false }), async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    res.json(await exchangePreAuthorizedCode(req.body));
+  } catch (error) {
+    console.error("Error exchanging pre-authorized code:", error.message);
+    sendOid4vciError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/oid4vci/credential
+ * @desc    Issues the offered licence credential bound to the key in the wallet's proof
+ * @access  Bearer access token from /api/oid4vci/token
+ * @body    { "credential_configuration_id": "DrivingLicence_vc_sd_jwt", "proof": { "proof_type": "jwt", "jwt": "..." } }
+ *          or { "format": "vc+sd-jwt", "vct": "DrivingLicenceCredential", "proof": {...} }
+ */
+app.post("/api/oid4vci/credential", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    res.json(await issueCredential(req.get("Authorization"), req.body));
+  } catch (error) {
+    console.error("Error issuing credential:", error.message);
+    sendOid4vciError(res, error);
+  }
+});
+
+// ====================================================================
+// LICENCE VERIFICATION
+// ====================================================================
+
+/**
+ * @route   GET /api/verify/:licenceNumber
+ * @desc    Authenticity and status of a licence for traffic police and employers: valid, expired,
+ *          suspended or revoked, the categories with their validity and the SHA-256 of the photo.
+ *          No other personal data is returned.
+ * @access  Public
+ */
+app.get("/api/verify/:licenceNumber", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    res.json(await verifyLicence(req.params.licenceNumber));
+  } catch (error) {
+    console.error("Error verifying licence:", error.message);
+    sendLicenceError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/verify/qr
+ * @desc    Verifies the signed payload read from a licence or temporary permit QR code and returns the
+ *          same result as GET /api/verify/:licenceNumber
+ * @access  Public
+ * @body    { "payload": "<compact JWS from the QR code>" }
+ */
+app.post("/api/verify/qr", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    const { payload } = req.body;
+    res.json(await verifyQrPayload(payload));
+  } catch (error) {
+    console.error("Error verifying QR payload:", error.message);
+    sendLicenceError(res, error);
   }
 });
 
 // ====================================================================
-// ERROR HANDLING MIDDLEWARE
-// ====================================================================
+// ROLE ADMINISTRATION
+// ====================================================================
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Lists the roles that can be granted
+ * @access  Roles: admin
+ */
+app.get("/api/admin/roles", authorize('roles:manage'), async (req, res) => {
+  try {
+    const roles = await getRoles();
+    res.json(roles);
+  } catch (error) {
+    console.error("Error fetching roles:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:sub/roles
+ * @desc    Lists the roles granted to a user
+ * @access  Roles: admin
+ */
+app.get("/api/admin/users/:sub/roles", authorize('roles:manage'), async (req, res) => {
+  try {
+    const roles = await getUserRoles(req.params.sub);
+    res.json(roles);
+  } catch (error) {
+    console.error("Error fetching user roles:", error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:sub/roles
+ * @desc    Grants a role to a user
+ * @access  Roles: admin
+ * @body    { "role": "licensing_officer" }
+ */
+app.post("/api/admin/users/:sub/roles", authorize('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({ error: "Role is required." });
+    }
+
+    const granted = await grantRole(req.params.sub, role, req.user.sub);
+    res.status(201).json(granted);
+  } catch (error) {
+    console.error("Error granting role:", error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/users/:sub/roles/:role
+ * @desc    Revokes a role from a user
+ * @access  Roles: admin
+ */
+app.delete("/api/admin/users/:sub/roles/:role", authorize('roles:manage'), async (req, res) => {
+  try {
+    const { sub, role } = req.params;
+    const revoked = await revokeRole(sub, role, req.user.sub);
+
+    res.json({
+      message: `Role ${role} revoked from ${sub}`,
+      role: revoked
+    });
+  } catch (error) {
+    console.error("Error revoking role:", error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ====================================================================
+// ERROR HANDLING MIDDLEWARE
+// ====================================================================
 
 // 404 handler for undefined routes
 app.use((req, res) => {
@@ -398,9 +1712,71 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: "Internal server error" });
 });
 
+// ====================================================================
+// HOUSEKEEPING
+// ====================================================================
+
+// Remove login attempts that were never completed, expired sessions, abandoned drafts and their documents,
+// and expired credential offers
+setInterval(() => {
+  AuthRequest.cleanupExpired().catch(error => {
+    console.error("Error cleaning up auth requests:", error.message);
+  });
+  User.cleanupExpiredSessions().catch(error => {
+    console.error("Error cleaning up sessions:", error.message);
+  });
+  Draft.cleanupExpired().catch(error => {
+    console.error("Error cleaning up drafts:", error.message);
+  });
+  cleanupOrphanedDocuments().catch(error => {
+    console.error("Error cleaning up documents:", error.message);
+  });
+  cleanupExpiredOffers().catch(error => {
+    console.error("Error cleaning up credential offers:", error.message);
+  });
+}, 60 * 60 * 1000).unref();
+
+// Reload the client and issuer key sets on SIGHUP, so rotated keys are picked up without a restart
+process.on("SIGHUP", () => {
+  loadKeys().catch(error => {
+    console.error("Error reloading client keys, keeping the previous key set:", error.message);
+  });
+  loadIssuerKeys().catch(error => {
+    console.error("Error reloading issuer keys, keeping the previous key set:", error.message);
+  });
+});
+
 // PORT ENVIRONMENT VARIABLE
 const port = PORT || 8888;
-app.listen(port, () => {
-  console.log(`Driving Licence Application API server listening on port ${port}`);
-  console.log(`CORS enabled for: http://localhost:3001`);
-});
\ No newline at end of file
+
+// eSignet metadata, client and issuer keys and the claim mapping are loaded before accepting requests, so misconfiguration fails fast.
+// The in-process mock eSignet is served by this app, so in that mode the metadata is loaded once listening.
+const startServer = async () => {
+  try {
+    if (!MOCK_ESIGNET) {
+      await loadProviderMetadata();
+    }
+    await loadKeys();
+    await loadIssuerKeys();
+    loadClaimMapping();
+  } catch (error) {
+    console.error(`Startup failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  app.listen(port, async () => {
+    console.log(`Driving Licence Application API server listening on port ${port}`);
+    console.log(`CORS enabled for: ${PORTAL_URL}`);
+
+    if (MOCK_ESIGNET) {
+      try {
+        await loadProviderMetadata();
+      } catch (error) {
+        console.error(`Startup failed: ${error.message}`);
+        process.exit(1);
+      }
+    }
+  });
+};
+
+startServer();
\ No newline at end of file
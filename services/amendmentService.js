@@ -0,0 +1,97 @@
+const Joi = require("joi");
+const Amendment = require("../models/amendmentModel");
+const { findVisibleApplication } = require("./applicationLifecycleService");
+const { AMENDABLE_STATUSES, AMENDABLE_FIELDS } = require("../config/applicationLifecycle");
+
+const AMENDMENT_SCHEMA = Joi.object({
+  changes: Joi.object({
+    email: Joi.string().trim().email().max(255),
+    phone: Joi.string().trim().max(50).allow(null),
+    gender: Joi.string().trim().max(20).allow(null),
+    bloodGroup: Joi.string().trim().max(10).allow(null)
+  }).min(1).required(),
+  reason: Joi.string().trim().max(1000).required()
+});
+
+/**
+ * Corrects details of the user's own application before review starts. Only the fields in
+ * AMENDABLE_FIELDS can change; every change bumps the application version and keeps the
+ * previous value for audit.
+ * @param {string} applicationId - Application ID
+ * @param {Object} body - { changes: { field: value }, reason }
+ * @param {Object} user - Session user
+ * @returns {Object} new version and the recorded changes
+ */
+const amendApplication = async (applicationId, body, user) => {
+  const { value, error } = AMENDMENT_SCHEMA.validate(body || {}, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid amendment: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  await findVisibleApplication(applicationId, user);
+
+  // The application row itself; findVisibleApplication merges in the user's contact details
+  const current = await Amendment.findCurrentValues(applicationId, Object.values(AMENDABLE_FIELDS));
+  if (current.sub !== user.sub) {
+    throw new Error("You are not permitted to amend this application.");
+  }
+  if (!AMENDABLE_STATUSES.includes(current.status)) {
+    throw new Error(`An application that is ${current.status} can no longer be amended.`);
+  }
+
+  const changes = Object.entries(value.changes)
+    .map(([field, newValue]) => ({ field, column: AMENDABLE_FIELDS[field], newValue }))
+    .filter(change => current[change.column] !== change.newValue);
+
+  if (changes.length === 0) {
+    throw new Error("Invalid amendment: the values are unchanged.");
+  }
+
+  // A new email must not be in use by another applicant; Amendment.apply checks it in its transaction
+  const rows = await Amendment.apply(applicationId, {
+    sub: current.sub,
+    expectedVersion: current.version,
+    statuses: AMENDABLE_STATUSES,
+    changes,
+    amendedBy: user.sub,
+    reason: value.reason
+  });
+
+  return {
+    applicationId,
+    version: rows[0].version,
+    changes: rows.map(row => ({ field: row.field, oldValue: row.old_value, newValue: row.new_value }))
+  };
+};
+
+/**
+ * Lists the amendments of an application, grouped by version
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Session user
+ * @returns {Object} current version and the amendments, oldest first
+ */
+const getApplicationAmendments = async (applicationId, user) => {
+  const application = await findVisibleApplication(applicationId, user);
+  const rows = await Amendment.findByApplication(applicationId);
+
+  const versions = [];
+  for (const row of rows) {
+    let version = versions[versions.length - 1];
+    if (!version || version.version !== row.version) {
+      version = { version: row.version, amendedBy: row.amended_by, reason: row.reason, createdAt: row.created_at, changes: [] };
+      versions.push(version);
+    }
+    version.changes.push({ field: row.field, oldValue: row.old_value, newValue: row.new_value });
+  }
+
+  return {
+    applicationId,
+    version: application.version,
+    amendments: versions
+  };
+};
+
+module.exports = {
+  amendApplication,
+  getApplicationAmendments
+};
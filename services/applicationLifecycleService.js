@@ -0,0 +1,240 @@
+const User = require("../models/userModel");
+const ApplicationStatus = require("../models/applicationStatusModel");
+const Refund = require("../models/refundModel");
+const { issueLicenceForApplication } = require("./licenceService");
+const { APPLICANT, APPLICATION_STATUSES, TRANSITIONS, REASON_REQUIRED } = require("../config/applicationLifecycle");
+const { DECISION_STATUSES, DECISION_REASONS } = require("../config/applicationLifecycle");
+const { POLICIES } = require("../config/policies");
+const { CANCELLATION_FEE } = require("../config");
+
+/**
+ * Whether the user holds one of the roles listed by a policy
+ * @param {Object} user - Session user with roles
+ * @param {string} action - Policy name from config/policies.js
+ * @returns {boolean}
+ */
+const hasPolicy = (user, action) => (user.roles || []).some(role => POLICIES[action].includes(role));
+
+/**
+ * Loads an application the user may see: their own, or any application for reviewers.
+ * Other applications are reported as missing so that IDs cannot be probed.
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Session user with sub and roles
+ * @returns {Object} Application
+ */
+const findVisibleApplication = async (applicationId, user) => {
+  let application;
+  try {
+    application = await User.findApplicationById(applicationId);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      throw new Error("Application not found.");
+    }
+    throw error;
+  }
+
+  if (application.sub !== user.sub && !hasPolicy(user, 'applications:review')) {
+    throw new Error("Application not found.");
+  }
+
+  return application;
+};
+
+/**
+ * Works out in which capacity the user may make a status change
+ * @param {Array} allowedActors - Roles, and possibly the applicant, allowed to make the change
+ * @param {Object} application - Application being changed
+ * @param {Object} user - Session user with sub and roles
+ * @returns {string|null} role to record as actor, or null when not permitted
+ */
+const resolveActorRole = (allowedActors, application, user) => {
+  const role = (user.roles || []).find(candidate => allowedActors.includes(candidate));
+  if (role) {
+    return role;
+  }
+
+  if (allowedActors.includes(APPLICANT) && application.sub === user.sub) {
+    return APPLICANT;
+  }
+
+  return null;
+};
+
+/**
+ * Refuses review work on an officer's own application: nobody claims, is assigned or decides
+ * an application they applied with
+ * @param {Object} application - Application
+ * @param {string} officerSub - Officer acting on or being assigned the application
+ */
+const assertNotOwnApplication = (application, officerSub) => {
+  if (officerSub && application.sub === officerSub) {
+    throw new Error("You are not permitted to review an application made by the reviewing officer.");
+  }
+};
+
+/**
+ * Checks the reason code of a decision
+ * @param {string} toStatus - Decision status
+ * @param {string} reasonCode - Code from config/applicationLifecycle.js
+ * @param {string} reason - Free-text reason
+ */
+const validateDecisionReason = (toStatus, reasonCode, reason) => {
+  const reasons = DECISION_REASONS[toStatus];
+  const decisionReason = reasons.find(candidate => candidate.code === reasonCode);
+
+  if (!decisionReason) {
+    throw new Error(`Invalid reason code for ${toStatus}. Must be one of: ${reasons.map(candidate => candidate.code).join(', ')}`);
+  }
+  if (decisionReason.requiresComment && !reason) {
+    throw new Error(`A reason is required with reason code ${reasonCode}.`);
+  }
+};
+
+/**
+ * Moves an application to a new status when the lifecycle allows it and the user may make the change.
+ * Moving into under_review assigns the application (to the user unless assignTo says otherwise);
+ * decisions need a reason code and can only be made by the officer the application is assigned to.
+ * @param {string} applicationId - Application ID
+ * @param {string} toStatus - Requested status
+ * @param {string} reason - Why the status changes; required for some statuses
+ * @param {Object} user - Session user with sub and roles
+ * @param {string} reasonCode - Structured reason, required for decisions
+ * @param {string} assignTo - Officer to assign when moving into under_review
+ * @returns {Object} Recorded status change; cancellations also carry the recorded refund and
+ * approvals the issued licence (null when issuance failed and must be retried)
+ */
+const changeApplicationStatus = async (applicationId, toStatus, reason, user, { reasonCode, assignTo } = {}) => {
+  if (!APPLICATION_STATUSES.includes(toStatus)) {
+    throw new Error(`Invalid status. Must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (REASON_REQUIRED.includes(toStatus) && !trimmedReason) {
+    throw new Error(`A reason is required to change an application to ${toStatus}.`);
+  }
+
+  const isDecision = DECISION_STATUSES.includes(toStatus);
+  if (isDecision) {
+    validateDecisionReason(toStatus, reasonCode, trimmedReason);
+  }
+
+  const application = await findVisibleApplication(applicationId, user);
+  const fromStatus = application.status;
+
+  const allowedActors = (TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!allowedActors) {
+    throw new Error(`Invalid status transition from ${fromStatus} to ${toStatus}.`);
+  }
+
+  const actorRole = resolveActorRole(allowedActors, application, user);
+  if (!actorRole) {
+    throw new Error(`You are not permitted to change this application from ${fromStatus} to ${toStatus}.`);
+  }
+
+  if (fromStatus === 'pending' && toStatus === 'submitted' && !application.payment_reference_id) {
+    throw new Error(`Invalid status transition from pending to submitted: application ${applicationId} has no confirmed payment.`);
+  }
+
+  let assignment;
+  let expectedAssignee = null;
+
+  if (toStatus === 'under_review') {
+    assignment = assignTo || user.sub;
+    if (assignment !== user.sub && !hasPolicy(user, 'applications:assign')) {
+      throw new Error("You are not permitted to assign applications to other officers.");
+    }
+    assertNotOwnApplication(application, user.sub);
+    assertNotOwnApplication(application, assignment);
+  } else if (fromStatus === 'under_review') {
+    // Only the assigned officer decides; admins may also release or cancel another officer's application
+    if (application.assigned_to !== user.sub && (isDecision || !hasPolicy(user, 'applications:assign'))) {
+      throw new Error("You are not permitted to act on an application assigned to another officer.");
+    }
+    if (isDecision) {
+      assertNotOwnApplication(application, user.sub);
+    }
+    expectedAssignee = application.assigned_to;
+    if (!isDecision) {
+      assignment = null;
+    }
+  }
+
+  // Whoever cancels, a paid application is owed a refund of the amount it was charged, which the server
+  // computed when it was submitted; later fee changes do not alter it. The refund is recorded in the
+  // same transaction as the cancellation, so there is never one without the other.
+  const paidAmount = toStatus === 'cancelled' ? parseFloat(application.total_amount) || 0 : 0;
+
+  const change = await ApplicationStatus.withTransaction(async (client) => {
+    const statusChange = await ApplicationStatus.changeStatus(applicationId, {
+      fromStatus,
+      toStatus,
+      actorSub: user.sub,
+      actorRole,
+      reason: trimmedReason || null,
+      reasonCode: isDecision ? reasonCode : null,
+      assignTo: assignment,
+      expectedAssignee
+    }, client);
+
+    if (toStatus === 'cancelled') {
+      statusChange.refund = await Refund.createForCancellation(applicationId, {
+        paidAmount,
+        cancellationFee: CANCELLATION_FEE,
+        requestedBy: user.sub,
+        reason: trimmedReason
+      }, client);
+    }
+    return statusChange;
+  });
+
+  // The approval stands even if issuance fails; officers retry it from the licence endpoint
+  if (toStatus === 'approved') {
+    try {
+      change.licence = await issueLicenceForApplication(applicationId, user);
+    } catch (error) {
+      console.error(`Licence issuance failed for application ${applicationId}:`, error.message);
+      change.licence = null;
+    }
+  }
+
+  return change;
+};
+
+/**
+ * Cancels an application. Applicants may cancel their own applications until review starts;
+ * a refund of the fee, less CANCELLATION_FEE, is recorded against the payment.
+ * @param {string} applicationId - Application ID
+ * @param {string} reason - Why the application is cancelled
+ * @param {Object} user - Session user with sub and roles
+ * @returns {Object} Recorded status change with the refund, or refund null when nothing was paid
+ */
+const cancelApplication = async (applicationId, reason, user) => {
+  return changeApplicationStatus(applicationId, 'cancelled', reason, user);
+};
+
+/**
+ * Retrieves the status history of an application
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Session user with sub and roles
+ * @returns {Object} Current status, the status changes, oldest first, and any refund
+ */
+const getApplicationTimeline = async (applicationId, user) => {
+  const application = await findVisibleApplication(applicationId, user);
+  const timeline = await ApplicationStatus.getTimeline(applicationId);
+
+  return {
+    applicationId,
+    status: application.status,
+    timeline,
+    refund: await Refund.findByApplication(applicationId)
+  };
+};
+
+module.exports = {
+  hasPolicy,
+  findVisibleApplication,
+  assertNotOwnApplication,
+  changeApplicationStatus,
+  cancelApplication,
+  getApplicationTimeline
+};
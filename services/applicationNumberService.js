@@ -0,0 +1,83 @@
+const User = require("../models/userModel");
+
+// DL-<year>-<sequence, at least 6 digits>-<Luhn check digit>, e.g. DL-2026-000123-3
+const APPLICATION_NUMBER_PATTERN = /^DL-(\d{4})-(\d{6,})-(\d)$/;
+
+// Applications saved before application numbers existed used the medical certificate number
+const LEGACY_APPLICATION_ID_PATTERN = /^MC-\d+$/;
+
+/**
+ * Computes the Luhn check digit of a string of digits
+ * @param {string} digits - Digits to protect
+ * @returns {number} check digit
+ */
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+
+  // Walking from the right, every first digit is doubled since the check digit goes after it
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Formats an application number from its year and sequence value
+ * @param {number} year - Year the number is issued in
+ * @param {number|string} sequence - Value from the application number sequence
+ * @returns {string} application number
+ */
+const formatApplicationNumber = (year, sequence) => {
+  const yearPart = String(year);
+  const sequencePart = String(sequence).padStart(6, "0");
+  return `DL-${yearPart}-${sequencePart}-${luhnCheckDigit(yearPart + sequencePart)}`;
+};
+
+/**
+ * Checks the format and check digit of an application number
+ * @param {string} value - Candidate application number
+ * @returns {boolean} whether it is a well-formed application number
+ */
+const isValidApplicationNumber = (value) => {
+  const match = typeof value === "string" && value.match(APPLICATION_NUMBER_PATTERN);
+  if (!match) {
+    return false;
+  }
+
+  const [, year, sequence, checkDigit] = match;
+  return luhnCheckDigit(year + sequence) === Number(checkDigit);
+};
+
+/**
+ * Accepts application numbers and the IDs of applications saved before they existed
+ * @param {string} value - Candidate application ID
+ * @returns {boolean} whether the ID can refer to an application
+ */
+const isValidApplicationId = (value) => {
+  return isValidApplicationNumber(value) || (typeof value === "string" && LEGACY_APPLICATION_ID_PATTERN.test(value));
+};
+
+/**
+ * Issues the next application number from the database sequence
+ * @returns {string} application number
+ */
+const nextApplicationNumber = async () => {
+  const sequence = await User.nextApplicationSequence();
+  return formatApplicationNumber(new Date().getFullYear(), sequence);
+};
+
+module.exports = {
+  luhnCheckDigit,
+  formatApplicationNumber,
+  isValidApplicationNumber,
+  isValidApplicationId,
+  nextApplicationNumber
+};
@@ -0,0 +1,119 @@
+const Joi = require("joi");
+const User = require("../models/userModel");
+const { APPLICATION_STATUSES } = require("../config/applicationLifecycle");
+
+// Sortable fields and the column and SQL type behind each
+const SORT_FIELDS = {
+  createdAt: { column: "created_at", type: "timestamp" },
+  updatedAt: { column: "updated_at", type: "timestamp" },
+  fullName: { column: "full_name", type: "varchar" },
+  medicalExpiry: { column: "expiry_date", type: "date" },
+  applicationId: { column: "application_id", type: "varchar" }
+};
+
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, "YYYY-MM-DD");
+const commaList = (item) => Joi.array().items(item).single();
+
+const SEARCH_SCHEMA = Joi.object({
+  status: commaList(Joi.string().valid(...APPLICATION_STATUSES)),
+  category: commaList(Joi.string().trim().max(10)),
+  createdFrom: isoDate,
+  createdTo: isoDate,
+  hospital: Joi.string().trim().max(255),
+  medicalExpiresFrom: isoDate,
+  medicalExpiresTo: isoDate,
+  q: Joi.string().trim().min(2).max(100),
+  sort: Joi.string().valid(...Object.keys(SORT_FIELDS)).default("createdAt"),
+  order: Joi.string().valid("asc", "desc").default("desc"),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().max(500)
+});
+
+/**
+ * Splits comma separated query values such as status=submitted,under_review
+ * @param {Object} query - Raw query string values
+ * @returns {Object} query with list values split
+ */
+const splitLists = (query) => {
+  const result = { ...query };
+  for (const key of ["status", "category"]) {
+    if (typeof result[key] === "string") {
+      result[key] = result[key].split(",").filter(Boolean);
+    }
+  }
+  return result;
+};
+
+/**
+ * Encodes the position after a row as an opaque cursor. The sort and order are included
+ * so a cursor cannot be reused with a different ordering. Rows without a sort value, such as
+ * renewals sorted by medical expiry, are encoded with a null value.
+ */
+const encodeCursor = (row, sort, order) => {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: row.cursor_value, id: row.id })).toString("base64url");
+};
+
+/**
+ * Decodes a cursor created by encodeCursor for the same sort and order
+ */
+const decodeCursor = (cursor, sort, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    throw new Error("Invalid cursor.");
+  }
+
+  const validValue = typeof decoded?.v === "string" || decoded?.v === null;
+  if (!decoded || decoded.s !== sort || decoded.o !== order || !validValue || !Number.isInteger(decoded.id)) {
+    throw new Error("Invalid cursor for this sort order.");
+  }
+
+  return { value: decoded.v, id: decoded.id };
+};
+
+/**
+ * Searches applications for back-office users. The total number of matches is only
+ * counted for the first page; following pages are fetched with the returned cursor.
+ * @param {Object} query - Query string: filters, q, sort, order, limit and cursor
+ * @returns {Object} applications, nextCursor and, on the first page, total
+ */
+const searchApplications = async (query) => {
+  const { value: params, error } = SEARCH_SCHEMA.validate(splitLists(query), { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid search: ${error.details.map(detail => detail.message).join("; ")}`);
+  }
+
+  const filters = {
+    statuses: params.status,
+    categories: params.category,
+    createdFrom: params.createdFrom,
+    createdTo: params.createdTo,
+    hospital: params.hospital,
+    medicalExpiresFrom: params.medicalExpiresFrom,
+    medicalExpiresTo: params.medicalExpiresTo,
+    search: params.q
+  };
+  const sort = { ...SORT_FIELDS[params.sort], direction: params.order };
+  const cursor = params.cursor ? decodeCursor(params.cursor, params.sort, params.order) : null;
+
+  // One extra row tells whether there is a next page
+  const rows = await User.searchApplications({ filters, sort, cursor, limit: params.limit + 1 });
+  const page = rows.slice(0, params.limit);
+  const hasMore = rows.length > params.limit;
+
+  const result = {
+    applications: page.map(({ id, cursor_value, ...application }) => application),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], params.sort, params.order) : null
+  };
+
+  if (!cursor) {
+    result.total = await User.countApplications(filters);
+  }
+
+  return result;
+};
+
+module.exports = {
+  searchApplications
+};
@@ -0,0 +1,189 @@
+const Joi = require("joi");
+const User = require("../models/userModel");
+const CategoryRule = require("../models/categoryRuleModel");
+
+const categoryCode = Joi.string().trim().max(10);
+
+const RULES_SCHEMA = Joi.object({
+  requires: Joi.array().items(Joi.object({
+    anyOf: Joi.array().items(categoryCode).min(1).unique().required(),
+    minYearsHeld: Joi.number().integer().min(0).max(50).default(0)
+  })).default([]),
+  implies: Joi.array().items(categoryCode).unique().default([])
+});
+
+/**
+ * Shapes the rule rows of one category for API responses
+ * @param {string} code - Category code
+ * @param {Array} rows - Rule rows of the category
+ * @returns {Object} requires and implies rules
+ */
+const formatRules = (code, rows) => ({
+  category: code,
+  requires: rows
+    .filter(row => row.rule_type === "requires")
+    .map(row => ({ anyOf: row.related_categories, minYearsHeld: row.min_years_held })),
+  implies: rows
+    .filter(row => row.rule_type === "implies")
+    .flatMap(row => row.related_categories)
+});
+
+/**
+ * Groups rule rows by category
+ * @param {Array} rows - Rule rows
+ * @returns {Map} category code to its rule rows
+ */
+const groupByCategory = (rows) => {
+  const grouped = new Map();
+  for (const row of rows) {
+    grouped.set(row.category_code, [...(grouped.get(row.category_code) || []), row]);
+  }
+  return grouped;
+};
+
+/**
+ * Retrieves the prerequisite and progression rules of every category
+ * @returns {Array} rules per category
+ */
+const getCategoryRules = async () => {
+  const grouped = groupByCategory(await CategoryRule.findAll());
+  return [...grouped.entries()].map(([code, rows]) => formatRules(code, rows));
+};
+
+/**
+ * Retrieves the rules of one category
+ * @param {string} code - Category code
+ * @returns {Object} requires and implies rules
+ */
+const getCategoryRulesByCode = async (code) => {
+  await User.getLicenceCategoryByCode(code);
+  return formatRules(code, await CategoryRule.findAll(code));
+};
+
+/**
+ * Replaces the rules of a category
+ * @param {string} code - Category code
+ * @param {Object} body - { requires: [{ anyOf, minYearsHeld }], implies: [codes] }
+ * @param {Object} user - Session user making the change
+ * @returns {Object} saved rules
+ */
+const setCategoryRules = async (code, body, user) => {
+  const { value, error } = RULES_SCHEMA.validate(body || {}, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid category rules: ${error.details.map(detail => detail.message).join("; ")}`);
+  }
+
+  await User.getLicenceCategoryByCode(code);
+
+  const knownCodes = new Set((await User.getLicenceCategories({ includeInactive: true })).map(category => category.id));
+  const related = [...value.requires.flatMap(rule => rule.anyOf), ...value.implies];
+
+  const unknown = related.filter(relatedCode => !knownCodes.has(relatedCode));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid category rules: unknown categories ${[...new Set(unknown)].join(", ")}.`);
+  }
+  if (related.includes(code)) {
+    throw new Error(`Invalid category rules: category ${code} cannot refer to itself.`);
+  }
+
+  const rows = [
+    ...value.requires.map(rule => ({ rule_type: "requires", related_categories: rule.anyOf, min_years_held: rule.minYearsHeld })),
+    ...(value.implies.length > 0 ? [{ rule_type: "implies", related_categories: value.implies, min_years_held: 0 }] : [])
+  ];
+
+  return formatRules(code, await CategoryRule.replaceRules(code, rows, user.sub));
+};
+
+/**
+ * Adds every category implied by the given ones, following implies rules transitively
+ * @param {Map} held - Category code to the date it has been held since
+ * @param {Map} grouped - Rule rows by category
+ * @returns {Map} held categories including the implied ones
+ */
+const expandImplied = (held, grouped) => {
+  const expanded = new Map(held);
+  const pending = [...held.keys()];
+
+  while (pending.length > 0) {
+    const code = pending.pop();
+    const since = expanded.get(code);
+
+    for (const row of (grouped.get(code) || []).filter(rule => rule.rule_type === "implies")) {
+      for (const implied of row.related_categories) {
+        const current = expanded.get(implied);
+        if (!current || since < current) {
+          expanded.set(implied, since);
+          pending.push(implied);
+        }
+      }
+    }
+  }
+
+  return expanded;
+};
+
+/**
+ * Years between two dates, counting only complete years
+ */
+const yearsBetween = (from, to) => {
+  let years = to.getFullYear() - from.getFullYear();
+  const anniversary = new Date(from);
+  anniversary.setFullYear(from.getFullYear() + years);
+  return anniversary > to ? years - 1 : years;
+};
+
+/**
+ * Checks a category selection against the prerequisite rules and the categories the
+ * applicant already holds. A prerequisite without a minimum holding period may also be
+ * met by another category in the same selection.
+ * @param {Array} categories - Selected category codes
+ * @param {string} sub - Applicant's subject identifier
+ * @returns {Map} category code to the reasons it cannot be selected
+ */
+const checkCategoryRules = async (categories, sub) => {
+  const grouped = groupByCategory(await CategoryRule.findAll());
+  const heldRows = sub ? await CategoryRule.getHeldCategories(sub) : [];
+  const held = expandImplied(new Map(heldRows.map(row => [row.category, new Date(row.held_since)])), grouped);
+  const now = new Date();
+  const selected = expandImplied(new Map(categories.map(code => [code, now])), grouped);
+
+  return new Map(categories.map(code => {
+    const reasons = (grouped.get(code) || [])
+      .filter(rule => rule.rule_type === "requires")
+      .filter(rule => !rule.related_categories.some(required => {
+        if (held.has(required) && yearsBetween(held.get(required), now) >= rule.min_years_held) {
+          return true;
+        }
+        return rule.min_years_held === 0 && required !== code && selected.has(required);
+      }))
+      .map(rule => ({
+        code: "PREREQUISITE_MISSING",
+        message: `Category ${code} requires ${rule.related_categories.join(" or ")}`
+          + (rule.min_years_held > 0 ? ` held for at least ${rule.min_years_held} year(s).` : ".")
+      }));
+
+    return [code, reasons];
+  }));
+};
+
+/**
+ * Throws when a category selection does not meet the prerequisite rules
+ * @param {Array} categories - Selected category codes
+ * @param {string} sub - Applicant's subject identifier
+ */
+const assertCategoryRules = async (categories, sub) => {
+  const results = await checkCategoryRules(categories, sub);
+  const messages = [...results.values()].flat().map(reason => reason.message);
+
+  if (messages.length > 0) {
+    throw new Error(`Prerequisites not met: ${messages.join(" ")}`);
+  }
+};
+
+module.exports = {
+  getCategoryRules,
+  getCategoryRulesByCode,
+  setCategoryRules,
+  checkCategoryRules,
+  assertCategoryRules
+};
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const User = require("../models/userModel");
+const defaultClaimMapping = require("../config/claimMapping");
+const { CLAIM_MAPPING_FILE, CLAIM_DEFAULT_LANGUAGE } = require("../config");
+
+const CLAIM_TYPES = ["string", "email", "date", "address", "json"];
+
+// Address parts in display order, covering OIDC standard and MOSIP address claims
+const ADDRESS_PARTS = [
+  "street_address", "addressLine1", "addressLine2", "addressLine3",
+  "locality", "city", "region", "province", "postal_code", "postalCode", "country"
+];
+
+let claimMapping = null;
+
+/**
+ * Loads the claim mapping, from CLAIM_MAPPING_FILE when set, and checks that
+ * every target column exists in the users table
+ * @returns {Object} claim mapping keyed by column
+ */
+const loadClaimMapping = () => {
+  let mapping = defaultClaimMapping;
+
+  if (CLAIM_MAPPING_FILE) {
+    try {
+      mapping = JSON.parse(fs.readFileSync(CLAIM_MAPPING_FILE, "utf8"));
+    } catch (error) {
+      throw new Error(`Unable to read CLAIM_MAPPING_FILE '${CLAIM_MAPPING_FILE}': ${error.message}`);
+    }
+  }
+
+  for (const [column, rule] of Object.entries(mapping)) {
+    if (!User.USER_COLUMNS.includes(column)) {
+      throw new Error(`Claim mapping targets unknown users column '${column}'`);
+    }
+    if (!Array.isArray(rule.claims) || rule.claims.length === 0) {
+      throw new Error(`Claim mapping for '${column}' must list at least one claim`);
+    }
+    if (rule.type && !CLAIM_TYPES.includes(rule.type)) {
+      throw new Error(`Claim mapping for '${column}' has unknown type '${rule.type}'`);
+    }
+  }
+
+  if (!mapping.sub || !mapping.sub.required) {
+    throw new Error("Claim mapping must map a required 'sub' column");
+  }
+
+  claimMapping = mapping;
+  return claimMapping;
+};
+
+/**
+ * Reads a claim, honouring language tags such as "name#si".
+ * Without a language the plain claim wins, then the default language.
+ * @param {Object} userInfo verified user information
+ * @param {string} claim claim name
+ * @param {string} language language tag to read, if any
+ * @returns claim value or undefined
+ */
+const readClaim = (userInfo, claim, language) => {
+  if (language) {
+    return userInfo[`${claim}#${language}`];
+  }
+
+  if (userInfo[claim] !== undefined) {
+    return userInfo[claim];
+  }
+
+  return userInfo[`${claim}#${CLAIM_DEFAULT_LANGUAGE}`];
+};
+
+/**
+ * Formats an address claim, which may be a string or a structured object, as one line
+ * @param {string|Object} address address claim
+ * @returns {string} formatted address
+ */
+const formatAddress = (address) => {
+  if (typeof address === "string") {
+    return address;
+  }
+
+  if (address.formatted) {
+    return address.formatted;
+  }
+
+  return ADDRESS_PARTS
+    .map(part => address[part])
+    .filter(value => typeof value === "string" && value.trim())
+    .join(", ");
+};
+
+/**
+ * Converts a claim value to the column type
+ * @param {*} value claim value
+ * @param {string} type column type from the mapping
+ * @returns converted value
+ */
+const convertClaim = (value, type = "string") => {
+  switch (type) {
+    case "email":
+      if (typeof value !== "string" || !User.isValidEmail(value)) {
+        throw new Error(`'${value}' is not a valid email address`);
+      }
+      return value;
+
+    case "date": {
+      // eSignet may send birthdate as YYYY/MM/DD
+      const normalised = String(value).trim().replace(/\//g, "-");
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(normalised) || isNaN(new Date(normalised).getTime())) {
+        throw new Error(`'${value}' is not a valid date`);
+      }
+      return normalised;
+    }
+
+    case "address":
+      if (typeof value !== "string" && (typeof value !== "object" || Array.isArray(value))) {
+        throw new Error("address must be a string or an object");
+      }
+      return formatAddress(value) || null;
+
+    case "json":
+      return typeof value === "string" ? { formatted: value } : value;
+
+    default:
+      if (typeof value === "object") {
+        throw new Error("expected a text value but got an object");
+      }
+      return String(value);
+  }
+};
+
+/**
+ * Maps verified eSignet user information to a users row using the claim mapping.
+ * All problems are collected and reported together.
+ * @param {Object} userInfo verified user information
+ * @returns {Object} user data keyed by users column
+ */
+const mapUserInfo = (userInfo) => {
+  const mapping = claimMapping || loadClaimMapping();
+  const userData = {};
+  const errors = [];
+
+  for (const [column, rule] of Object.entries(mapping)) {
+    const claim = rule.claims.find(name => {
+      const value = readClaim(userInfo, name, rule.language);
+      return value !== undefined && value !== null && value !== "";
+    });
+
+    if (!claim) {
+      if (rule.required) {
+        errors.push(`${column}: none of the claims ${rule.claims.join(", ")} were returned`);
+      }
+      continue;
+    }
+
+    try {
+      userData[column] = convertClaim(readClaim(userInfo, claim, rule.language), rule.type);
+    } catch (error) {
+      errors.push(`${column} (from ${claim}${rule.language ? `#${rule.language}` : ""}): ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Claim mapping failed: ${errors.join("; ")}`);
+  }
+
+  return userData;
+};
+
+module.exports = {
+  loadClaimMapping,
+  mapUserInfo
+};
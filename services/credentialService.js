@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const { SignJWT, base64url, calculateJwkThumbprint } = require("jose");
+const Credential = require("../models/credentialModel");
+const { getIssuerSigningKey } = require("./issuerKeyService");
+const { getPhotoContent } = require("./documentService");
+const { CREDENTIAL_TYPE, CREDENTIAL_CONFIGURATIONS } = require("../config/credentialConfigurations");
+const { CREDENTIAL_ISSUER_URL } = require("../config");
+
+/**
+ * did:jwk identifier of a holder's public key
+ * @param {Object} jwk - Public JWK
+ * @returns {string} DID
+ */
+const toDidJwk = (jwk) => `did:jwk:${base64url.encode(JSON.stringify(jwk))}`;
+
+/**
+ * Seconds since the epoch at the end of a YYYY-MM-DD day in UTC
+ */
+const endOfDay = (isoDate) => Math.floor(Date.parse(`${isoDate}T23:59:59Z`) / 1000);
+
+/**
+ * Builds the licence claims carried by every credential format
+ * @param {Object} licence - Licence as returned by formatLicence, with holderSub
+ * @returns {Object} claims
+ */
+const buildLicenceClaims = async (licence) => {
+  const photo = await getPhotoContent(licence.holder.photoUrl, licence.holderSub).catch(error => {
+    console.error(`Error loading photo for licence ${licence.licenceNumber}:`, error.message);
+    return null;
+  });
+
+  const claims = {
+    licenceNumber: licence.licenceNumber,
+    fullName: licence.holder.name,
+    dateOfBirth: licence.holder.dateOfBirth,
+    address: licence.holder.address,
+    bloodGroup: licence.holder.bloodGroup,
+    issueDate: licence.issueDate,
+    expiryDate: licence.expiryDate,
+    categories: licence.categories.map(category => ({
+      category: category.category,
+      firstIssued: category.firstIssued,
+      validFrom: category.validFrom,
+      validUntil: category.validUntil
+    })),
+    portrait: photo ? `data:${photo.mimeType};base64,${photo.content.toString("base64")}` : undefined
+  };
+
+  // Claims the licence does not have are left out rather than issued empty
+  return Object.fromEntries(Object.entries(claims).filter(([, value]) => value !== undefined && value !== null));
+};
+
+/**
+ * Signs the licence as a W3C Verifiable Credential (VCDM 1.1) in the JWT encoding
+ * @param {Object} licence - Licence as returned by formatLicence
+ * @param {Object} holderJwk - Holder's public key the credential is bound to
+ * @param {Object} signingKey - Issuer signing key
+ * @param {string} credentialId - Credential ID
+ * @returns {string} signed credential
+ */
+const signJwtVc = async (licence, holderJwk, signingKey, credentialId) => {
+  const holderId = toDidJwk(holderJwk);
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  return new SignJWT({
+    vc: {
+      "@context": CREDENTIAL_CONFIGURATIONS.DrivingLicence_jwt_vc_json.credential_definition["@context"],
+      type: ["VerifiableCredential", CREDENTIAL_TYPE],
+      id: credentialId,
+      issuer: CREDENTIAL_ISSUER_URL,
+      issuanceDate: new Date(issuedAt * 1000).toISOString(),
+      expirationDate: new Date(endOfDay(licence.expiryDate) * 1000).toISOString(),
+      credentialSubject: { id: holderId, ...await buildLicenceClaims(licence) }
+    }
+  })
+    .setProtectedHeader({ alg: signingKey.alg, kid: signingKey.kid, typ: "JWT" })
+    .setIssuer(CREDENTIAL_ISSUER_URL)
+    .setSubject(holderId)
+    .setJti(credentialId)
+    .setIssuedAt(issuedAt)
+    .setNotBefore(issuedAt)
+    .setExpirationTime(endOfDay(licence.expiryDate))
+    .sign(signingKey.key);
+};
+
+/**
+ * Creates an SD-JWT disclosure for a claim and its digest
+ * @param {string} name - Claim name
+ * @param {*} value - Claim value
+ * @returns {Object} disclosure and digest
+ */
+const createDisclosure = (name, value) => {
+  const disclosure = base64url.encode(JSON.stringify([crypto.randomBytes(16).toString("base64url"), name, value]));
+  const digest = base64url.encode(crypto.createHash("sha256").update(disclosure).digest());
+  return { disclosure, digest };
+};
+
+/**
+ * Signs the licence as an SD-JWT VC in which every licence claim is selectively disclosable,
+ * bound to the holder's key through cnf
+ * @param {Object} licence - Licence as returned by formatLicence
+ * @param {Object} holderJwk - Holder's public key the credential is bound to
+ * @param {Object} signingKey - Issuer signing key
+ * @param {string} credentialId - Credential ID
+ * @returns {string} SD-JWT with all disclosures, ending in ~
+ */
+const signSdJwtVc = async (licence, holderJwk, signingKey, credentialId) => {
+  const claims = await buildLicenceClaims(licence);
+  const disclosures = Object.entries(claims).map(([name, value]) => createDisclosure(name, value));
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  const jwt = await new SignJWT({
+    vct: CREDENTIAL_CONFIGURATIONS.DrivingLicence_vc_sd_jwt.vct,
+    // Sorted so the order of the digests does not reveal which claim is which
+    _sd: disclosures.map(item => item.digest).sort(),
+    _sd_alg: "sha-256",
+    cnf: { jwk: holderJwk }
+  })
+    .setProtectedHeader({ alg: signingKey.alg, kid: signingKey.kid, typ: "vc+sd-jwt" })
+    .setIssuer(CREDENTIAL_ISSUER_URL)
+    .setJti(credentialId)
+    .setIssuedAt(issuedAt)
+    .setNotBefore(issuedAt)
+    .setExpirationTime(endOfDay(licence.expiryDate))
+    .sign(signingKey.key);
+
+  return `${jwt}~${disclosures.map(item => `${item.disclosure}~`).join("")}`;
+};
+
+// Signers by credential format
+const SIGNERS = {
+  jwt_vc_json: signJwtVc,
+  "vc+sd-jwt": signSdJwtVc
+};
+
+/**
+ * Issues the licence as a signed credential bound to the holder's key, and records the issuance
+ * @param {Object} licence - Licence as returned by formatLicence, with holderSub
+ * @param {string} configurationId - Credential configuration from config/credentialConfigurations.js
+ * @param {Object} holderJwk - Holder's public key, proven by the wallet
+ * @returns {Object} format and credential
+ */
+const issueLicenceCredential = async (licence, configurationId, holderJwk) => {
+  const configuration = CREDENTIAL_CONFIGURATIONS[configurationId];
+  if (!configuration) {
+    throw new Error(`Unknown credential configuration '${configurationId}'.`);
+  }
+
+  const signingKey = await getIssuerSigningKey();
+  const credentialId = `urn:uuid:${crypto.randomUUID()}`;
+  const credential = await SIGNERS[configuration.format](licence, holderJwk, signingKey, credentialId);
+
+  await Credential.recordIssued({
+    credential_id: credentialId,
+    licence_number: licence.licenceNumber,
+    licence_version: licence.version,
+    configuration_id: configurationId,
+    format: configuration.format,
+    sub: licence.holderSub,
+    holder_key_thumbprint: await calculateJwkThumbprint(holderJwk),
+    signing_kid: signingKey.kid,
+    expires_at: new Date(endOfDay(licence.expiryDate) * 1000)
+  });
+
+  return { format: configuration.format, credential };
+};
+
+module.exports = {
+  toDidJwk,
+  issueLicenceCredential
+};
@@ -0,0 +1,87 @@
+const axios = require("axios");
+const { ESIGNET_SERVICE_URL, ESIGNET_DISCOVERY_URL, DISCOVERY_CACHE_TTL_SECONDS } = require("../config");
+
+// Metadata the relying party cannot work without
+const REQUIRED_METADATA_FIELDS = [
+  "issuer",
+  "authorization_endpoint",
+  "token_endpoint",
+  "userinfo_endpoint",
+  "jwks_uri"
+];
+
+// Cached provider metadata: { metadata, fetchedAt }
+let cache = null;
+
+/**
+ * Returns the URL of the eSignet OpenID Provider configuration document
+ * @returns {string} discovery URL
+ */
+const getDiscoveryUrl = () => {
+  if (ESIGNET_DISCOVERY_URL) {
+    return ESIGNET_DISCOVERY_URL;
+  }
+
+  const baseUrl = ESIGNET_SERVICE_URL ? ESIGNET_SERVICE_URL.trim() : '';
+  if (!baseUrl) {
+    throw new Error("ESIGNET_SERVICE_URL or ESIGNET_DISCOVERY_URL must be configured");
+  }
+
+  return `${baseUrl}/oidc/.well-known/openid-configuration`;
+};
+
+/**
+ * Fetches and validates the eSignet OpenID Provider configuration, replacing the cache
+ * @returns {Object} provider metadata
+ */
+const loadProviderMetadata = async () => {
+  const discoveryUrl = getDiscoveryUrl();
+
+  let metadata;
+  try {
+    const response = await axios.get(discoveryUrl, { timeout: 10000 });
+    metadata = response.data;
+  } catch (error) {
+    throw new Error(`Unable to load eSignet discovery document from ${discoveryUrl}: ${error.message}`);
+  }
+
+  if (!metadata || typeof metadata !== 'object') {
+    throw new Error(`eSignet discovery document at ${discoveryUrl} is not a JSON object`);
+  }
+
+  const missingFields = REQUIRED_METADATA_FIELDS.filter(field => !metadata[field]);
+  if (missingFields.length > 0) {
+    throw new Error(`eSignet discovery document at ${discoveryUrl} is missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  cache = { metadata, fetchedAt: Date.now() };
+  console.log(`Loaded eSignet metadata for issuer ${metadata.issuer}`);
+  return metadata;
+};
+
+/**
+ * Returns the cached provider metadata, reloading it once the TTL has passed.
+ * If a reload fails the previous metadata keeps being used.
+ * @returns {Object} provider metadata
+ */
+const getProviderMetadata = async () => {
+  if (!cache) {
+    return loadProviderMetadata();
+  }
+
+  if (Date.now() - cache.fetchedAt > DISCOVERY_CACHE_TTL_SECONDS * 1000) {
+    try {
+      return await loadProviderMetadata();
+    } catch (error) {
+      console.error('Error refreshing eSignet metadata, using cached copy:', error.message);
+      cache.fetchedAt = Date.now();
+    }
+  }
+
+  return cache.metadata;
+};
+
+module.exports = {
+  loadProviderMetadata,
+  getProviderMetadata
+};
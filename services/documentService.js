@@ -0,0 +1,433 @@
+const crypto = require("crypto");
+const Document = require("../models/documentModel");
+const Draft = require("../models/draftModel");
+const { getStorage } = require("./storage");
+const { detectFaces, checkFaces } = require("./faceDetectionService");
+const { hasPolicy, findVisibleApplication } = require("./applicationLifecycleService");
+const { DOCUMENT_TYPES } = require("../config/documentTypes");
+const { DOCUMENT_STORAGE, DOCUMENT_URL_SECRET, DOCUMENT_URL_TTL_SECONDS } = require("../config");
+
+// Without a configured secret, download links stop working when the server restarts
+const urlSecret = DOCUMENT_URL_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Documents may still be added to applications in these statuses
+const UPLOAD_STATUSES = ['pending', 'submitted'];
+
+// Orphaned documents are kept this long so an upload racing a submission is never removed
+const ORPHAN_GRACE_SECONDS = 60 * 60;
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Works out the content type from the first bytes of a file
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} content type, or null when not recognised
+ */
+const sniffMimeType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 5 && buffer.subarray(0, 5).toString("latin1") === '%PDF-') {
+    return 'application/pdf';
+  }
+  return null;
+};
+
+/**
+ * Reads the pixel dimensions of a PNG or JPEG image
+ * @param {Buffer} buffer - Image contents
+ * @param {string} mimeType - Sniffed content type
+ * @returns {Object|null} width and height, or null when they cannot be read
+ */
+const readImageSize = (buffer, mimeType) => {
+  if (mimeType === 'image/png') {
+    // The IHDR chunk always comes first
+    return buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+  }
+
+  if (mimeType === 'image/jpeg') {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset += 1;
+        continue;
+      }
+      if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+        offset += 2;
+        continue;
+      }
+
+      // Start of frame markers, except DHT (C4), JPG (C8) and DAC (CC), carry the dimensions
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Checks an uploaded file against the rules of its document type. The content type is
+ * taken from the file contents; a different type claimed by the client is rejected.
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @param {Object} file - Uploaded file with buffer, mimetype and size
+ * @returns {Object} mimeType, width and height
+ */
+const validateDocument = (documentType, file) => {
+  const rules = DOCUMENT_TYPES[documentType];
+  if (!rules) {
+    throw new Error(`Invalid document type '${documentType}'. Must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+  }
+  if (!file || !file.buffer || file.size === 0) {
+    throw new Error("Invalid upload: a non-empty 'file' is required.");
+  }
+  if (file.size > rules.maxBytes) {
+    throw new Error(`Invalid upload: ${rules.label} may be at most ${rules.maxBytes} bytes.`);
+  }
+
+  const mimeType = sniffMimeType(file.buffer);
+  if (!mimeType || !rules.mimeTypes.includes(mimeType)) {
+    throw new Error(`Invalid upload: ${rules.label} must be one of ${rules.mimeTypes.join(', ')}.`);
+  }
+  if (file.mimetype && file.mimetype !== 'application/octet-stream' && file.mimetype !== mimeType) {
+    throw new Error(`Invalid upload: the file is ${mimeType} but was sent as ${file.mimetype}.`);
+  }
+
+  if (!mimeType.startsWith('image/')) {
+    return { mimeType, width: null, height: null };
+  }
+
+  const size = readImageSize(file.buffer, mimeType);
+  if (!size || size.width === 0 || size.height === 0) {
+    throw new Error("Invalid upload: the image could not be read.");
+  }
+
+  const image = rules.image || {};
+  const { width, height } = size;
+  if ((image.minWidth && width < image.minWidth) || (image.minHeight && height < image.minHeight)) {
+    throw new Error(`Invalid upload: ${rules.label} must be at least ${image.minWidth || 1} x ${image.minHeight || 1} pixels.`);
+  }
+  if ((image.maxWidth && width > image.maxWidth) || (image.maxHeight && height > image.maxHeight)) {
+    throw new Error(`Invalid upload: ${rules.label} may be at most ${image.maxWidth} x ${image.maxHeight} pixels.`);
+  }
+
+  const aspectRatio = width / height;
+  if ((image.minAspectRatio && aspectRatio < image.minAspectRatio) || (image.maxAspectRatio && aspectRatio > image.maxAspectRatio)) {
+    throw new Error(`Invalid upload: ${rules.label} must be a portrait photo with a width to height ratio between ${image.minAspectRatio} and ${image.maxAspectRatio}.`);
+  }
+
+  return { mimeType, width, height };
+};
+
+/**
+ * Loads the draft or application documents are attached to
+ * @param {string} applicationId - Application number
+ * @param {Object} user - Session user
+ * @returns {Object} the draft or the application
+ */
+const findDocumentParent = async (applicationId, user) => {
+  const draft = await Draft.findById(applicationId, user.sub);
+  if (draft) {
+    return { draft };
+  }
+  return { application: await findVisibleApplication(applicationId, user) };
+};
+
+/**
+ * Signs a download link for one user; the link stops working after DOCUMENT_URL_TTL_SECONDS
+ * @param {Object} document - Document row
+ * @param {Object} user - Session user the link is for
+ * @returns {Object} url and expiresAt
+ */
+const signDownloadUrl = (document, user) => {
+  const expires = Math.floor(Date.now() / 1000) + DOCUMENT_URL_TTL_SECONDS;
+  const signature = crypto.createHmac("sha256", urlSecret)
+    .update(`${document.document_id}.${user.sub}.${expires}`)
+    .digest("base64url");
+
+  return {
+    url: `/api/documents/${document.document_id}/content?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+/**
+ * Shapes a document row for API responses
+ * @param {Object} document - Document row
+ * @param {Object} user - Session user, for whom a download link is signed
+ * @returns {Object} document metadata with a download link
+ */
+const formatDocument = (document, user) => ({
+  documentId: document.document_id,
+  applicationId: document.application_id,
+  type: document.document_type,
+  originalName: document.original_name,
+  mimeType: document.mime_type,
+  sizeBytes: document.size_bytes,
+  width: document.width,
+  height: document.height,
+  sha256: document.sha256,
+  createdAt: document.created_at,
+  download: signDownloadUrl(document, user)
+});
+
+/**
+ * Checks that a photo shows what its document type asks for, e.g. exactly one face.
+ * Document types without face rules are not checked.
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @param {Buffer} buffer - Image contents
+ * @param {string} mimeType - Content type sniffed from the file
+ */
+const validatePhotoContent = async (documentType, buffer, mimeType) => {
+  const rules = DOCUMENT_TYPES[documentType];
+  if (!rules.faces || !mimeType.startsWith('image/')) {
+    return;
+  }
+
+  const faces = await detectFaces(buffer, mimeType, rules.faces.minConfidence);
+  const reasons = checkFaces(faces, rules.faces);
+  if (reasons.length > 0) {
+    throw new Error(`Invalid upload: ${rules.label} ${reasons.join('; ')}.`);
+  }
+};
+
+/**
+ * Stores an uploaded document for a draft or an application of the user
+ * @param {string} applicationId - Application number
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @param {Object} file - Uploaded file with buffer, originalname, mimetype and size
+ * @param {Object} user - Session user
+ * @returns {Object} saved document
+ */
+const uploadDocument = async (applicationId, documentType, file, user) => {
+  const { mimeType, width, height } = validateDocument(documentType, file);
+
+  const { application } = await findDocumentParent(applicationId, user);
+  if (application && application.sub !== user.sub) {
+    throw new Error("You are not permitted to add documents to this application.");
+  }
+  if (application && !UPLOAD_STATUSES.includes(application.status)) {
+    throw new Error(`Documents can no longer be added to an application that is ${application.status}.`);
+  }
+
+  // Face detection is the slowest check, so it runs once the upload is known to be allowed
+  await validatePhotoContent(documentType, file.buffer, mimeType);
+
+  const documentId = crypto.randomUUID();
+  const storage = getStorage(DOCUMENT_STORAGE);
+  const storageKey = `${applicationId}/${documentId}.${FILE_EXTENSIONS[mimeType]}`;
+
+  await storage.put(storageKey, file.buffer, mimeType);
+
+  try {
+    const document = await Document.create({
+      document_id: documentId,
+      application_id: applicationId,
+      sub: user.sub,
+      document_type: documentType,
+      original_name: file.originalname ? file.originalname.slice(0, 255) : null,
+      mime_type: mimeType,
+      size_bytes: file.size,
+      width,
+      height,
+      sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+      storage_backend: storage.name,
+      storage_key: storageKey
+    });
+    return formatDocument(document, user);
+  } catch (error) {
+    await storage.remove(storageKey).catch(removeError => {
+      console.error("Error removing stored document:", removeError.message);
+    });
+    throw error;
+  }
+};
+
+/**
+ * Lists the documents of a draft or an application the user may see
+ * @param {string} applicationId - Application number
+ * @param {Object} user - Session user
+ * @returns {Array} documents with download links
+ */
+const getApplicationDocuments = async (applicationId, user) => {
+  await findDocumentParent(applicationId, user);
+  const documents = await Document.findByApplication(applicationId);
+  return documents.map(document => formatDocument(document, user));
+};
+
+/**
+ * Loads a document the user may see: their own, or any document for reviewers.
+ * Other documents are reported as missing.
+ * @param {string} documentId - Document ID
+ * @param {Object} user - Session user
+ * @returns {Object} document row
+ */
+const findVisibleDocument = async (documentId, user) => {
+  const document = await Document.findById(documentId);
+  if (!document || (document.sub !== user.sub && !hasPolicy(user, 'applications:review'))) {
+    throw new Error("Document not found.");
+  }
+  return document;
+};
+
+/**
+ * Creates a fresh download link for a document
+ * @param {string} documentId - Document ID
+ * @param {Object} user - Session user
+ * @returns {Object} url and expiresAt
+ */
+const getDownloadUrl = async (documentId, user) => {
+  return signDownloadUrl(await findVisibleDocument(documentId, user), user);
+};
+
+/**
+ * Reads a document through a signed link. The link must have been signed for this user
+ * and not have expired; the contents are checked against the stored checksum.
+ * @param {string} documentId - Document ID
+ * @param {string} expires - Expiry from the link, in seconds since the epoch
+ * @param {string} signature - Signature from the link
+ * @param {Object} user - Session user
+ * @returns {Object} document row and file contents
+ */
+const getDocumentContent = async (documentId, { expires, signature }, user) => {
+  const expected = crypto.createHmac("sha256", urlSecret)
+    .update(`${documentId}.${user.sub}.${expires}`)
+    .digest();
+  const given = Buffer.from(String(signature || ''), "base64url");
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error("Invalid download link.");
+  }
+  if (!(Number(expires) > Date.now() / 1000)) {
+    throw new Error("Download link expired.");
+  }
+
+  const document = await findVisibleDocument(documentId, user);
+  const content = await getStorage(document.storage_backend).get(document.storage_key);
+
+  if (crypto.createHash("sha256").update(content).digest("hex") !== document.sha256) {
+    throw new Error(`Checksum mismatch for document ${documentId}.`);
+  }
+
+  return { document, content };
+};
+
+/**
+ * Deletes a document the user uploaded to a draft; documents of submitted applications are kept
+ * @param {string} documentId - Document ID
+ * @param {Object} user - Session user
+ */
+const deleteDocument = async (documentId, user) => {
+  const document = await Document.findById(documentId);
+  if (!document || document.sub !== user.sub) {
+    throw new Error("Document not found.");
+  }
+
+  const draft = await Draft.findById(document.application_id, user.sub);
+  if (!draft) {
+    throw new Error("Documents of a submitted application can no longer be deleted.");
+  }
+
+  await Document.delete(documentId);
+  await getStorage(document.storage_backend).remove(document.storage_key);
+};
+
+/**
+ * Stable reference to the latest photo the applicant uploaded for an application, for applications.photo_url.
+ * Download links expire, so the reference is the route that signs a new one.
+ * @param {string} applicationId - Application number
+ * @param {string} sub - Applicant; photos uploaded by anyone else are ignored
+ * @returns {string|null} reference, or null when no photo was uploaded
+ */
+const getPhotoReference = async (applicationId, sub) => {
+  const photos = (await Document.findByApplication(applicationId))
+    .filter(document => document.document_type === 'photo' && document.sub === sub);
+  return photos.length > 0 ? `/api/documents/${photos[photos.length - 1].document_id}/download-url` : null;
+};
+
+/**
+ * Finds the stored photo a photo reference points to, as long as the holder uploaded it
+ * @param {string} photoUrl - Reference returned by getPhotoReference
+ * @param {string} ownerSub - Applicant or licence holder the photo must belong to
+ * @returns {Object|null} document record, or null when the photo is not a stored photo of the holder
+ */
+const findPhotoDocument = async (photoUrl, ownerSub) => {
+  const match = typeof photoUrl === "string" && photoUrl.match(/^\/api\/documents\/([^/]+)\/download-url$/);
+  const document = match ? await Document.findById(match[1]) : null;
+  return document && document.document_type === 'photo' && document.sub === ownerSub ? document : null;
+};
+
+/**
+ * SHA-256 of a stored photo, taken at upload, so verifiers can compare photos without receiving them
+ * @param {string} photoUrl - Reference returned by getPhotoReference
+ * @param {string} ownerSub - Licence holder the photo must belong to
+ * @returns {string|null} hex encoded hash
+ */
+const getPhotoHash = async (photoUrl, ownerSub) => {
+  const document = await findPhotoDocument(photoUrl, ownerSub);
+  return document ? document.sha256 : null;
+};
+
+/**
+ * Reads the photo an application or licence refers to, for embedding in generated documents.
+ * Callers must check that the user may see the application or licence.
+ * @param {string} photoUrl - Reference returned by getPhotoReference
+ * @param {string} ownerSub - Applicant or licence holder the photo must belong to
+ * @returns {Object|null} mimeType and content, or null when the photo is not a stored photo of the holder
+ */
+const getPhotoContent = async (photoUrl, ownerSub) => {
+  const document = await findPhotoDocument(photoUrl, ownerSub);
+  if (!document) {
+    return null;
+  }
+
+  const content = await getStorage(document.storage_backend).get(document.storage_key);
+  if (crypto.createHash("sha256").update(content).digest("hex") !== document.sha256) {
+    throw new Error(`Checksum mismatch for document ${document.document_id}.`);
+  }
+
+  return { mimeType: document.mime_type, content };
+};
+
+/**
+ * Removes documents left behind by drafts that expired or were discarded
+ * @returns {number} number of documents removed
+ */
+const cleanupOrphanedDocuments = async () => {
+  const documents = await Document.deleteOrphaned(ORPHAN_GRACE_SECONDS);
+
+  for (const document of documents) {
+    await getStorage(document.storage_backend).remove(document.storage_key).catch(error => {
+      console.error(`Error removing stored document ${document.document_id}:`, error.message);
+    });
+  }
+
+  return documents.length;
+};
+
+module.exports = {
+  uploadDocument,
+  getApplicationDocuments,
+  getDownloadUrl,
+  getDocumentContent,
+  deleteDocument,
+  getPhotoReference,
+  getPhotoContent,
+  getPhotoHash,
+  cleanupOrphanedDocuments
+};
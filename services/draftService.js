@@ -0,0 +1,207 @@
+const Joi = require("joi");
+const Draft = require("../models/draftModel");
+const { nextApplicationNumber } = require("./applicationNumberService");
+const { DRAFT_TTL_SECONDS } = require("../config");
+
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, "YYYY-MM-DD");
+
+// One schema per wizard step. Steps may be saved half filled; every field not marked
+// optional must be present before the draft can be submitted.
+const STEP_SCHEMAS = {
+  personal: Joi.object({
+    fullName: Joi.string().trim().max(255),
+    email: Joi.string().trim().email().max(255),
+    phone: Joi.string().trim().max(50).optional(),
+    dob: isoDate,
+    gender: Joi.string().trim().max(20).optional(),
+    bloodGroup: Joi.string().trim().max(10).optional()
+  }),
+  medical: Joi.object({
+    certificateId: Joi.string().trim().max(100),
+    doctorName: Joi.string().trim().max(255),
+    hospital: Joi.string().trim().max(255),
+    issuedDate: isoDate,
+    expiryDate: isoDate,
+    isFitToDrive: Joi.boolean(),
+    vision: Joi.string().trim().max(100).optional(),
+    hearing: Joi.string().trim().max(100).optional(),
+    remarks: Joi.string().trim().allow("").optional()
+  }),
+  tests: Joi.object({
+    writtenTest: Joi.object().unknown(true),
+    practicalTest: Joi.object().unknown(true)
+  }),
+  categories: Joi.object({
+    selectedCategories: Joi.array().items(Joi.string().trim().max(10)).min(1).unique()
+  })
+};
+
+const STEPS = Object.keys(STEP_SCHEMAS);
+
+/**
+ * Validates the data of one step
+ * @param {string} step - Step name
+ * @param {Object} data - Step data
+ * @param {boolean} complete - Whether every required field must be present
+ * @returns {Object} validated step data
+ */
+const validateStep = (step, data, complete = false) => {
+  const schema = STEP_SCHEMAS[step];
+  if (!schema) {
+    throw new Error(`Invalid draft step '${step}'. Must be one of: ${STEPS.join(', ')}`);
+  }
+
+  const { value, error } = schema.validate(data || {}, {
+    abortEarly: false,
+    presence: complete ? "required" : "optional"
+  });
+
+  if (error) {
+    throw new Error(`Invalid ${step} details: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Shapes a draft row for API responses
+ * @param {Object} draft - Draft row
+ * @returns {Object} draft with the steps still to be completed
+ */
+const formatDraft = (draft) => {
+  const incompleteSteps = STEPS.filter(step => {
+    try {
+      validateStep(step, draft.steps[step], true);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+
+  return {
+    draftId: draft.draft_id,
+    applicationNumber: draft.draft_id,
+    currentStep: draft.current_step,
+    steps: draft.steps,
+    incompleteSteps,
+    createdAt: draft.created_at,
+    updatedAt: draft.updated_at,
+    expiresAt: draft.expires_at
+  };
+};
+
+/**
+ * Loads a draft of the user
+ * @param {string} draftId - Draft ID
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} draft row
+ */
+const findDraft = async (draftId, sub) => {
+  const draft = await Draft.findById(draftId, sub);
+  if (!draft) {
+    throw new Error("Draft not found.");
+  }
+  return draft;
+};
+
+/**
+ * Starts a new draft application, optionally saving its first step.
+ * The draft is identified by the application number it will be submitted under.
+ * @param {string} sub - User's subject identifier
+ * @param {string} step - Optional step to save straight away
+ * @param {Object} data - Data of that step
+ * @returns {Object} draft
+ */
+const createDraft = async (sub, step, data) => {
+  const stepData = step ? validateStep(step, data) : null;
+
+  let draft = await Draft.create({
+    draft_id: await nextApplicationNumber(),
+    sub,
+    ttlSeconds: DRAFT_TTL_SECONDS
+  });
+
+  if (stepData) {
+    draft = await Draft.saveStep(draft.draft_id, sub, step, stepData, DRAFT_TTL_SECONDS);
+  }
+
+  return formatDraft(draft);
+};
+
+/**
+ * Lists the user's drafts so the flow can be resumed on any device
+ * @param {string} sub - User's subject identifier
+ * @returns {Array} drafts
+ */
+const getDrafts = async (sub) => {
+  const drafts = await Draft.findBySub(sub);
+  return drafts.map(formatDraft);
+};
+
+/**
+ * Retrieves one of the user's drafts
+ * @param {string} draftId - Draft ID
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} draft
+ */
+const getDraft = async (draftId, sub) => {
+  return formatDraft(await findDraft(draftId, sub));
+};
+
+/**
+ * Saves one wizard step of a draft, replacing what was saved for that step before
+ * @param {string} draftId - Draft ID
+ * @param {string} sub - User's subject identifier
+ * @param {string} step - Step name
+ * @param {Object} data - Step data
+ * @returns {Object} draft
+ */
+const saveDraftStep = async (draftId, sub, step, data) => {
+  const stepData = validateStep(step, data);
+
+  try {
+    return formatDraft(await Draft.saveStep(draftId, sub, step, stepData, DRAFT_TTL_SECONDS));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      throw new Error("Draft not found.");
+    }
+    throw error;
+  }
+};
+
+/**
+ * Discards a draft
+ * @param {string} draftId - Draft ID
+ * @param {string} sub - User's subject identifier
+ */
+const discardDraft = async (draftId, sub) => {
+  const deleted = await Draft.delete(draftId, sub);
+  if (!deleted) {
+    throw new Error("Draft not found.");
+  }
+};
+
+/**
+ * Checks that every step of a draft is complete and returns the application form data
+ * @param {string} draftId - Draft ID
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} form data in the shape confirmPayment expects, with the draft's application number
+ */
+const getSubmittableDraftData = async (draftId, sub) => {
+  const draft = await findDraft(draftId, sub);
+
+  return STEPS.reduce((formData, step) => ({
+    ...formData,
+    ...validateStep(step, draft.steps[step], true)
+  }), { applicationNumber: draft.draft_id });
+};
+
+module.exports = {
+  STEPS,
+  createDraft,
+  getDrafts,
+  getDraft,
+  saveDraftStep,
+  discardDraft,
+  getSubmittableDraftData
+};
@@ -0,0 +1,257 @@
+const User = require("../models/userModel");
+const { checkCategoryRules } = require("./categoryRuleService");
+const { WRITTEN_TEST_PASS_PERCENT, PRACTICAL_TEST_PASS_PERCENT } = require("../config");
+
+/**
+ * Parses a YYYY-MM-DD date, or takes the local calendar date of a Date (as pg returns DATE columns)
+ * @param {string|Date} value - Date to parse
+ * @returns {Date|null} date at UTC midnight, or null when missing or invalid
+ */
+const toDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const pad = (number) => String(number).padStart(2, "0");
+  const text = value instanceof Date
+    ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+    : String(value).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return null;
+  }
+
+  const date = new Date(`${text}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Calculates age in completed years on a date
+ * @param {Date} dob - Date of birth
+ * @param {Date} onDate - Date the age is calculated for
+ * @returns {number} age in years
+ */
+const ageOn = (dob, onDate) => {
+  let age = onDate.getUTCFullYear() - dob.getUTCFullYear();
+  const birthdayPassed = onDate.getUTCMonth() > dob.getUTCMonth()
+    || (onDate.getUTCMonth() === dob.getUTCMonth() && onDate.getUTCDate() >= dob.getUTCDate());
+  return birthdayPassed ? age : age - 1;
+};
+
+/**
+ * Decides whether a recorded test result is a pass by comparing the score with the pass mark
+ * as a percentage of maxScore (default 100)
+ * @param {Object} result - Recorded test result with score and maxScore
+ * @param {number} passPercent - Pass mark in percent
+ * @returns {boolean|null} whether the test was passed, or null when it cannot be told
+ */
+const isTestPassed = (result, passPercent) => {
+  const score = Number(result.score);
+  const maxScore = Number(result.maxScore || 100);
+  if (!Number.isFinite(score) || !Number.isFinite(maxScore) || maxScore <= 0) {
+    return null;
+  }
+
+  return (score / maxScore) * 100 >= passPercent;
+};
+
+/**
+ * A recorded date as YYYY-MM-DD
+ */
+const toIsoDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * Shapes a recorded test result like the test result endpoints return it
+ */
+const formatTestResult = (result) => result && {
+  ...(result.details || {}),
+  testId: result.test_id,
+  testDate: toIsoDate(result.test_date),
+  score: Number(result.score),
+  maxScore: Number(result.max_score)
+};
+
+/**
+ * Loads the medical certificate and test results recorded for an applicant. Eligibility is decided
+ * from these records only; medical and test values sent by the client are ignored.
+ * @param {string} sub - User's subject identifier
+ * @param {string} certificateId - Certificate the application refers to; the latest one when not given
+ * @returns {Object} medicalCertificate, writtenTest and practicalTest, each null when none is recorded
+ */
+const loadApplicantRecords = async (sub, certificateId = null) => {
+  if (!sub) {
+    return { medicalCertificate: null, writtenTest: null, practicalTest: null };
+  }
+
+  const [certificate, writtenTest, practicalTest] = await Promise.all([
+    User.findMedicalCertificate(sub, certificateId),
+    User.findLatestTestResult(sub, "written"),
+    User.findLatestTestResult(sub, "practical")
+  ]);
+
+  return {
+    medicalCertificate: certificate && {
+      certificateId: certificate.certificate_id,
+      issuedDate: toIsoDate(certificate.issued_date),
+      expiryDate: toIsoDate(certificate.expiry_date),
+      doctorName: certificate.doctor_name,
+      hospital: certificate.hospital,
+      bloodGroup: certificate.blood_group,
+      isFitToDrive: certificate.is_fit_to_drive === true,
+      vision: certificate.vision_status,
+      hearing: certificate.hearing_status,
+      remarks: certificate.remarks
+    },
+    writtenTest: formatTestResult(writtenTest),
+    practicalTest: formatTestResult(practicalTest)
+  };
+};
+
+/**
+ * Checks that the medical certificate states fitness to drive and has not expired
+ * @param {Object} input - isFitToDrive and expiryDate of the certificate
+ * @param {Date} today - Evaluation date
+ * @returns {Array} reasons the certificate is not acceptable
+ */
+const checkMedicalCertificate = (input, today) => {
+  const reasons = [];
+
+  if (input.isFitToDrive !== true) {
+    reasons.push({ code: "MEDICAL_UNFIT", message: "The medical certificate does not state that the applicant is fit to drive." });
+  }
+
+  const medicalExpiry = toDate(input.expiryDate);
+  if (!medicalExpiry) {
+    reasons.push({ code: "MEDICAL_MISSING", message: "A medical certificate expiry date is required." });
+  } else if (medicalExpiry < today) {
+    reasons.push({ code: "MEDICAL_EXPIRED", message: `The medical certificate expired on ${input.expiryDate}.` });
+  }
+
+  return reasons;
+};
+
+/**
+ * Checks that apply to the whole application rather than a single category
+ * @param {Object} records - Recorded medical certificate and test results from loadApplicantRecords
+ * @param {Date} today - Evaluation date
+ * @returns {Array} reasons the applicant is not eligible
+ */
+const checkApplicant = (records, today) => {
+  const reasons = records.medicalCertificate
+    ? checkMedicalCertificate(records.medicalCertificate, today)
+    : [{ code: "MEDICAL_MISSING", message: "No medical certificate is on record for the applicant." }];
+
+  const tests = [
+    { name: "written", result: records.writtenTest, passPercent: WRITTEN_TEST_PASS_PERCENT },
+    { name: "practical", result: records.practicalTest, passPercent: PRACTICAL_TEST_PASS_PERCENT }
+  ];
+
+  for (const { name, result, passPercent } of tests) {
+    if (!result) {
+      reasons.push({ code: "TEST_MISSING", message: `No ${name} test result is on record for the applicant.` });
+      continue;
+    }
+
+    const passed = isTestPassed(result, passPercent);
+    if (passed === null) {
+      reasons.push({ code: "TEST_MISSING", message: `The recorded ${name} test result has no score.` });
+    } else if (!passed) {
+      reasons.push({ code: "TEST_FAILED", message: `The ${name} test was not passed.` });
+    }
+  }
+
+  return reasons;
+};
+
+/**
+ * Evaluates eligibility for each selected category, including the category prerequisite rules.
+ * The date of birth from the verified identity is used when known, so a changed form value
+ * cannot make an applicant older. The medical certificate and test results are the recorded ones.
+ * @param {Object} input - selectedCategories, dob and the certificateId of the medical certificate
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} overall verdict, reasons common to all categories and a verdict per category
+ */
+const evaluateEligibility = async (input, sub) => {
+  const categories = Array.isArray(input.selectedCategories) ? input.selectedCategories : [];
+  if (categories.length === 0) {
+    throw new Error("Invalid eligibility request: an array of 'selectedCategories' is required.");
+  }
+
+  const today = toDate(new Date());
+  const user = sub ? await User.findBySub(sub) : null;
+  const verifiedDob = user ? toDate(user.date_of_birth) : null;
+  const dob = verifiedDob || toDate(input.dob);
+
+  const reasons = checkApplicant(await loadApplicantRecords(sub, input.certificateId), today);
+
+  if (!dob) {
+    reasons.push({ code: "DOB_MISSING", message: "A date of birth is required." });
+  } else if (verifiedDob && input.dob && toDate(input.dob)?.getTime() !== verifiedDob.getTime()) {
+    reasons.push({ code: "IDENTITY_MISMATCH", message: "The date of birth does not match the verified identity." });
+  }
+
+  const activeCategories = new Map(
+    (await User.getLicenceCategories()).map(category => [category.id, category])
+  );
+  const age = dob ? ageOn(dob, today) : null;
+  const prerequisites = await checkCategoryRules(categories, sub);
+
+  const categoryVerdicts = categories.map(code => {
+    const categoryReasons = [];
+    const category = activeCategories.get(code);
+
+    if (!category) {
+      categoryReasons.push({ code: "UNKNOWN_CATEGORY", message: `Licence category '${code}' does not exist or is not offered.` });
+    } else if (age !== null && age < category.min_age) {
+      categoryReasons.push({
+        code: "UNDERAGE",
+        message: `Category ${code} requires a minimum age of ${category.min_age}; the applicant is ${age}.`
+      });
+    }
+    categoryReasons.push(...(prerequisites.get(code) || []));
+
+    return {
+      category: code,
+      eligible: categoryReasons.length === 0 && reasons.length === 0,
+      reasons: categoryReasons
+    };
+  });
+
+  return {
+    eligible: reasons.length === 0 && categoryVerdicts.every(verdict => verdict.eligible),
+    reasons,
+    categories: categoryVerdicts
+  };
+};
+
+/**
+ * Throws when the application is not eligible for every selected category
+ * @param {Object} input - Application details as for evaluateEligibility
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} eligibility verdict
+ */
+const assertEligible = async (input, sub) => {
+  const verdict = await evaluateEligibility(input, sub);
+
+  if (!verdict.eligible) {
+    const messages = [
+      ...verdict.reasons.map(reason => reason.message),
+      ...verdict.categories.flatMap(category => category.reasons.map(reason => reason.message))
+    ];
+    throw new Error(`Not eligible: ${messages.join(' ')}`);
+  }
+
+  return verdict;
+};
+
+module.exports = {
+  toDate,
+  ageOn,
+  checkMedicalCertificate,
+  checkApplicant,
+  loadApplicantRecords,
+  evaluateEligibility,
+  assertEligible
+};
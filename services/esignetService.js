@@ -1,45 +1,225 @@
+const crypto = require("crypto");
 const axios = require("axios");
 const jose = require("jose");
-const { importJWK, SignJWT, compactDecrypt, flattenedDecrypt, generalDecrypt, decodeJwt } = require("jose");
+const { SignJWT, compactDecrypt, flattenedDecrypt, generalDecrypt, createRemoteJWKSet, jwtVerify, decodeProtectedHeader } = require("jose");
 const User = require("../models/userModel");
+const AuthRequest = require("../models/authRequestModel");
+const { grantBootstrapRoles } = require("./roleService");
+const { getSigningKey, getDecryptionKeys } = require("./keyService");
+const { getProviderMetadata } = require("./discoveryService");
+const { mapUserInfo } = require("./claimMappingService");
+const { getSubmittableDraftData, discardDraft } = require("./draftService");
+const { nextApplicationNumber } = require("./applicationNumberService");
+const { assertEligible, loadApplicantRecords } = require("./eligibilityService");
+const { assertCategoryRules } = require("./categoryRuleService");
+const { getPhotoReference } = require("./documentService");
+const { getApplicationFees } = require("./feeService");
+
+const { ESIGNET_AUD_URL, CLIENT_ASSERTION_TYPE, USERINFO_RESPONSE_TYPE } = require("../config");
+const { CLIENT_ID, REDIRECT_URI, SCOPE, ACR_VALUES, CLAIMS, UI_LOCALES, CLAIMS_LOCALES, AUTH_REQUEST_TTL_SECONDS } = require("../config");
+const { JWKS_CACHE_MAX_AGE_SECONDS, JWT_CLOCK_TOLERANCE_SECONDS, POST_LOGOUT_REDIRECT_URI } = require("../config");
 
-// Temporary storage for pending applications (until payment is confirmed)
-// In production, you might want to use Redis or database for this
-const pendingApplications = new Map();
-
-const { ESIGNET_SERVICE_URL, ESIGNET_AUD_URL, CLIENT_ASSERTION_TYPE, CLIENT_PRIVATE_KEY, USERINFO_RESPONSE_TYPE, JWE_USERINFO_PRIVATE_KEY } = require("../config");
-
-const baseUrl = ESIGNET_SERVICE_URL ? ESIGNET_SERVICE_URL.trim() : '';
-const getTokenEndPoint = "/oauth/v2/token";
-const getUserInfoEndPoint = "/oidc/userinfo";
-
-const alg = "RS256";
-const jweEncryAlgo = "RSA-OAEP-256";
 const expirationTime = "1h";
 
+// jose error codes meaning the token itself was rejected, as opposed to the JWKS being unreachable
+const TOKEN_REJECTION_CODES = [
+  "ERR_JWT_CLAIM_VALIDATION_FAILED",
+  "ERR_JWT_EXPIRED",
+  "ERR_JWT_INVALID",
+  "ERR_JWS_INVALID",
+  "ERR_JWS_SIGNATURE_VERIFICATION_FAILED",
+  "ERR_JWKS_NO_MATCHING_KEY",
+  "ERR_JWKS_MULTIPLE_MATCHING_KEYS",
+  "ERR_JOSE_ALG_NOT_ALLOWED",
+  "ERR_JOSE_NOT_SUPPORTED"
+];
+
+// Test results an examiner can record
+const TEST_TYPES = ["written", "practical"];
+
+// Remote key set is cached by jose and refetched when a token carries an unknown kid
+let providerJwks = null;
+let providerJwksUri = null;
+
 // Initialize database tables (handle properly)
 User.initTables().catch(error => {
   console.error('Failed to initialize database tables:', error);
 });
 
 /**
- * Triggers /oauth/v2/token API on esignet service to fetch access token
+ * Creates a PKCE code verifier and its S256 code challenge
+ * @returns {Object} codeVerifier and codeChallenge
+ */
+const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Builds the eSignet authorize URL and stores the state, nonce and PKCE verifier for the callback
+ * @returns {Object} authorizationUrl to redirect the browser to and the generated state
+ */
+const createAuthorizationRequest = async () => {
+  if (!CLIENT_ID) {
+    throw new Error("CLIENT_ID is not configured");
+  }
+
+  const state = crypto.randomBytes(32).toString("base64url");
+  const nonce = crypto.randomBytes(32).toString("base64url");
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  await AuthRequest.save({
+    state,
+    nonce,
+    code_verifier: codeVerifier,
+    redirect_uri: REDIRECT_URI,
+    ttlSeconds: AUTH_REQUEST_TTL_SECONDS
+  });
+
+  const { authorization_endpoint } = await getProviderMetadata();
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: SCOPE,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+    acr_values: ACR_VALUES,
+    claims: CLAIMS,
+    ui_locales: UI_LOCALES,
+    claims_locales: CLAIMS_LOCALES
+  });
+
+  return {
+    authorizationUrl: `${authorization_endpoint}?${params.toString()}`,
+    state
+  };
+};
+
+/**
+ * Returns the eSignet JWKS advertised in the discovery document, fetched lazily and cached
+ * @param {string} jwksUri jwks_uri from the provider metadata
+ * @returns jose key set function
+ */
+const getProviderJwks = (jwksUri) => {
+  if (!providerJwks || providerJwksUri !== jwksUri) {
+    providerJwksUri = jwksUri;
+    providerJwks = createRemoteJWKSet(new URL(jwksUri), {
+      cacheMaxAge: JWKS_CACHE_MAX_AGE_SECONDS * 1000,
+      cooldownDuration: 30 * 1000
+    });
+  }
+  return providerJwks;
+};
+
+/**
+ * Verifies a JWT signed by eSignet: signature against the JWKS, issuer, audience and expiry
+ * @param {string} token compact JWS
+ * @param {string} label token name used in error messages
+ * @param {string} audience expected audience (our client id)
+ * @returns verified claims
+ */
+const verifyProviderJwt = async (token, label, audience) => {
+  const { issuer, jwks_uri } = await getProviderMetadata();
+
+  try {
+    const { payload } = await jwtVerify(token, getProviderJwks(jwks_uri), {
+      issuer,
+      audience,
+      clockTolerance: JWT_CLOCK_TOLERANCE_SECONDS
+    });
+    return payload;
+  } catch (error) {
+    if (TOKEN_REJECTION_CODES.includes(error.code)) {
+      throw new Error(`${label} verification failed: ${error.message}`);
+    }
+    throw new Error(`Unable to verify ${label}: ${error.message}`);
+  }
+};
+
+/**
+ * Verifies the ID token from the token response and, when given, its nonce
+ * @param {string} idToken ID token from the token response
+ * @param {string} clientId client id the token must be issued to
+ * @param {string} nonce nonce stored with the authorization request
+ * @returns verified ID token claims
+ */
+const verifyIdToken = async (idToken, { clientId = CLIENT_ID, nonce } = {}) => {
+  if (!idToken) {
+    throw new Error("ID token verification failed: id_token missing from token response");
+  }
+
+  const claims = await verifyProviderJwt(idToken, "ID token", clientId);
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new Error("ID token verification failed: nonce mismatch");
+  }
+
+  return claims;
+};
+
+/**
+ * Completes the authorization code flow started by createAuthorizationRequest.
+ * Validates the state, exchanges the code with the stored PKCE verifier and checks the nonce.
+ * @param {string} code auth code returned by eSignet
+ * @param {string} state state returned by eSignet
+ * @param {string} expectedState state bound to the browser by the login cookie
+ * @returns {Object} tokenResponse and userInfo
+ */
+const completeAuthorization = async ({ code, state, expectedState }) => {
+  if (!code) {
+    throw new Error("Invalid authorization response: code is required");
+  }
+
+  if (!state || !expectedState || state !== expectedState) {
+    throw new Error("Invalid authorization state: state does not match this browser");
+  }
+
+  const authRequest = await AuthRequest.consume(state);
+  if (!authRequest) {
+    throw new Error("Invalid authorization state: unknown or expired state");
+  }
+
+  const tokenResponse = await post_GetToken({
+    code,
+    client_id: CLIENT_ID,
+    redirect_uri: authRequest.redirect_uri,
+    grant_type: "authorization_code",
+    code_verifier: authRequest.code_verifier
+  });
+
+  const idTokenClaims = await verifyIdToken(tokenResponse.id_token, {
+    clientId: CLIENT_ID,
+    nonce: authRequest.nonce
+  });
+
+  const userInfo = await get_GetUserInfo(tokenResponse.access_token, {
+    clientId: CLIENT_ID,
+    expectedSub: idTokenClaims.sub
+  });
+  return { tokenResponse, userInfo };
+};
+
+/**
+ * Triggers the token endpoint advertised by eSignet to fetch access token
  * @param {string} code auth code
  * @param {string} client_id registered client id
  * @param {string} redirect_uri validated redirect_uri
  * @param {string} grant_type grant_type
+ * @param {string} code_verifier PKCE code verifier, when the flow was started by this server
  * @returns access token
  */
 const post_GetToken = async ({
   code,
   client_id,
   redirect_uri,
-  grant_type
+  grant_type,
+  code_verifier
 }) => {
-  if (!baseUrl) {
-    throw new Error("ESIGNET_SERVICE_URL is not configured");
-  }
-
   let request = new URLSearchParams({
     code: code,
     client_id: client_id,
@@ -48,8 +228,12 @@ const post_GetToken = async ({
     client_assertion_type: CLIENT_ASSERTION_TYPE,
     client_assertion: await generateSignedJwt(client_id),
   });
+
+  if (code_verifier) {
+    request.append("code_verifier", code_verifier);
+  }
   
-  const endpoint = baseUrl + getTokenEndPoint;
+  const { token_endpoint: endpoint } = await getProviderMetadata();
   console.log('Token endpoint:', endpoint);
   
   try {
@@ -66,16 +250,109 @@ const post_GetToken = async ({
 };
 
 /**
- * Triggers /oidc/userinfo API on esignet service to fetch userInformation
- * @param {string} access_token valid access token
- * @returns decrypted/decoded json user information
+ * Triggers the token endpoint with the refresh_token grant to obtain a new access token
+ * @param {string} refresh_token refresh token stored in the session
+ * @param {string} client_id registered client id
+ * @returns token response
  */
-const get_GetUserInfo = async (access_token) => {
-  if (!baseUrl) {
-    throw new Error("ESIGNET_SERVICE_URL is not configured");
+const post_RefreshToken = async (refresh_token, client_id = CLIENT_ID) => {
+  if (!refresh_token) {
+    throw new Error("refresh_token is required");
+  }
+
+  const request = new URLSearchParams({
+    grant_type: "refresh_token",
+    refresh_token: refresh_token,
+    client_id: client_id,
+    client_assertion_type: CLIENT_ASSERTION_TYPE,
+    client_assertion: await generateSignedJwt(client_id),
+  });
+
+  const { token_endpoint } = await getProviderMetadata();
+
+  try {
+    const response = await axios.post(token_endpoint, request, {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error refreshing token:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Revokes an access or refresh token at eSignet (RFC 7009).
+ * Does nothing when eSignet does not advertise a revocation endpoint.
+ * @param {string} token token to revoke
+ * @param {string} token_type_hint "access_token" or "refresh_token"
+ * @param {string} client_id registered client id
+ * @returns {boolean} whether the revocation request was sent and accepted
+ */
+const revokeToken = async (token, token_type_hint, client_id = CLIENT_ID) => {
+  const { revocation_endpoint } = await getProviderMetadata();
+
+  if (!revocation_endpoint || !token) {
+    return false;
+  }
+
+  const request = new URLSearchParams({
+    token: token,
+    token_type_hint: token_type_hint,
+    client_id: client_id,
+    client_assertion_type: CLIENT_ASSERTION_TYPE,
+    client_assertion: await generateSignedJwt(client_id),
+  });
+
+  try {
+    await axios.post(revocation_endpoint, request, {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+    return true;
+  } catch (error) {
+    // A failed revocation must not keep the user logged in locally
+    console.error(`Error revoking ${token_type_hint}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Builds the eSignet end-session URL for RP-initiated logout
+ * @param {string} idToken ID token of the session, sent as id_token_hint
+ * @returns {string|null} URL to send the browser to, or null when eSignet advertises no end-session endpoint
+ */
+const buildEndSessionUrl = async (idToken) => {
+  const { end_session_endpoint } = await getProviderMetadata();
+
+  if (!end_session_endpoint) {
+    return null;
+  }
+
+  const params = new URLSearchParams({
+    client_id: CLIENT_ID,
+    post_logout_redirect_uri: POST_LOGOUT_REDIRECT_URI
+  });
+
+  if (idToken) {
+    params.append("id_token_hint", idToken);
   }
 
-  const endpoint = baseUrl + getUserInfoEndPoint;
+  return `${end_session_endpoint}?${params.toString()}`;
+};
+
+/**
+ * Triggers the userinfo endpoint advertised by eSignet to fetch userInformation
+ * @param {string} access_token valid access token
+ * @param {string} clientId audience expected in a signed userinfo response
+ * @param {string} expectedSub subject of the verified ID token, which the userinfo must match
+ * @returns decrypted/verified json user information
+ */
+const get_GetUserInfo = async (access_token, { clientId = CLIENT_ID, expectedSub } = {}) => {
+  const { userinfo_endpoint: endpoint } = await getProviderMetadata();
   
   try {
     const response = await axios.get(endpoint, {
@@ -84,15 +361,14 @@ const get_GetUserInfo = async (access_token) => {
       },
     });
 
-    const userInfo = await decodeUserInfoResponse(response.data);
-    
-    // Save user information to database (but don't break flow if it fails)
-    try {
-      await saveUserToDatabase(userInfo);
-    } catch (dbError) {
-      console.error('Database save failed, but continuing with user info:', dbError.message);
+    const userInfo = await decodeUserInfoResponse(response.data, clientId);
+
+    if (expectedSub && userInfo.sub !== expectedSub) {
+      throw new Error("Userinfo verification failed: sub does not match the ID token");
     }
     
+    await saveUserToDatabase(userInfo);
+    
     return userInfo;
   } catch (error) {
     console.error('Error fetching user info:', error.message);
@@ -101,46 +377,19 @@ const get_GetUserInfo = async (access_token) => {
 };
 
 /**
- * Save user information to PostgreSQL database
+ * Save user information to PostgreSQL database using the configured claim mapping.
+ * Mapping and database errors are reported to the caller so the login fails visibly.
  * @param {Object} userInfo User information from eSignet
  */
 const saveUserToDatabase = async (userInfo) => {
-  try {
-    console.log('Raw userInfo from eSignet:', JSON.stringify(userInfo, null, 2));
-    
-    // Extract user data with proper validation
-    const userData = {
-      sub: userInfo.sub || userInfo.user_id,
-      name: userInfo.name || 'Unknown',
-      email: userInfo.email || null,
-      phone: userInfo.phone_number || userInfo.phone || null,
-      date_of_birth: userInfo.birthdate || null,
-      address: userInfo.address ? 
-        (typeof userInfo.address === 'string' ? userInfo.address : JSON.stringify(userInfo.address)) : 
-        null
-    };
-    
-    // Validate required fields
-    if (!userData.sub) {
-      throw new Error('User subject identifier (sub) is required');
-    }
+  const userData = mapUserInfo(userInfo);
 
-    if (!userData.name || userData.name === 'Unknown') {
-      console.warn('User name not provided, using fallback');
-      userData.name = `User_${userData.sub.substring(0, 10)}`;
-    }
+  const savedUser = await User.saveUser(userData);
+  console.log('User saved to database:', savedUser.sub);
 
-    console.log('Processed user data for saving:', userData);
-    
-    const savedUser = await User.saveUser(userData);
-    console.log('User saved to database:', savedUser.sub);
-    
-    return savedUser;
-  } catch (error) {
-    console.error('Error saving user to database:', error);
-    // Don't throw the error to prevent breaking the main flow
-    return null;
-  }
+  await grantBootstrapRoles(savedUser.sub);
+
+  return savedUser;
 };
 
 /**
@@ -149,22 +398,21 @@ const saveUserToDatabase = async (userInfo) => {
  * @returns client assertion signedJWT
  */
 async function generateSignedJwt(clientId) {
-  if (!CLIENT_PRIVATE_KEY) {
-    throw new Error("CLIENT_PRIVATE_KEY is not configured");
-  }
-
-  const privateKey = await importJWK(CLIENT_PRIVATE_KEY, alg);
+  const { kid, alg, key: privateKey } = await getSigningKey();
   
-  const tokenEndpoint = ESIGNET_SERVICE_URL + "/oauth/v2/token";
+  // ESIGNET_AUD_URL overrides the audience for deployments that expect a different value
+  const { token_endpoint } = await getProviderMetadata();
+  const audience = ESIGNET_AUD_URL || token_endpoint;
 
   const jwt = await new SignJWT({
       iss: clientId,
       sub: clientId,  
-      aud: tokenEndpoint,
+      aud: audience,
       jti: generateUniqueId()
     })
     .setProtectedHeader({ 
       alg: alg,
+      kid: kid,
       typ: "JWT" 
     })
     .setIssuedAt()
@@ -181,53 +429,84 @@ function generateUniqueId() {
 }
 
 /**
- * decrypts and decodes the user information fetched from esignet services
+ * Reads the kid from a JWE header, if there is one
+ * @param {string|Object} jwe compact, flattened or general JWE
+ * @returns {string|undefined} key id
+ */
+const getJweKeyId = (jwe) => {
+  try {
+    return decodeProtectedHeader(jwe).kid;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Decrypts a compact, flattened or general JWE with one key
+ * @param {string|Object} jwe encrypted user information
+ * @param {KeyObject} privateKey decryption key
+ * @returns {string} plaintext
+ */
+const decryptJwe = async (jwe, privateKey) => {
+  try {
+    const { plaintext } = await compactDecrypt(jwe, privateKey);
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    try {
+      const { plaintext } = await flattenedDecrypt(jwe, privateKey);
+      return new TextDecoder().decode(plaintext);
+    } catch (error) {
+      const { plaintext } = await generalDecrypt(jwe, privateKey);
+      return new TextDecoder().decode(plaintext);
+    }
+  }
+};
+
+/**
+ * decrypts and verifies the user information fetched from esignet services
  * @param {string} userInfoResponse JWE encrypted or JWT encoded user information
- * @returns decrypted/decoded json user information
+ * @param {string} clientId audience expected in a signed response
+ * @returns decrypted/verified json user information
  */
-const decodeUserInfoResponse = async (userInfoResponse) => {
+const decodeUserInfoResponse = async (userInfoResponse, clientId = CLIENT_ID) => {
   let response = userInfoResponse;
 
   if (USERINFO_RESPONSE_TYPE && USERINFO_RESPONSE_TYPE.toLowerCase() === "jwe") {
-    if (!JWE_USERINFO_PRIVATE_KEY) {
-      throw new Error("JWE_USERINFO_PRIVATE_KEY is required for JWE decryption");
-    }
-
     try {
-      const decodeKey = Buffer.from(JWE_USERINFO_PRIVATE_KEY, 'base64')?.toString();
-      const jwkObject = JSON.parse(decodeKey);
-      const privateKeyObj = await importJWK(jwkObject, jweEncryAlgo);
+      // Try the key named by the JWE header first; older keys stay usable during rotation
+      const decryptionKeys = await getDecryptionKeys(getJweKeyId(response));
+      let decrypted = null;
+      let lastError = null;
 
-      try {
-        const { plaintext } = await compactDecrypt(response, privateKeyObj);
-        response = new TextDecoder().decode(plaintext);
-      } catch (error) {
+      for (const { key } of decryptionKeys) {
         try {
-          const { plaintext } = await flattenedDecrypt(response, privateKeyObj);
-          response = new TextDecoder().decode(plaintext);
+          decrypted = await decryptJwe(response, key);
+          break;
         } catch (error) {
-          const { plaintext } = await generalDecrypt(response, privateKeyObj);
-          response = new TextDecoder().decode(plaintext);
+          lastError = error;
         }
       }
+
+      if (decrypted === null) {
+        throw lastError;
+      }
+      response = decrypted;
     } catch (error) {
       console.error('Error decrypting JWE response:', error);
       throw error;
     }
   }
   
-  // Handle both JWT and JSON responses
+  // Signed responses must verify; only plain JSON bodies skip the signature check
+  if (typeof response === 'string' && response.trim().split('.').length === 3) {
+    return verifyProviderJwt(response.trim(), "Userinfo", clientId);
+  }
+
   try {
-    // Try to decode as JWT
-    return decodeJwt(response);
-  } catch (error) {
-    // If it's not a JWT, try to parse as JSON
-    try {
-      return typeof response === 'string' ? JSON.parse(response) : response;
-    } catch (parseError) {
-      console.error('Failed to parse user info response:', parseError);
-      throw new Error('Invalid user info response format');
-    }
+    return typeof response === 'string' ? JSON.parse(response) : response;
+  } catch (parseError) {
+    console.error('Failed to parse user info response:', parseError);
+    throw new Error('Invalid user info response format');
   }
 };
 
@@ -316,13 +595,25 @@ const deleteLicenceCategory = async (categoryCode) => {
 /**
  * Calculates the total payment based on selected licence categories from database.
  * @param {Array} categories - Array of selected licence categories
+ * @param {string} sub - Optional subject identifier; when given, category prerequisites and open applications are checked
  * @returns {Object} Payment calculation result
  */
-const calculatePayment = async (categories) => {
+const calculatePayment = async (categories, sub) => {
   if (!categories || !Array.isArray(categories) || categories.length === 0) {
     throw new Error("An array of 'categories' is required.");
   }
 
+  // Logged in applicants are told before paying when the selection needs a licence they do not
+  // hold or overlaps an application they already have open
+  if (sub) {
+    await assertCategoryRules(categories, sub);
+
+    const conflicts = await User.findConflictingApplications({ sub, categories });
+    if (conflicts.length > 0) {
+      throw User.conflictError(conflicts[0]);
+    }
+  }
+
   let totalAmount = 0;
   const breakdown = [];
 
@@ -356,7 +647,45 @@ const calculatePayment = async (categories) => {
 };
 
 /**
- * Fetches a mock medical certificate based on a user's NIC.
+ * Records a medical certificate for a user; eligibility is checked against recorded certificates only
+ * @param {string} sub - User's subject identifier
+ * @param {Object} certificate - certificateId, issuedDate, expiryDate, doctorName, hospital, isFitToDrive, ...
+ * @returns {Object} stored certificate
+ */
+const saveMedicalCertificate = (sub, certificate) => User.saveMedicalCertificate(sub, {
+  certificate_id: certificate.certificateId,
+  issued_date: certificate.issuedDate,
+  expiry_date: certificate.expiryDate,
+  doctor_name: certificate.doctorName,
+  hospital: certificate.hospital,
+  blood_group: certificate.bloodGroup,
+  is_fit_to_drive: certificate.isFitToDrive === true,
+  vision_status: certificate.vision,
+  hearing_status: certificate.hearing,
+  remarks: certificate.remarks
+});
+
+/**
+ * Records a test result for a user; eligibility is checked against recorded scores only
+ * @param {string} sub - User's subject identifier
+ * @param {string} testType - written or practical
+ * @param {Object} result - testId, testDate, score, optional maxScore and other details
+ * @returns {Object} stored result
+ */
+const saveTestResult = (sub, testType, result) => {
+  const { testId, testDate, score, maxScore, ...details } = result;
+  return User.saveTestResult(sub, testType, {
+    test_id: testId,
+    test_date: testDate,
+    score,
+    max_score: maxScore,
+    details
+  });
+};
+
+/**
+ * Returns the medical certificate recorded for a user. Certificates are recorded by medical officers
+ * (setMedicalCertificate); applicants can only read theirs.
  * @param {string} sub - User's subject identifier
  * @returns {Object} Medical certificate data
  */
@@ -365,25 +694,11 @@ const getMedicalCertificate = async (sub) => {
     throw new Error("Subject identifier is required.");
   }
 
-  // Verify user exists in database
-  const user = await User.findBySub(sub);
-  if (!user) {
-    throw new Error("User not found in database.");
+  const { medicalCertificate } = await loadApplicantRecords(sub);
+  if (!medicalCertificate) {
+    throw new Error("Medical certificate not found: none is recorded for this user.");
   }
 
-  const medicalCertificate = {
-    certificateId: `MC-${Math.floor(10000 + Math.random() * 90000)}`,
-    issuedDate: new Date().toISOString().split('T')[0],
-    expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 1 year from now
-    doctorName: "Dr. A. Silva",
-    hospital: "National Hospital of Sri Lanka",
-    bloodGroup: "O+",
-    isFitToDrive: true,
-    vision: "6/6 (Corrected)",
-    hearing: "Normal",
-    remarks: "Fit to operate all classes of motor vehicles."
-  };
-
   return medicalCertificate;
 };
 
@@ -404,15 +719,18 @@ const getApplicationHistory = async (sub) => {
 /**
  * Get application details by ID
  * @param {string} applicationId - Application ID
+ * @param {string} ownerSub - When given, the application must belong to this user
  * @returns {Object} Application details
  */
-const getApplicationDetails = async (applicationId) => {
+const getApplicationDetails = async (applicationId, ownerSub) => {
   if (!applicationId) {
     throw new Error("Application ID is required.");
   }
 
   const application = await User.findApplicationById(applicationId);
-  if (!application) {
+
+  // Someone else's application is reported as missing so that IDs cannot be probed
+  if (!application || (ownerSub && application.sub !== ownerSub)) {
     throw new Error("Application not found.");
   }
 
@@ -425,12 +743,25 @@ const getApplicationDetails = async (applicationId) => {
  * @param {string} paymentReferenceId - Payment reference ID
  * @param {boolean} paymentSuccess - Payment success status
  * @param {string} transactionId - Transaction ID from payment gateway
+ * @param {string} draftId - Optional draft whose saved steps provide the application details
  * @returns {Object} Payment confirmation result
  */
-const confirmPayment = async (formData) => {
+const confirmPayment = async (paymentData) => {
   try {
     console.log('=== confirmPayment called ===');
-    console.log('Form Data Received:', formData);
+    console.log('Form Data Received:', paymentData);
+
+    // Applications started as a draft take the applicant's details from the saved draft
+    const formData = paymentData.draftId
+      ? {
+          ...(await getSubmittableDraftData(paymentData.draftId, paymentData.sub)),
+          sub: paymentData.sub,
+          paymentSuccess: paymentData.paymentSuccess,
+          total_amount: paymentData.total_amount,
+          payment_reference_id: paymentData.payment_reference_id,
+          payment_transaction_id: paymentData.payment_transaction_id
+        }
+      : paymentData;
 
     // Debug: Check what selected_categories actually contains
     console.log('Type of selected_categories:', typeof formData.selectedCategories);
@@ -464,6 +795,32 @@ const confirmPayment = async (formData) => {
 
     // console.log('Final selected categories:', selectedCategories);
 
+    // The portal checks eligibility too, but only this check is binding
+    await assertEligible({
+      selectedCategories: selectCategories,
+      dob: formData.dob,
+      certificateId: formData.certificateId
+    }, formData.sub);
+
+    // saveApplication checks conflicts again under its locks; checking here as well means a
+    // refused submission does not use up an application number
+    if (!paymentData.draftId) {
+      const applicant = await User.findBySub(formData.sub);
+      const conflicts = await User.findConflictingApplications({
+        sub: formData.sub,
+        categories: selectCategories,
+        email: formData.email,
+        nic: applicant ? applicant.nic : null
+      });
+      if (conflicts.length > 0) {
+        throw User.conflictError(conflicts[0]);
+      }
+    }
+
+    // The medical certificate and test results are taken from the records, not from the form
+    const records = await loadApplicantRecords(formData.sub, formData.certificateId);
+    const medical = records.medicalCertificate || {};
+
     // Prepare application data for saving with all properties
     const applicationData = {
       // Personal Information
@@ -476,28 +833,33 @@ const confirmPayment = async (formData) => {
       blood_group: formData.bloodGroup,
       
       // Medical Certificate Information
-      medical_certificate_id: formData.certificateId,
-      doctorName: formData.doctorName,
-      hospital: formData.hospital,
-      issuedDate: formData.issuedDate,
-      expiryDate: formData.expiryDate,
-      isFitToDrive: formData.isFitToDrive,
-      vision: formData.vision,
-      hearing: formData.hearing,
-      remarks: formData.remarks,
-      photoUrl: formData.photoUrl,
+      medical_certificate_id: medical.certificateId,
+      doctorName: medical.doctorName,
+      hospital: medical.hospital,
+      issuedDate: medical.issuedDate,
+      expiryDate: medical.expiryDate,
+      isFitToDrive: medical.isFitToDrive,
+      vision: medical.vision,
+      hearing: medical.hearing,
+      remarks: medical.remarks,
+      // Only a photo the applicant uploaded to the draft is used; the client cannot point at another photo
+      photoUrl: paymentData.draftId ? await getPhotoReference(paymentData.draftId, formData.sub) : null,
 
       // Test Results
-      writtenTest: formData.writtenTest,
-      practicalTest: formData.practicalTest,
+      writtenTest: records.writtenTest,
+      practicalTest: records.practicalTest,
 
       // Application Details
       selectCategories: selectCategories,
-      application_id: formData.certificateId, // Using certificateId as application_id
-      status: formData.status || 'pending',
+      // Drafts carry the number issued when they were created; direct submissions get a new one
+      // once the checks above have passed
+      application_id: paymentData.draftId ? formData.applicationNumber : await nextApplicationNumber(),
+      // The client cannot choose the status; a paid application goes straight to review
+      status: formData.paymentSuccess === true ? 'submitted' : 'pending',
       
-      // Payment Information (if available)
-      total_amount: formData.total_amount || 0,
+      // Payment Information (if available). The amount is the fees of the selected categories;
+      // the total sent by the client is ignored.
+      total_amount: (await getApplicationFees({ selected_categories: selectCategories })).totalAmount,
       payment_reference_id: formData.payment_reference_id,
       payment_transaction_id: formData.payment_transaction_id
     };
@@ -508,10 +870,17 @@ const confirmPayment = async (formData) => {
     const savedApp = await User.saveApplication(applicationData);
     console.log('Application saved successfully:', savedApp);
 
+    if (paymentData.draftId) {
+      // The application is saved; a draft left behind only expires later
+      await discardDraft(paymentData.draftId, paymentData.sub).catch(error => {
+        console.error('Error discarding submitted draft:', error.message);
+      });
+    }
+
     return { 
       success: true, 
-      applicationId: applicationData.application_id,
-      status: applicationData.status
+      applicationId: savedApp.application_id,
+      status: savedApp.status
     };
   } catch (error) {
     console.error('Error in confirmPayment:', error);
@@ -519,7 +888,7 @@ const confirmPayment = async (formData) => {
   }
 };
 /**
- * Fetches written test results based on user's NIC
+ * Returns the latest written test result recorded for a user by an examiner
  * @param {string} sub - User's subject identifier
  * @returns {Object} Written test results
  */
@@ -528,30 +897,16 @@ const getWrittenTestResults = async (sub) => {
     throw new Error("Subject identifier is required.");
   }
 
-  // Verify user exists in database
-  const user = await User.findBySub(sub);
-  if (!user) {
-    throw new Error("User not found in database.");
+  const { writtenTest } = await loadApplicantRecords(sub);
+  if (!writtenTest) {
+    throw new Error("Written test result not found: none is recorded for this user.");
   }
 
-  // Mock written test results - in real implementation, this would come from a test database
-  const writtenTest = {
-    testId: `WT-${Math.floor(10000 + Math.random() * 90000)}`,
-    testDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days ago
-    score: Math.floor(60 + Math.random() * 40), // Random score between 60-100
-    totalQuestions: 50,
-    correctAnswers: Math.floor(30 + Math.random() * 20),
-    timeTaken: `${Math.floor(20 + Math.random() * 40)} minutes`,
-    examinerName: "Mr. K. Perera",
-    testCenter: "Colombo Driving Test Center",
-    remarks: "Completed within allocated time"
-  };
-
   return writtenTest;
 };
 
 /**
- * Fetches practical test results based on user's NIC
+ * Returns the latest practical test result recorded for a user by an examiner
  * @param {string} sub - User's subject identifier
  * @returns {Object} Practical test results
  */
@@ -560,26 +915,11 @@ const getPracticalTestResults = async (sub) => {
     throw new Error("Subject identifier is required.");
   }
 
-  // Verify user exists in database
-  const user = await User.findBySub(sub);
-  if (!user) {
-    throw new Error("User not found in database.");
+  const { practicalTest } = await loadApplicantRecords(sub);
+  if (!practicalTest) {
+    throw new Error("Practical test result not found: none is recorded for this user.");
   }
 
-  // Mock practical test results
-  const practicalTest = {
-    testId: `PT-${Math.floor(10000 + Math.random() * 90000)}`,
-    testDate: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 15 days ago
-    testType: "Road Test",
-    vehicleCategory: "B",
-    score: Math.floor(70 + Math.random() * 30), // Random score between 70-100
-    maxScore: 100,
-    examinerName: "Mrs. S. Fernando",
-    testRoute: "City Center Route",
-    passed: Math.random() > 0.3, // 70% pass rate
-    remarks: "Good vehicle control, needs improvement on parallel parking"
-  };
-
   return practicalTest;
 };
 
@@ -600,14 +940,51 @@ const setMedicalCertificate = async (sub, certificateData) => {
     throw new Error("User not found in database.");
   }
 
-  // In a real implementation, you would save this to a medical_certificates table
-  // For now, we'll just return a success message
-  console.log(`Medical certificate stored for user ${sub}:`, certificateData);
-  
+  const certificate = await saveMedicalCertificate(sub, {
+    ...certificateData,
+    certificateId: certificateData.certificateId || `MC-${Date.now()}`
+  });
+
   return {
     success: true,
     message: "Medical certificate stored successfully",
-    certificateId: certificateData.certificateId || `MC-${Date.now()}`,
+    certificateId: certificate.certificate_id,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Records a written or practical test result for a user (examiner function)
+ * @param {string} sub - User's subject identifier
+ * @param {string} testType - written or practical
+ * @param {Object} resultData - testDate, score, optional testId, maxScore and other details
+ * @param {string} recordedBy - Subject identifier of the examiner
+ * @returns {Object} Operation result
+ */
+const setTestResult = async (sub, testType, resultData, recordedBy) => {
+  if (!sub || !resultData) {
+    throw new Error("Subject identifier and test result data are required.");
+  }
+  if (!TEST_TYPES.includes(testType)) {
+    throw new Error(`Invalid test type '${testType}'; expected one of ${TEST_TYPES.join(', ')}.`);
+  }
+
+  // Verify user exists
+  const user = await User.findBySub(sub);
+  if (!user) {
+    throw new Error("User not found in database.");
+  }
+
+  const result = await saveTestResult(sub, testType, {
+    ...resultData,
+    testId: resultData.testId || `${testType === 'written' ? 'WT' : 'PT'}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    recordedBy
+  });
+
+  return {
+    success: true,
+    message: "Test result stored successfully",
+    testId: result.test_id,
     timestamp: new Date().toISOString()
   };
 };
@@ -661,7 +1038,13 @@ const setLicenceCategories = async (categories) => {
 
 // Export all functions
 module.exports = {
+  createAuthorizationRequest,
+  completeAuthorization,
+  verifyIdToken,
   post_GetToken,
+  post_RefreshToken,
+  revokeToken,
+  buildEndSessionUrl,
   get_GetUserInfo,
   getMedicalCertificate,
   calculatePayment,
@@ -676,5 +1059,6 @@ module.exports = {
   getWrittenTestResults,
   getPracticalTestResults,
   setMedicalCertificate,
+  setTestResult,
   setLicenceCategories
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+const path = require("path");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+const faceapi = require("@vladmandic/face-api/dist/face-api.node-wasm.js");
+
+// Models shipped with face-api; only the SSD MobileNet face detector is loaded
+const MODEL_DIR = path.join(path.dirname(require.resolve("@vladmandic/face-api/package.json")), "model");
+
+// Photos are scaled down to at most this many pixels on their longer side before detection;
+// the detector works on 512 x 512 pixels anyway
+const MAX_DETECTION_SIDE = 1024;
+
+// The detector is loaded on first use and shared by all uploads
+let detectorReady = null;
+
+const loadDetector = () => {
+  if (!detectorReady) {
+    detectorReady = (async () => {
+      await faceapi.tf.setBackend("wasm");
+      await faceapi.tf.ready();
+      await faceapi.nets.ssdMobilenetv1.loadFromDisk(MODEL_DIR);
+    })().catch(error => {
+      detectorReady = null;
+      throw new Error(`Failed to load the face detector: ${error.message}`);
+    });
+  }
+  return detectorReady;
+};
+
+/**
+ * Decodes a JPEG or PNG to RGB pixels, scaled down to MAX_DETECTION_SIDE
+ * @param {Buffer} buffer - Image contents
+ * @param {string} mimeType - image/jpeg or image/png
+ * @returns {Object} width, height and pixels (3 values per pixel)
+ */
+const decodeImage = (buffer, mimeType) => {
+  let image;
+  try {
+    // Both decoders return 4 values (RGBA) per pixel
+    image = mimeType === "image/png"
+      ? PNG.sync.read(buffer)
+      : jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: 256 });
+  } catch (error) {
+    throw new Error("Invalid upload: the image could not be read.");
+  }
+
+  const step = Math.max(1, Math.ceil(Math.max(image.width, image.height) / MAX_DETECTION_SIDE));
+  const width = Math.floor(image.width / step);
+  const height = Math.floor(image.height / step);
+  const pixels = new Int32Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = ((y * step) * image.width + x * step) * 4;
+      const target = (y * width + x) * 3;
+      pixels[target] = image.data[source];
+      pixels[target + 1] = image.data[source + 1];
+      pixels[target + 2] = image.data[source + 2];
+    }
+  }
+
+  return { width, height, pixels };
+};
+
+/**
+ * Detects the faces in a photo
+ * @param {Buffer} buffer - Image contents
+ * @param {string} mimeType - image/jpeg or image/png
+ * @param {number} minConfidence - Lowest detection score counted as a face, 0 to 1
+ * @returns {Array} faces with their score and box; the box is in fractions of the photo width and height
+ */
+const detectFaces = async (buffer, mimeType, minConfidence) => {
+  await loadDetector();
+
+  const image = decodeImage(buffer, mimeType);
+  const input = faceapi.tf.tensor3d(image.pixels, [image.height, image.width, 3], "int32");
+  try {
+    const detections = await faceapi.detectAllFaces(input, new faceapi.SsdMobilenetv1Options({ minConfidence }));
+    return detections.map(detection => ({
+      score: detection.score,
+      x: detection.box.x / image.width,
+      y: detection.box.y / image.height,
+      width: detection.box.width / image.width,
+      height: detection.box.height / image.height
+    }));
+  } finally {
+    input.dispose();
+  }
+};
+
+/**
+ * Checks detected faces against the face rules of a document type
+ * @param {Array} faces - Faces as returned by detectFaces
+ * @param {Object} rules - count of faces the photo must show and minHeight of a face, as a fraction of the photo height
+ * @returns {Array} reasons the photo is not acceptable
+ */
+const checkFaces = (faces, rules) => {
+  if (faces.length !== rules.count) {
+    const found = faces.length === 0 ? "none was found" : `${faces.length} were found`;
+    return [`must show exactly ${rules.count === 1 ? "one face" : `${rules.count} faces`}, but ${found}`];
+  }
+
+  const reasons = [];
+  for (const face of faces) {
+    if (rules.minHeight && face.height < rules.minHeight) {
+      reasons.push(`must show the face closer up: it fills ${Math.round(face.height * 100)}% of the photo height, at least ${Math.round(rules.minHeight * 100)}% is needed`);
+    }
+  }
+  return reasons;
+};
+
+module.exports = {
+  detectFaces,
+  checkFaces
+};
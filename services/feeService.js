@@ -0,0 +1,46 @@
+const User = require("../models/userModel");
+
+/**
+ * Fee of a licence category. Renewals are charged the renewal_fee, or the category fee when no
+ * renewal fee is set; everything that prices a category goes through here so the amounts agree.
+ * @param {Object} category - Licence category with fee and renewal_fee
+ * @param {boolean} renewal - Whether the category is being renewed
+ * @returns {number} fee
+ */
+const getCategoryFee = (category, renewal = false) => {
+  const fee = parseFloat(renewal ? category.renewal_fee ?? category.fee : category.fee);
+  return isNaN(fee) ? 0 : fee;
+};
+
+/**
+ * Fees of an application from the category fees, or the renewal fees for renewals. Amounts
+ * charged, printed and refunded are computed here rather than taken from the client.
+ * @param {Object} application - Application with selected_categories and application_type
+ * @returns {Object} total amount and the category, description and fee per selected category
+ */
+const getApplicationFees = async (application) => {
+  const categories = Array.isArray(application.selected_categories) ? application.selected_categories : [];
+  const renewal = application.application_type === 'renewal';
+  const offered = new Map(
+    (await User.getLicenceCategories({ includeInactive: true })).map(category => [category.id, category])
+  );
+
+  const breakdown = categories.filter(code => offered.has(code)).map(code => {
+    const category = offered.get(code);
+    return {
+      category: code,
+      description: renewal ? `Renewal - ${category.description || code}` : category.description,
+      fee: getCategoryFee(category, renewal)
+    };
+  });
+
+  return {
+    totalAmount: breakdown.reduce((total, line) => total + line.fee, 0),
+    breakdown
+  };
+};
+
+module.exports = {
+  getCategoryFee,
+  getApplicationFees
+};
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const { importJWK, calculateJwkThumbprint, generateKeyPair, exportJWK } = require("jose");
+const { parseJsonSetting, toJwkList, PUBLIC_JWK_MEMBERS } = require("./keyService");
+const { ISSUER_KEYS_FILE, ISSUER_KEYS, ISSUER_SIGNING_KID, MOCK_ESIGNET } = require("../config");
+
+// Signing algorithm of a key that does not carry "alg", by key type and curve
+const defaultAlg = (jwk) => {
+  if (jwk.kty === "EC") {
+    return { "P-256": "ES256", "P-384": "ES384", "P-521": "ES512" }[jwk.crv];
+  }
+  if (jwk.kty === "OKP") {
+    return jwk.crv === "Ed25519" ? "EdDSA" : undefined;
+  }
+  return jwk.kty === "RSA" ? "RS256" : undefined;
+};
+
+// Algorithm of the key generated for the mock setup
+const EPHEMERAL_ALG = "ES256";
+
+// Loaded key set: { keys: [{ kid, alg, status, jwk }], signingKid }
+let keySet = null;
+const importedKeys = new Map();
+
+// Key generated for the mock setup when none is configured, kept across reloads
+let ephemeralJwk = null;
+
+/**
+ * Collects the configured issuer JWKs from ISSUER_KEYS_FILE and ISSUER_KEYS
+ * @returns {Array} JWKs
+ */
+const readConfiguredJwks = () => {
+  const jwks = [];
+
+  if (ISSUER_KEYS_FILE) {
+    let fileContent;
+    try {
+      fileContent = fs.readFileSync(ISSUER_KEYS_FILE, "utf8");
+    } catch (error) {
+      throw new Error(`Unable to read ISSUER_KEYS_FILE '${ISSUER_KEYS_FILE}': ${error.message}`);
+    }
+    jwks.push(...toJwkList(parseJsonSetting(fileContent, "ISSUER_KEYS_FILE")));
+  }
+
+  if (ISSUER_KEYS) {
+    jwks.push(...toJwkList(parseJsonSetting(ISSUER_KEYS, "ISSUER_KEYS")));
+  }
+
+  return jwks;
+};
+
+/**
+ * Loads and validates the credential issuer key set. Keys without a kid get one derived from
+ * their RFC 7638 thumbprint. A key with "status": "retired" no longer signs but stays published,
+ * so credentials it signed can still be verified. Without configured keys, issuance is disabled
+ * unless the mock eSignet is enabled, in which case an ephemeral key is generated.
+ * @returns {Object} loaded key set
+ */
+const loadIssuerKeys = async () => {
+  const keys = [];
+
+  let jwks = readConfiguredJwks();
+  if (jwks.length === 0 && MOCK_ESIGNET) {
+    if (!ephemeralJwk) {
+      const { privateKey } = await generateKeyPair(EPHEMERAL_ALG, { extractable: true });
+      ephemeralJwk = { ...await exportJWK(privateKey), alg: EPHEMERAL_ALG };
+      console.warn("No issuer keys configured, using an ephemeral key for the mock setup");
+    }
+    jwks = [ephemeralJwk];
+  }
+
+  for (const jwk of jwks) {
+    if (!jwk.kty || !jwk.d) {
+      throw new Error(`Issuer key '${jwk.kid || "(no kid)"}' must be a private JWK`);
+    }
+
+    const alg = jwk.alg || defaultAlg(jwk);
+    if (!alg) {
+      throw new Error(`Issuer key '${jwk.kid || "(no kid)"}' has no alg and an unsupported key type`);
+    }
+
+    const kid = jwk.kid || await calculateJwkThumbprint(jwk);
+    if (keys.some(key => key.kid === kid)) {
+      throw new Error(`Duplicate issuer key id '${kid}'`);
+    }
+
+    keys.push({ kid, alg, status: jwk.status || "active", jwk: { ...jwk, kid } });
+  }
+
+  const signingKeys = keys.filter(key => key.status !== "retired");
+  let signingKid = null;
+
+  if (ISSUER_SIGNING_KID) {
+    if (!signingKeys.some(key => key.kid === ISSUER_SIGNING_KID)) {
+      throw new Error(`ISSUER_SIGNING_KID '${ISSUER_SIGNING_KID}' does not match a configured issuer key`);
+    }
+    signingKid = ISSUER_SIGNING_KID;
+  } else if (signingKeys.length > 0) {
+    signingKid = signingKeys[0].kid;
+  }
+
+  keySet = { keys, signingKid };
+  importedKeys.clear();
+
+  console.log(`Loaded ${keys.length} issuer key(s), signing credentials with '${signingKid || "none"}'`);
+  return keySet;
+};
+
+/**
+ * Returns the loaded key set, loading it on first use
+ * @returns {Object} loaded key set
+ */
+const getKeySet = async () => {
+  if (!keySet) {
+    await loadIssuerKeys();
+  }
+  return keySet;
+};
+
+/**
+ * Returns the active key for signing credentials
+ * @returns {Object} kid, alg and private key
+ */
+const getIssuerSigningKey = async () => {
+  const { keys, signingKid } = await getKeySet();
+
+  if (!signingKid) {
+    throw new Error("Credential issuance is not configured. Set ISSUER_KEYS_FILE or ISSUER_KEYS");
+  }
+
+  const entry = keys.find(key => key.kid === signingKid);
+  if (!importedKeys.has(entry.kid)) {
+    importedKeys.set(entry.kid, await importJWK(entry.jwk, entry.alg));
+  }
+
+  return { kid: entry.kid, alg: entry.alg, key: importedKeys.get(entry.kid) };
+};
+
+/**
+ * Builds the public JWKS of the credential issuer, including retired keys
+ * @returns {Object} JWKS with public key members only
+ */
+const getIssuerJwks = async () => {
+  const { keys } = await getKeySet();
+
+  return {
+    keys: keys.map(key => {
+      const publicJwk = {};
+      for (const member of PUBLIC_JWK_MEMBERS) {
+        if (key.jwk[member] !== undefined) {
+          publicJwk[member] = key.jwk[member];
+        }
+      }
+      publicJwk.alg = key.alg;
+      publicJwk.use = "sig";
+      return publicJwk;
+    })
+  };
+};
+
+/**
+ * Signing algorithms of the issuer keys, for the issuer metadata
+ * @returns {Array} algorithms
+ */
+const getIssuerAlgorithms = async () => {
+  const { keys } = await getKeySet();
+  return [...new Set(keys.filter(key => key.status !== "retired").map(key => key.alg))];
+};
+
+module.exports = {
+  loadIssuerKeys,
+  getIssuerSigningKey,
+  getIssuerJwks,
+  getIssuerAlgorithms
+};
@@ -0,0 +1,259 @@
+const fs = require("fs");
+const { importJWK, calculateJwkThumbprint, generateKeyPair, exportJWK } = require("jose");
+const { CLIENT_KEYS_FILE, CLIENT_KEYS, CLIENT_SIGNING_KID, CLIENT_PRIVATE_KEY, JWE_USERINFO_PRIVATE_KEY } = require("../config");
+const { MOCK_ESIGNET } = require("../config");
+
+// Default algorithms when a key does not carry "alg"
+const DEFAULT_ALGS = {
+  sig: "RS256",
+  enc: "RSA-OAEP-256"
+};
+
+// JWK members that are safe to publish
+const PUBLIC_JWK_MEMBERS = ["kty", "kid", "use", "alg", "n", "e", "crv", "x", "y"];
+
+// Loaded key set: { keys: [{ kid, use, alg, status, jwk }], signingKid }
+let keySet = null;
+const importedKeys = new Map();
+
+// Keys generated for the mock eSignet when none are configured, kept across reloads
+let ephemeralJwks = null;
+
+/**
+ * Parses a key setting that holds JSON, either plain or base64 encoded
+ * @param {string} value raw setting
+ * @param {string} name setting name used in error messages
+ * @returns {Object} parsed JSON
+ */
+const parseJsonSetting = (value, name) => {
+  const text = value.trim().startsWith("{") || value.trim().startsWith("[")
+    ? value
+    : Buffer.from(value, "base64").toString();
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON or base64 encoded JSON`);
+  }
+};
+
+/**
+ * Normalises a JWKS object, an array of JWKs or a single JWK into an array
+ * @param {Object|Array} value parsed key material
+ * @returns {Array} JWKs
+ */
+const toJwkList = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (value && Array.isArray(value.keys)) {
+    return value.keys;
+  }
+  return [value];
+};
+
+/**
+ * Collects the configured JWKs from CLIENT_KEYS_FILE, CLIENT_KEYS and the legacy
+ * CLIENT_PRIVATE_KEY / JWE_USERINFO_PRIVATE_KEY settings
+ * @returns {Array} JWKs with use set
+ */
+const readConfiguredJwks = () => {
+  const jwks = [];
+
+  if (CLIENT_KEYS_FILE) {
+    let fileContent;
+    try {
+      fileContent = fs.readFileSync(CLIENT_KEYS_FILE, "utf8");
+    } catch (error) {
+      throw new Error(`Unable to read CLIENT_KEYS_FILE '${CLIENT_KEYS_FILE}': ${error.message}`);
+    }
+    jwks.push(...toJwkList(parseJsonSetting(fileContent, "CLIENT_KEYS_FILE")));
+  }
+
+  if (CLIENT_KEYS) {
+    jwks.push(...toJwkList(parseJsonSetting(CLIENT_KEYS, "CLIENT_KEYS")));
+  }
+
+  if (CLIENT_PRIVATE_KEY) {
+    const jwk = parseJsonSetting(CLIENT_PRIVATE_KEY, "CLIENT_PRIVATE_KEY");
+    jwks.push({ ...jwk, use: "sig" });
+  }
+
+  if (JWE_USERINFO_PRIVATE_KEY) {
+    // The legacy setting may hold a key labelled for signing; it is only ever used to decrypt
+    const jwk = parseJsonSetting(JWE_USERINFO_PRIVATE_KEY, "JWE_USERINFO_PRIVATE_KEY");
+    jwks.push({ ...jwk, use: "enc", alg: DEFAULT_ALGS.enc });
+  }
+
+  return jwks;
+};
+
+/**
+ * Generates a signing and an encryption key for use with the mock eSignet
+ * @returns {Array} private JWKs with use set
+ */
+const generateEphemeralJwks = async () => {
+  if (!ephemeralJwks) {
+    ephemeralJwks = [];
+    for (const use of Object.keys(DEFAULT_ALGS)) {
+      const { privateKey } = await generateKeyPair(DEFAULT_ALGS[use], { extractable: true });
+      ephemeralJwks.push({ ...await exportJWK(privateKey), use, alg: DEFAULT_ALGS[use] });
+    }
+    console.warn("No client keys configured, using ephemeral keys for the mock eSignet");
+  }
+  return ephemeralJwks;
+};
+
+/**
+ * Loads and validates the client key set. Keys are identified by kid; keys without one
+ * get a kid derived from their RFC 7638 thumbprint. A key with "status": "retired" is
+ * still used to decrypt but no longer published or used to sign.
+ * @returns {Object} loaded key set
+ */
+const loadKeys = async () => {
+  const keys = [];
+
+  let jwks = readConfiguredJwks();
+  if (jwks.length === 0 && MOCK_ESIGNET) {
+    jwks = await generateEphemeralJwks();
+  }
+
+  for (const jwk of jwks) {
+    const use = jwk.use || "sig";
+    if (!DEFAULT_ALGS[use]) {
+      throw new Error(`Client key '${jwk.kid || "(no kid)"}' has unsupported use '${use}'`);
+    }
+    if (!jwk.kty || !jwk.d) {
+      throw new Error(`Client key '${jwk.kid || "(no kid)"}' must be a private JWK`);
+    }
+
+    const kid = jwk.kid || `${use}-${await calculateJwkThumbprint(jwk)}`;
+    if (keys.some(key => key.kid === kid)) {
+      throw new Error(`Duplicate client key id '${kid}'`);
+    }
+
+    keys.push({
+      kid,
+      use,
+      alg: jwk.alg || DEFAULT_ALGS[use],
+      status: jwk.status || "active",
+      jwk: { ...jwk, kid, use }
+    });
+  }
+
+  const signingKeys = keys.filter(key => key.use === "sig" && key.status !== "retired");
+  let signingKid = null;
+
+  if (CLIENT_SIGNING_KID) {
+    if (!signingKeys.some(key => key.kid === CLIENT_SIGNING_KID)) {
+      throw new Error(`CLIENT_SIGNING_KID '${CLIENT_SIGNING_KID}' does not match a configured signing key`);
+    }
+    signingKid = CLIENT_SIGNING_KID;
+  } else if (signingKeys.length > 0) {
+    signingKid = signingKeys[0].kid;
+  }
+
+  keySet = { keys, signingKid };
+  importedKeys.clear();
+
+  console.log(`Loaded ${keys.length} client key(s), signing with '${signingKid || "none"}'`);
+  return keySet;
+};
+
+/**
+ * Returns the loaded key set, loading it on first use
+ * @returns {Object} loaded key set
+ */
+const getKeySet = async () => {
+  if (!keySet) {
+    await loadKeys();
+  }
+  return keySet;
+};
+
+/**
+ * Imports a configured key as a KeyObject, caching the result
+ * @param {Object} entry key set entry
+ * @returns {KeyObject} private key
+ */
+const importKey = async (entry) => {
+  if (!importedKeys.has(entry.kid)) {
+    importedKeys.set(entry.kid, await importJWK(entry.jwk, entry.alg));
+  }
+  return importedKeys.get(entry.kid);
+};
+
+/**
+ * Returns the active key for signing client assertions
+ * @returns {Object} kid, alg and private key
+ */
+const getSigningKey = async () => {
+  const { keys, signingKid } = await getKeySet();
+
+  if (!signingKid) {
+    throw new Error("No client signing key configured. Set CLIENT_KEYS_FILE, CLIENT_KEYS or CLIENT_PRIVATE_KEY");
+  }
+
+  const entry = keys.find(key => key.kid === signingKid);
+  return {
+    kid: entry.kid,
+    alg: entry.alg,
+    key: await importKey(entry)
+  };
+};
+
+/**
+ * Returns the keys to try when decrypting a JWE, the one matching kid first
+ * @param {string} kid key id from the JWE header, if any
+ * @returns {Array} kid, alg and private key for each candidate
+ */
+const getDecryptionKeys = async (kid) => {
+  const { keys } = await getKeySet();
+
+  const candidates = keys
+    .filter(key => key.use === "enc")
+    .sort((a, b) => (b.kid === kid) - (a.kid === kid));
+
+  if (candidates.length === 0) {
+    throw new Error("No client decryption key configured for JWE userinfo responses");
+  }
+
+  return Promise.all(candidates.map(async entry => ({
+    kid: entry.kid,
+    alg: entry.alg,
+    key: await importKey(entry)
+  })));
+};
+
+/**
+ * Builds the public JWKS of this relying party, leaving out retired keys
+ * @returns {Object} JWKS with public key members only
+ */
+const getPublicJwks = async () => {
+  const { keys } = await getKeySet();
+
+  return {
+    keys: keys
+      .filter(key => key.status !== "retired")
+      .map(key => {
+        const publicJwk = {};
+        for (const member of PUBLIC_JWK_MEMBERS) {
+          if (key.jwk[member] !== undefined) {
+            publicJwk[member] = key.jwk[member];
+          }
+        }
+        publicJwk.alg = key.alg;
+        return publicJwk;
+      })
+  };
+};
+
+module.exports = {
+  parseJsonSetting,
+  toJwkList,
+  PUBLIC_JWK_MEMBERS,
+  loadKeys,
+  getSigningKey,
+  getDecryptionKeys,
+  getPublicJwks
+};
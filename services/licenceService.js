@@ -0,0 +1,322 @@
+const User = require("../models/userModel");
+const Licence = require("../models/licenceModel");
+const { luhnCheckDigit } = require("./applicationNumberService");
+
+// LK-<sequence, at least 8 digits>-<Luhn check digit>, e.g. LK-00001234-4
+const LICENCE_NUMBER_PATTERN = /^LK-(\d{8,})-(\d)$/;
+
+/**
+ * Formats a licence number from its sequence value
+ * @param {number|string} sequence - Value from the licence number sequence
+ * @returns {string} licence number
+ */
+const formatLicenceNumber = (sequence) => {
+  const digits = String(sequence).padStart(8, "0");
+  return `LK-${digits}-${luhnCheckDigit(digits)}`;
+};
+
+/**
+ * Checks the format and check digit of a licence number
+ * @param {string} value - Candidate licence number
+ * @returns {boolean} whether it is a well-formed licence number
+ */
+const isValidLicenceNumber = (value) => {
+  const match = typeof value === "string" && value.match(LICENCE_NUMBER_PATTERN);
+  return Boolean(match) && luhnCheckDigit(match[1]) === Number(match[2]);
+};
+
+/**
+ * A date in the server's time zone as YYYY-MM-DD. pg returns DATE columns as local midnight.
+ */
+const toIsoDate = (date) => {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const today = () => toIsoDate(new Date());
+
+/**
+ * Adds whole years to a YYYY-MM-DD date; 29 February moves to 1 March in other years
+ */
+const addYears = (isoDate, years) => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return new Date(Date.UTC(year + years, month - 1, day)).toISOString().slice(0, 10);
+};
+
+/**
+ * Adds days, possibly negative, to a YYYY-MM-DD date
+ */
+const addDays = (isoDate, days) => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * The date a renewed category stays valid until. Renewing early keeps the time left, so the
+ * validity runs from the current expiry date, or from today once the category has expired.
+ * @param {string} validUntil - Current expiry date of the category
+ * @param {number} validityYears - Validity of the category in years
+ * @param {string} renewalDate - Date of renewal (default: today)
+ * @returns {string} new expiry date
+ */
+const renewedValidUntil = (validUntil, validityYears, renewalDate = today()) => {
+  return addYears(validUntil > renewalDate ? validUntil : renewalDate, validityYears);
+};
+
+/**
+ * Shapes a licence version for API responses
+ * @param {Object} licence - Licence version row with categories
+ * @returns {Object} licence
+ */
+const formatLicence = (licence) => ({
+  licenceNumber: licence.licence_number,
+  version: licence.version,
+  status: licence.status,
+  changeType: licence.change_type,
+  issueDate: licence.issue_date,
+  expiryDate: licence.expiry_date,
+  holder: {
+    name: licence.holder_name,
+    dateOfBirth: licence.holder_date_of_birth,
+    address: licence.holder_address,
+    bloodGroup: licence.blood_group,
+    photoUrl: licence.photo_url
+  },
+  categories: licence.categories.map(category => ({
+    category: category.category_code,
+    firstIssued: category.first_issued,
+    validFrom: category.valid_from,
+    validUntil: category.valid_until,
+    valid: category.valid_from <= today() && today() <= category.valid_until
+  })),
+  sourceApplicationId: licence.source_application_id,
+  issuedBy: licence.issued_by,
+  reason: licence.reason,
+  createdAt: licence.created_at
+});
+
+/**
+ * Writes a new version of the holder's licence, creating the licence on first issue.
+ * The categories of the current version are carried over unless build replaces them.
+ * @param {string} sub - Holder's subject identifier
+ * @param {Function} build - Receives the current version (or null) and returns the fields of the new version
+ * @returns {Object} new licence version
+ */
+const writeLicenceVersion = async (sub, build) => {
+  return Licence.withHolderLock(sub, async (client) => {
+    const current = await Licence.findCurrent({ sub }, client);
+    const next = await build(current, client);
+    if (!next) {
+      return current;
+    }
+
+    let licenceNumber = current && current.licence_number;
+    if (!licenceNumber) {
+      licenceNumber = formatLicenceNumber(await Licence.nextLicenceSequence(client));
+      await Licence.create(client, { licenceNumber, sub });
+    }
+
+    const categories = next.categories;
+    await Licence.createVersion(client, {
+      ...next,
+      licenceNumber,
+      version: current ? current.version + 1 : 1,
+      expiryDate: categories.map(category => category.valid_until).sort().pop()
+    });
+
+    return Licence.findCurrent({ licenceNumber }, client);
+  });
+};
+
+/**
+ * Issues a licence, or a new version of the holder's licence, for an approved application.
+ * Each approved category is valid for its category's validity_years from today; categories
+ * already on the licence keep their dates. An approved renewal extends its categories on the
+ * same licence number instead. Issuing twice for an application returns the version issued
+ * the first time.
+ * @param {string} applicationId - Approved application ID
+ * @param {Object} user - Officer who approved the application
+ * @returns {Object} licence
+ */
+const issueLicenceForApplication = async (applicationId, user) => {
+  const application = await User.findApplicationById(applicationId);
+  if (application.status !== 'approved') {
+    throw new Error(`Cannot issue a licence: application ${applicationId} is ${application.status}, not approved.`);
+  }
+  // The holder's name and date of birth come from the verified identity (users), not the application form
+  if (!application.name) {
+    throw new Error(`Cannot issue a licence: the verified identity of the applicant of ${applicationId} has no name.`);
+  }
+
+  const categoryCodes = Array.isArray(application.selected_categories) ? application.selected_categories : [];
+  const categoryDetails = new Map(
+    (await User.getLicenceCategories({ includeInactive: true })).map(category => [category.id, category])
+  );
+
+  const licence = await writeLicenceVersion(application.sub, async (current, client) => {
+    if (await Licence.findVersionByApplication(applicationId, client)) {
+      return null;
+    }
+
+    if (current && current.status !== 'active') {
+      throw new Error(`Cannot issue a licence: licence ${current.licence_number} is ${current.status}.`);
+    }
+
+    const isRenewal = application.application_type === 'renewal';
+    if (isRenewal && (!current || current.licence_number !== application.licence_number)) {
+      throw new Error(`Cannot issue a licence: licence ${application.licence_number} to renew is not the applicant's current licence.`);
+    }
+
+    const issueDate = today();
+    const categories = new Map((current ? current.categories : []).map(category => [category.category_code, category]));
+
+    for (const code of categoryCodes) {
+      const details = categoryDetails.get(code);
+      if (!details) {
+        throw new Error(`Cannot issue a licence: licence category '${code}' does not exist.`);
+      }
+
+      const held = categories.get(code);
+      if (isRenewal && !held) {
+        throw new Error(`Cannot issue a licence: category ${code} to renew is not on licence ${application.licence_number}.`);
+      }
+
+      categories.set(code, {
+        category_code: code,
+        first_issued: held ? held.first_issued : issueDate,
+        valid_from: issueDate,
+        valid_until: isRenewal
+          ? renewedValidUntil(held.valid_until, details.validity_years, issueDate)
+          : addYears(issueDate, details.validity_years)
+      });
+    }
+
+    return {
+      changeType: isRenewal ? 'renewed' : current ? 'categories_added' : 'issued',
+      issueDate,
+      holderName: application.name,
+      holderDateOfBirth: application.date_of_birth instanceof Date
+        ? toIsoDate(application.date_of_birth)
+        : application.date_of_birth,
+      holderAddress: application.address,
+      // A renewal without a new photo or blood group keeps those of the licence
+      bloodGroup: application.blood_group || (isRenewal ? current.blood_group : null),
+      photoUrl: application.photo_url || (isRenewal ? current.photo_url : null),
+      sourceApplicationId: applicationId,
+      issuedBy: user.sub,
+      categories: [...categories.values()]
+    };
+  });
+
+  return formatLicence(licence);
+};
+
+/**
+ * Retrieves the current licence of the user
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} licence
+ */
+const getMyLicence = async (sub) => {
+  const licence = await Licence.findCurrent({ sub });
+  if (!licence) {
+    throw new Error("No licence has been issued to you yet; not found.");
+  }
+  return formatLicence(licence);
+};
+
+/**
+ * Looks up a licence by its number with every version, for officers
+ * @param {string} licenceNumber - Licence number
+ * @returns {Object} current licence and its versions, oldest first
+ */
+const getLicenceByNumber = async (licenceNumber) => {
+  if (!isValidLicenceNumber(licenceNumber)) {
+    throw new Error(`Invalid licence number '${licenceNumber}'.`);
+  }
+
+  const licence = await Licence.findCurrent({ licenceNumber });
+  if (!licence) {
+    throw new Error(`Licence '${licenceNumber}' not found.`);
+  }
+
+  const versions = await Licence.findVersions(licenceNumber);
+  return {
+    ...formatLicence(licence),
+    holderSub: licence.sub,
+    versions: versions.map(formatLicence)
+  };
+};
+
+// Status changes an officer can make, by target status, and the change type recorded for each.
+// Revocation is final.
+const STATUS_CHANGES = {
+  suspended: { from: ['active'], changeType: 'suspended' },
+  revoked: { from: ['active', 'suspended'], changeType: 'revoked' },
+  active: { from: ['suspended'], changeType: 'reinstated' }
+};
+
+/**
+ * Suspends, revokes or reinstates a licence by writing a new version with the new status. The
+ * holder details and categories are carried over unchanged.
+ * @param {string} licenceNumber - Licence number
+ * @param {Object} change - status (suspended, revoked or active) and reason
+ * @param {Object} user - Officer making the change
+ * @returns {Object} licence
+ */
+const changeLicenceStatus = async (licenceNumber, { status, reason }, user) => {
+  const statusChange = STATUS_CHANGES[status];
+  if (!statusChange) {
+    throw new Error(`Invalid licence status. Must be one of: ${Object.keys(STATUS_CHANGES).join(', ')}`);
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmedReason) {
+    throw new Error("Invalid licence status change: a reason is required.");
+  }
+
+  if (!isValidLicenceNumber(licenceNumber)) {
+    throw new Error(`Invalid licence number '${licenceNumber}'.`);
+  }
+
+  const licence = await Licence.findCurrent({ licenceNumber });
+  if (!licence) {
+    throw new Error(`Licence '${licenceNumber}' not found.`);
+  }
+
+  const updated = await writeLicenceVersion(licence.sub, async (current) => {
+    if (!statusChange.from.includes(current.status)) {
+      throw new Error(`Cannot change the licence status: licence ${licenceNumber} is ${current.status}.`);
+    }
+
+    return {
+      changeType: statusChange.changeType,
+      status,
+      issueDate: current.issue_date,
+      holderName: current.holder_name,
+      holderDateOfBirth: current.holder_date_of_birth,
+      holderAddress: current.holder_address,
+      bloodGroup: current.blood_group,
+      photoUrl: current.photo_url,
+      issuedBy: user.sub,
+      reason: trimmedReason,
+      categories: current.categories
+    };
+  });
+
+  return formatLicence(updated);
+};
+
+module.exports = {
+  today,
+  addYears,
+  addDays,
+  renewedValidUntil,
+  formatLicenceNumber,
+  isValidLicenceNumber,
+  writeLicenceVersion,
+  formatLicence,
+  issueLicenceForApplication,
+  getMyLicence,
+  getLicenceByNumber,
+  changeLicenceStatus
+};
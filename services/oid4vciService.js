@@ -0,0 +1,350 @@
+const crypto = require("crypto");
+const { decodeProtectedHeader, importJWK, jwtVerify } = require("jose");
+const Licence = require("../models/licenceModel");
+const Credential = require("../models/credentialModel");
+const { formatLicence } = require("./licenceService");
+const { issueLicenceCredential } = require("./credentialService");
+const { getIssuerJwks, getIssuerAlgorithms } = require("./issuerKeyService");
+const { PUBLIC_JWK_MEMBERS } = require("./keyService");
+const { CREDENTIAL_TYPE, PROOF_SIGNING_ALGS, CREDENTIAL_CONFIGURATIONS, CREDENTIAL_CLAIMS } = require("../config/credentialConfigurations");
+const { CREDENTIAL_ISSUER_URL, CREDENTIAL_OFFER_TTL_SECONDS, CREDENTIAL_ACCESS_TOKEN_TTL_SECONDS } = require("../config");
+const { CREDENTIAL_NONCE_TTL_SECONDS, JWT_CLOCK_TOLERANCE_SECONDS } = require("../config");
+
+// Error codes of the token and credential endpoints; errors carry them as a message prefix
+const OID4VCI_ERRORS = [
+  "invalid_request", "invalid_grant", "unsupported_grant_type", "invalid_token",
+  "invalid_proof", "unsupported_credential_format", "unsupported_credential_type"
+];
+
+const PRE_AUTHORIZED_GRANT = "urn:ietf:params:oauth:grant-type:pre-authorized_code";
+const PROOF_TYP = "openid4vci-proof+jwt";
+
+const TOKEN_ENDPOINT = `${CREDENTIAL_ISSUER_URL}/api/oid4vci/token`;
+const CREDENTIAL_ENDPOINT = `${CREDENTIAL_ISSUER_URL}/api/oid4vci/credential`;
+
+/**
+ * Creates an error carrying an OAuth / OpenID4VCI error code, e.g. "invalid_proof: ..."
+ * @param {string} code - Error code
+ * @param {string} description - Human readable description
+ * @returns {Error}
+ */
+const oid4vciError = (code, description) => new Error(`${code}: ${description}`);
+
+/**
+ * Hashes a pre-authorized code or access token; only hashes are stored
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Credential issuer metadata (OpenID4VCI section 11.2)
+ * @returns {Object} metadata
+ */
+const getCredentialIssuerMetadata = async () => {
+  const signingAlgs = await getIssuerAlgorithms();
+  const claims = Object.fromEntries(
+    Object.entries(CREDENTIAL_CLAIMS).map(([name, label]) => [name, { display: [{ name: label, locale: "en" }] }])
+  );
+
+  return {
+    credential_issuer: CREDENTIAL_ISSUER_URL,
+    authorization_servers: [CREDENTIAL_ISSUER_URL],
+    credential_endpoint: CREDENTIAL_ENDPOINT,
+    display: [{ name: "Department of Motor Traffic", locale: "en" }],
+    credential_configurations_supported: Object.fromEntries(
+      Object.entries(CREDENTIAL_CONFIGURATIONS).map(([id, configuration]) => [id, {
+        ...configuration,
+        credential_signing_alg_values_supported: signingAlgs,
+        proof_types_supported: { jwt: { proof_signing_alg_values_supported: PROOF_SIGNING_ALGS } },
+        ...(configuration.format === "jwt_vc_json"
+          ? { credential_definition: { ...configuration.credential_definition, credentialSubject: claims } }
+          : { claims })
+      }])
+    )
+  };
+};
+
+/**
+ * OAuth authorization server metadata for the pre-authorized code flow
+ * @returns {Object} metadata
+ */
+const getAuthorizationServerMetadata = () => ({
+  issuer: CREDENTIAL_ISSUER_URL,
+  token_endpoint: TOKEN_ENDPOINT,
+  grant_types_supported: [PRE_AUTHORIZED_GRANT],
+  "pre-authorized_grant_anonymous_access_supported": true,
+  response_types_supported: []
+});
+
+/**
+ * SD-JWT VC issuer metadata with the keys that verify issued credentials
+ * @returns {Object} metadata
+ */
+const getJwtVcIssuerMetadata = async () => ({
+  issuer: CREDENTIAL_ISSUER_URL,
+  jwks: await getIssuerJwks()
+});
+
+/**
+ * Creates a credential offer for the user's licence. The wallet redeems the pre-authorized code
+ * in the offer, once and within CREDENTIAL_OFFER_TTL_SECONDS, for an access token to the credential endpoint.
+ * @param {string} sub - User's subject identifier
+ * @param {Array} configurationIds - Credential configurations to offer (default: all)
+ * @returns {Object} credential offer and an openid-credential-offer:// link for a QR code
+ */
+const createCredentialOffer = async (sub, configurationIds = Object.keys(CREDENTIAL_CONFIGURATIONS)) => {
+  const unknown = (configurationIds || []).filter(id => !CREDENTIAL_CONFIGURATIONS[id]);
+  if (!Array.isArray(configurationIds) || configurationIds.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid credential configurations. Must be some of: ${Object.keys(CREDENTIAL_CONFIGURATIONS).join(", ")}`);
+  }
+
+  const licence = await Licence.findCurrent({ sub });
+  if (!licence) {
+    throw new Error("No licence has been issued to you yet; not found.");
+  }
+  if (licence.status !== 'active') {
+    throw new Error(`Cannot issue a credential: licence ${licence.licence_number} is ${licence.status}.`);
+  }
+
+  const preAuthorizedCode = randomToken();
+  await Credential.createOffer({
+    preAuthorizedCodeHash: hashToken(preAuthorizedCode),
+    sub,
+    licenceNumber: licence.licence_number,
+    configurationIds,
+    ttlSeconds: CREDENTIAL_OFFER_TTL_SECONDS
+  });
+
+  const credentialOffer = {
+    credential_issuer: CREDENTIAL_ISSUER_URL,
+    credential_configuration_ids: configurationIds,
+    grants: {
+      [PRE_AUTHORIZED_GRANT]: { "pre-authorized_code": preAuthorizedCode }
+    }
+  };
+
+  return {
+    credentialOffer,
+    credentialOfferUri: `openid-credential-offer://?credential_offer=${encodeURIComponent(JSON.stringify(credentialOffer))}`,
+    expiresIn: CREDENTIAL_OFFER_TTL_SECONDS
+  };
+};
+
+/**
+ * Token endpoint: exchanges a pre-authorized code for an access token and the first c_nonce
+ * @param {Object} params - grant_type and pre-authorized_code
+ * @returns {Object} OAuth token response
+ */
+const exchangePreAuthorizedCode = async (params) => {
+  if (params.grant_type !== PRE_AUTHORIZED_GRANT) {
+    throw oid4vciError("unsupported_grant_type", `Only ${PRE_AUTHORIZED_GRANT} is supported.`);
+  }
+  if (!params["pre-authorized_code"]) {
+    throw oid4vciError("invalid_request", "pre-authorized_code is required.");
+  }
+
+  const accessToken = randomToken();
+  const cNonce = randomToken();
+  const offer = await Credential.redeemOffer(hashToken(params["pre-authorized_code"]), {
+    accessTokenHash: hashToken(accessToken),
+    tokenTtlSeconds: CREDENTIAL_ACCESS_TOKEN_TTL_SECONDS,
+    cNonce,
+    nonceTtlSeconds: CREDENTIAL_NONCE_TTL_SECONDS
+  });
+
+  if (!offer) {
+    throw oid4vciError("invalid_grant", "The pre-authorized code is invalid, expired or already used.");
+  }
+
+  return {
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: CREDENTIAL_ACCESS_TOKEN_TTL_SECONDS,
+    c_nonce: cNonce,
+    c_nonce_expires_in: CREDENTIAL_NONCE_TTL_SECONDS
+  };
+};
+
+/**
+ * Works out which offered credential configuration a credential request asks for. Accepts
+ * credential_configuration_id, or format with vct / credential_definition as in draft 13.
+ * @param {Object} request - Credential request
+ * @param {Array} offeredIds - Configurations in the offer
+ * @returns {string} configuration ID
+ */
+const resolveConfigurationId = (request, offeredIds) => {
+  let configurationId = request.credential_configuration_id || request.credential_identifier;
+
+  if (!configurationId) {
+    if (!request.format) {
+      throw oid4vciError("invalid_request", "credential_configuration_id or format is required.");
+    }
+
+    const requestedTypes = request.credential_definition?.type || [];
+    configurationId = Object.keys(CREDENTIAL_CONFIGURATIONS).find(id => {
+      const configuration = CREDENTIAL_CONFIGURATIONS[id];
+      if (configuration.format !== request.format) {
+        return false;
+      }
+      return configuration.format === "vc+sd-jwt"
+        ? !request.vct || request.vct === configuration.vct
+        : requestedTypes.length === 0 || requestedTypes.includes(CREDENTIAL_TYPE);
+    });
+
+    if (!configurationId) {
+      throw oid4vciError("unsupported_credential_format", `Format '${request.format}' is not issued for this credential.`);
+    }
+  }
+
+  if (!CREDENTIAL_CONFIGURATIONS[configurationId] || !offeredIds.includes(configurationId)) {
+    throw oid4vciError("unsupported_credential_type", `Credential '${configurationId}' was not offered.`);
+  }
+
+  return configurationId;
+};
+
+/**
+ * Reads the holder key from a proof header: an embedded jwk or a did:jwk kid
+ * @param {Object} header - Protected header of the proof
+ * @returns {Object|null} public JWK
+ */
+const readHolderKey = (header) => {
+  let jwk = header.jwk;
+
+  if (!jwk && typeof header.kid === "string" && header.kid.startsWith("did:jwk:")) {
+    try {
+      jwk = JSON.parse(Buffer.from(header.kid.slice("did:jwk:".length).split("#")[0], "base64url").toString());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!jwk || typeof jwk !== "object" || jwk.d) {
+    return null;
+  }
+
+  return Object.fromEntries(PUBLIC_JWK_MEMBERS.filter(member => jwk[member] !== undefined).map(member => [member, jwk[member]]));
+};
+
+/**
+ * Verifies the wallet's proof of possession: a JWT signed with the holder key, for this issuer,
+ * carrying the current c_nonce
+ * @param {Object} proof - proof_type and jwt
+ * @param {Object} offer - Offer the access token belongs to
+ * @returns {Object} holder's public JWK
+ */
+const verifyProof = async (proof, offer) => {
+  if (!proof || proof.proof_type !== "jwt" || typeof proof.jwt !== "string") {
+    throw oid4vciError("invalid_proof", "A proof of type jwt is required.");
+  }
+
+  let header;
+  try {
+    header = decodeProtectedHeader(proof.jwt);
+  } catch (error) {
+    throw oid4vciError("invalid_proof", "The proof is not a JWT.");
+  }
+
+  if (header.typ !== PROOF_TYP || !PROOF_SIGNING_ALGS.includes(header.alg)) {
+    throw oid4vciError("invalid_proof", `The proof must be a ${PROOF_TYP} signed with one of ${PROOF_SIGNING_ALGS.join(", ")}.`);
+  }
+
+  const holderJwk = readHolderKey(header);
+  if (!holderJwk) {
+    throw oid4vciError("invalid_proof", "The proof header must carry the holder's public key as jwk or a did:jwk kid.");
+  }
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(proof.jwt, await importJWK(holderJwk, header.alg), {
+      audience: CREDENTIAL_ISSUER_URL,
+      typ: PROOF_TYP,
+      algorithms: PROOF_SIGNING_ALGS,
+      maxTokenAge: CREDENTIAL_NONCE_TTL_SECONDS,
+      clockTolerance: JWT_CLOCK_TOLERANCE_SECONDS
+    }));
+  } catch (error) {
+    throw oid4vciError("invalid_proof", `The proof could not be verified: ${error.message}`);
+  }
+
+  if (!offer.c_nonce_valid || payload.nonce !== offer.c_nonce) {
+    throw oid4vciError("invalid_proof", "The proof does not carry the current c_nonce.");
+  }
+
+  return holderJwk;
+};
+
+/**
+ * Credential endpoint: issues the offered licence credential to the wallet that proved
+ * possession of its key. Each c_nonce is accepted once; a new one is returned with the credential
+ * and with invalid_proof errors (as error.cNonce) so the wallet can retry.
+ * @param {string} authorization - Authorization header with the Bearer access token
+ * @param {Object} request - Credential request
+ * @returns {Object} credential response
+ */
+const issueCredential = async (authorization, request = {}) => {
+  const [scheme, accessToken] = String(authorization || "").split(" ");
+  if (scheme !== "Bearer" || !accessToken) {
+    throw oid4vciError("invalid_token", "A Bearer access token is required.");
+  }
+
+  const offer = await Credential.findByAccessToken(hashToken(accessToken));
+  if (!offer) {
+    throw oid4vciError("invalid_token", "The access token is invalid or expired.");
+  }
+
+  const configurationId = resolveConfigurationId(request, offer.configuration_ids);
+  const nextNonce = randomToken();
+
+  let holderJwk;
+  try {
+    holderJwk = await verifyProof(request.proof, offer);
+    if (!await Credential.rotateNonce(offer.id, nextNonce, CREDENTIAL_NONCE_TTL_SECONDS, offer.c_nonce)) {
+      throw oid4vciError("invalid_proof", "The c_nonce was already used.");
+    }
+  } catch (error) {
+    if (error.message.startsWith("invalid_proof")) {
+      await Credential.rotateNonce(offer.id, nextNonce, CREDENTIAL_NONCE_TTL_SECONDS);
+      error.cNonce = nextNonce;
+      error.cNonceExpiresIn = CREDENTIAL_NONCE_TTL_SECONDS;
+    }
+    throw error;
+  }
+
+  // The credential reflects the licence as it is now, not as it was when offered
+  const licence = await Licence.findCurrent({ licenceNumber: offer.licence_number });
+  if (!licence || licence.sub !== offer.sub || licence.status !== 'active') {
+    throw oid4vciError("invalid_token", `Licence ${offer.licence_number} can no longer be issued.`);
+  }
+
+  const { format, credential } = await issueLicenceCredential(
+    { ...formatLicence(licence), holderSub: licence.sub },
+    configurationId,
+    holderJwk
+  );
+
+  return {
+    format,
+    credential,
+    c_nonce: nextNonce,
+    c_nonce_expires_in: CREDENTIAL_NONCE_TTL_SECONDS
+  };
+};
+
+/**
+ * Removes credential offers whose code and access token have expired
+ * @returns {Array} removed offers
+ */
+const cleanupExpiredOffers = () => Credential.cleanupExpired();
+
+module.exports = {
+  OID4VCI_ERRORS,
+  getCredentialIssuerMetadata,
+  getAuthorizationServerMetadata,
+  getJwtVcIssuerMetadata,
+  createCredentialOffer,
+  exchangePreAuthorizedCode,
+  issueCredential,
+  cleanupExpiredOffers
+};
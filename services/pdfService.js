@@ -0,0 +1,228 @@
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const Licence = require("../models/licenceModel");
+const { getApplicationFees } = require("./feeService");
+const { hasPolicy, findVisibleApplication } = require("./applicationLifecycleService");
+const { getPhotoContent } = require("./documentService");
+const { today, addDays, formatLicence, isValidLicenceNumber } = require("./licenceService");
+const { createVerificationPayload } = require("./verificationService");
+const { TEMPORARY_PERMIT_VALIDITY_DAYS } = require("../config");
+
+/**
+ * Formats a date or timestamp for printing; pg returns DATE columns as local midnight
+ */
+const formatDate = (value) => {
+  if (!value) {
+    return "-";
+  }
+  if (value instanceof Date) {
+    const pad = (number) => String(number).padStart(2, "0");
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const formatAmount = (amount) => `LKR ${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Renders a PDF into a buffer
+ * @param {Object} options - PDFKit document options
+ * @param {Function} draw - Receives the document and draws the content
+ * @returns {Buffer} PDF
+ */
+const renderPdf = async (options, draw) => {
+  const doc = new PDFDocument({ margin: 50, ...options });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", resolve);
+    doc.on("error", reject);
+  });
+
+  await draw(doc);
+  doc.end();
+  await finished;
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Draws label and value rows starting at the current position
+ */
+const drawRows = (doc, rows, { x = doc.page.margins.left, labelWidth = 150, width = 300 } = {}) => {
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font("Helvetica-Bold").text(label, x, y, { width: labelWidth });
+    doc.font("Helvetica").text(String(value ?? "-"), x + labelWidth, y, { width });
+    doc.moveDown(0.3);
+  }
+};
+
+/**
+ * Creates the receipt for an application with its fee breakdown and payment reference
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Session user; applicants get receipts for their own applications only
+ * @returns {Buffer} PDF
+ */
+const createApplicationReceipt = async (applicationId, user) => {
+  const application = await findVisibleApplication(applicationId, user);
+  // The lines show the category fees; the amounts are what the server charged at submission
+  const { breakdown } = await getApplicationFees(application);
+  const paid = Boolean(application.payment_reference_id) && application.status !== 'pending';
+
+  return renderPdf({ size: "A4", info: { Title: `Receipt ${applicationId}` } }, (doc) => {
+    doc.font("Helvetica-Bold").fontSize(18).text("Driving Licence Application Receipt", { align: "center" });
+    doc.moveDown(1.5).fontSize(11);
+
+    drawRows(doc, [
+      ["Application number", application.application_id],
+      ["Application type", application.application_type === 'renewal' ? `Renewal of ${application.licence_number}` : "New licence"],
+      ["Submitted on", formatDate(application.created_at)],
+      ["Status", application.status],
+      ["Applicant", application.full_name],
+      ["Email", application.email]
+    ]);
+
+    doc.moveDown(1);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const feeColumn = right - 100;
+
+    let y = doc.y;
+    doc.font("Helvetica-Bold").text("Category", left, y);
+    doc.text("Description", left + 80, y);
+    doc.text("Fee", feeColumn, y, { width: 100, align: "right" });
+    doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+    doc.moveDown(0.5).font("Helvetica");
+
+    for (const line of breakdown) {
+      y = doc.y;
+      doc.text(line.category, left, y, { width: 70 });
+      doc.text(line.description || "", left + 80, y, { width: feeColumn - left - 90 });
+      const next = doc.y;
+      doc.text(formatAmount(line.fee), feeColumn, y, { width: 100, align: "right" });
+      doc.y = Math.max(next, doc.y);
+      doc.moveDown(0.3);
+    }
+
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+    doc.moveDown(0.5);
+    y = doc.y;
+    doc.font("Helvetica-Bold").text("Total", left, y);
+    doc.text(formatAmount(application.total_amount), feeColumn, y, { width: 100, align: "right" });
+    doc.moveDown(1.5).font("Helvetica");
+
+    drawRows(doc, [
+      ["Amount paid", paid ? formatAmount(application.total_amount) : "Payment pending"],
+      ["Payment reference", application.payment_reference_id],
+      ["Transaction ID", application.payment_transaction_id]
+    ]);
+
+    doc.moveDown(2).fontSize(8).fillColor("gray")
+      .text(`Generated on ${new Date().toISOString()}. Keep this receipt until your application is decided.`, left);
+  });
+};
+
+/**
+ * Loads the current version of a licence the user may see: their own, or any licence for reviewers.
+ * Other licences are reported as missing so that numbers cannot be probed.
+ * @param {string} licenceNumber - Licence number
+ * @param {Object} user - Session user with sub and roles
+ * @returns {Object} licence version with categories and holder sub
+ */
+const findVisibleLicence = async (licenceNumber, user) => {
+  if (!isValidLicenceNumber(licenceNumber)) {
+    throw new Error(`Invalid licence number '${licenceNumber}'.`);
+  }
+
+  const licence = await Licence.findCurrent({ licenceNumber });
+  if (!licence || (licence.sub !== user.sub && !hasPolicy(user, 'applications:review'))) {
+    throw new Error(`Licence '${licenceNumber}' not found.`);
+  }
+  return licence;
+};
+
+/**
+ * Creates a temporary driving permit for the current version of a licence, carrying the holder's
+ * photo, the categories with their validity and a QR code carrying the signed status payload. The permit
+ * is valid for TEMPORARY_PERMIT_VALIDITY_DAYS from the issue date of the version, and never beyond the licence expiry.
+ * @param {string} licenceNumber - Licence number
+ * @param {Object} user - Session user; holders get permits for their own licence only
+ * @returns {Buffer} PDF
+ */
+const createTemporaryPermit = async (licenceNumber, user) => {
+  const record = await findVisibleLicence(licenceNumber, user);
+  const licence = formatLicence(record);
+
+  if (licence.status !== 'active') {
+    throw new Error(`Cannot issue a temporary permit: licence ${licenceNumber} is ${licence.status}.`);
+  }
+
+  const permitExpiry = [addDays(licence.issueDate, TEMPORARY_PERMIT_VALIDITY_DAYS), licence.expiryDate].sort()[0];
+  if (permitExpiry < today()) {
+    throw new Error(`The temporary permit for licence ${licenceNumber} expired on ${permitExpiry}.`);
+  }
+
+  const photo = await getPhotoContent(licence.holder.photoUrl, record.sub).catch(error => {
+    console.error(`Error loading photo for licence ${licenceNumber}:`, error.message);
+    return null;
+  });
+  const qrCode = await QRCode.toBuffer(await createVerificationPayload(licenceNumber, permitExpiry), {
+    errorCorrectionLevel: "L",
+    margin: 1,
+    width: 240
+  });
+
+  return renderPdf({ size: "A5", layout: "landscape", margin: 30, info: { Title: `Temporary permit ${licenceNumber}` } }, (doc) => {
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const top = doc.page.margins.top;
+
+    doc.font("Helvetica-Bold").fontSize(16).text("Temporary Driving Permit", left, top, { align: "center" });
+    doc.font("Helvetica").fontSize(9)
+      .text(`Valid from ${licence.issueDate} until ${permitExpiry} while the licence card is being produced`, { align: "center" });
+
+    const photoTop = top + 50;
+    if (photo) {
+      doc.image(photo.content, left, photoTop, { fit: [105, 135] });
+    } else {
+      doc.rect(left, photoTop, 105, 135).stroke();
+      doc.fontSize(8).text("Photo not available", left, photoTop + 60, { width: 105, align: "center" });
+    }
+    doc.image(qrCode, right - 110, photoTop, { width: 110 });
+
+    doc.fontSize(10);
+    doc.y = photoTop;
+    drawRows(doc, [
+      ["Licence number", licence.licenceNumber],
+      ["Name", licence.holder.name],
+      ["Date of birth", licence.holder.dateOfBirth],
+      ["Blood group", licence.holder.bloodGroup],
+      ["Address", licence.holder.address],
+      ["Licence expires", licence.expiryDate]
+    ], { x: left + 120, labelWidth: 95, width: right - left - 360 });
+
+    doc.moveDown(1);
+    const tableTop = Math.max(doc.y, photoTop + 145);
+    doc.font("Helvetica-Bold").text("Category", left, tableTop);
+    doc.text("First issued", left + 90, tableTop);
+    doc.text("Valid from", left + 200, tableTop);
+    doc.text("Valid until", left + 310, tableTop);
+    doc.font("Helvetica");
+
+    for (const category of licence.categories) {
+      const y = doc.y + 2;
+      doc.text(category.category, left, y);
+      doc.text(category.firstIssued, left + 90, y);
+      doc.text(category.validFrom, left + 200, y);
+      doc.text(category.validUntil, left + 310, y);
+    }
+
+    doc.fontSize(7).fillColor("gray")
+      .text(`Version ${licence.version}. Scan the QR code to verify this permit.`, left, doc.page.height - doc.page.margins.bottom - 10);
+  });
+};
+
+module.exports = {
+  createApplicationReceipt,
+  createTemporaryPermit
+};
@@ -0,0 +1,202 @@
+const User = require("../models/userModel");
+const Licence = require("../models/licenceModel");
+const { nextApplicationNumber } = require("./applicationNumberService");
+const { toDate, checkMedicalCertificate, loadApplicantRecords } = require("./eligibilityService");
+const { today, addDays, renewedValidUntil } = require("./licenceService");
+const { getCategoryFee } = require("./feeService");
+const { RENEWAL_WINDOW_DAYS, RENEWAL_MEDICAL_MAX_AGE_DAYS } = require("../config");
+
+/**
+ * Lists the categories on the user's licence with whether, from when and for how much each can be renewed
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} licence number, status and a renewal option per category
+ */
+const getRenewalOptions = async (sub) => {
+  const licence = await Licence.findCurrent({ sub });
+  if (!licence) {
+    throw new Error("No licence has been issued to you yet; not found.");
+  }
+
+  const offered = new Map((await User.getLicenceCategories()).map(category => [category.id, category]));
+  const renewalDate = today();
+
+  const categories = licence.categories.map(held => {
+    const category = offered.get(held.category_code);
+    const renewableFrom = addDays(held.valid_until, -RENEWAL_WINDOW_DAYS);
+    const reasons = [];
+
+    if (licence.status !== 'active') {
+      reasons.push({ code: "LICENCE_NOT_ACTIVE", message: `Licence ${licence.licence_number} is ${licence.status}.` });
+    }
+    if (!category) {
+      reasons.push({ code: "CATEGORY_WITHDRAWN", message: `Licence category '${held.category_code}' is no longer offered.` });
+    }
+    if (renewalDate < renewableFrom) {
+      reasons.push({
+        code: "RENEWAL_TOO_EARLY",
+        message: `Category ${held.category_code} can be renewed from ${renewableFrom}.`
+      });
+    }
+
+    return {
+      category: held.category_code,
+      validUntil: held.valid_until,
+      renewableFrom,
+      renewable: reasons.length === 0,
+      reasons,
+      renewalFee: category ? getCategoryFee(category, true) : null,
+      requiresMedical: category ? category.renewal_requires_medical : null,
+      renewedValidUntil: category ? renewedValidUntil(held.valid_until, category.validity_years, renewalDate) : null
+    };
+  });
+
+  return {
+    licenceNumber: licence.licence_number,
+    status: licence.status,
+    renewalWindowDays: RENEWAL_WINDOW_DAYS,
+    categories
+  };
+};
+
+/**
+ * Calculates the renewal fee for categories of the user's licence. Every category must be
+ * renewable now and not part of an open application.
+ * @param {Array} categories - Category codes to renew
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} licence number, total amount, breakdown and whether a medical certificate is needed
+ */
+const calculateRenewalPayment = async (categories, sub) => {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    throw new Error("Invalid renewal: an array of 'categories' is required.");
+  }
+
+  const options = await getRenewalOptions(sub);
+  const optionsByCategory = new Map(options.categories.map(option => [option.category, option]));
+
+  const messages = [];
+  for (const code of new Set(categories)) {
+    const option = optionsByCategory.get(code);
+    if (!option) {
+      messages.push(`Category ${code} is not on licence ${options.licenceNumber}.`);
+    } else if (!option.renewable) {
+      messages.push(...option.reasons.map(reason => reason.message));
+    }
+  }
+  if (messages.length > 0) {
+    throw new Error(`Not renewable: ${messages.join(' ')}`);
+  }
+
+  const conflicts = await User.findConflictingApplications({ sub, categories });
+  if (conflicts.length > 0) {
+    throw User.conflictError(conflicts[0]);
+  }
+
+  const breakdown = [...new Set(categories)].map(code => {
+    const option = optionsByCategory.get(code);
+    return {
+      category: code,
+      fee: option.renewalFee,
+      requiresMedical: option.requiresMedical,
+      renewedValidUntil: option.renewedValidUntil
+    };
+  });
+
+  return {
+    licenceNumber: options.licenceNumber,
+    totalAmount: breakdown.reduce((total, item) => total + item.fee, 0),
+    breakdown,
+    requiresMedical: breakdown.some(item => item.requiresMedical)
+  };
+};
+
+/**
+ * Checks the fresh medical certificate a renewal needs for some categories
+ * @param {Object} certificate - Recorded medical certificate, or null when none is on record
+ * @param {Array} categories - Categories that need the certificate
+ */
+const assertFreshMedicalCertificate = (certificate, categories) => {
+  const renewalDate = toDate(new Date());
+  const oldestIssueDate = toDate(addDays(today(), -RENEWAL_MEDICAL_MAX_AGE_DAYS));
+
+  const messages = [];
+  if (!certificate) {
+    messages.push("No medical certificate is on record for you.");
+  } else {
+    messages.push(...checkMedicalCertificate(certificate, renewalDate).map(reason => reason.message));
+    if (toDate(certificate.issuedDate) < oldestIssueDate) {
+      messages.push(`The medical certificate must have been issued within the last ${RENEWAL_MEDICAL_MAX_AGE_DAYS} days.`);
+    }
+  }
+
+  if (messages.length > 0) {
+    throw new Error(`Not renewable: categories ${categories.join(', ')} need a fresh medical certificate. ${messages.join(' ')}`);
+  }
+};
+
+/**
+ * Submits a renewal of categories on the user's licence. No tests are taken; a fresh medical
+ * certificate is only needed for categories marked renewal_requires_medical, and the renewal
+ * fees of the categories are charged. Once approved, the categories are extended on the same
+ * licence number.
+ * @param {Object} renewalData - categories, certificateId of a recorded medical certificate, optional bloodGroup, payment details
+ * @param {string} sub - User's subject identifier
+ * @returns {Object} renewal application ID, status, licence number and amount charged
+ */
+const submitRenewal = async (renewalData, sub) => {
+  const payment = await calculateRenewalPayment(renewalData.categories, sub);
+
+  const medicalCategories = payment.breakdown.filter(item => item.requiresMedical).map(item => item.category);
+  let medical = {};
+  if (medicalCategories.length > 0) {
+    // The recorded certificate counts, not the details sent with the renewal
+    medical = (await loadApplicantRecords(sub, renewalData.certificateId)).medicalCertificate;
+    assertFreshMedicalCertificate(medical, medicalCategories);
+  }
+
+  const user = await User.findBySub(sub);
+
+  const application = await User.saveApplication({
+    sub,
+    application_id: await nextApplicationNumber(),
+    applicationType: 'renewal',
+    licenceNumber: payment.licenceNumber,
+    selectCategories: payment.breakdown.map(item => item.category),
+    // The client cannot choose the status; a paid renewal goes straight to review
+    status: renewalData.paymentSuccess === true ? 'submitted' : 'pending',
+
+    fullName: user.name,
+    email: user.email || renewalData.email,
+    phone: user.phone || renewalData.phone,
+    dob: user.date_of_birth,
+    gender: user.gender,
+    bloodGroup: renewalData.bloodGroup,
+
+    medical_certificate_id: medical.certificateId,
+    doctorName: medical.doctorName,
+    hospital: medical.hospital,
+    issuedDate: medical.issuedDate,
+    expiryDate: medical.expiryDate,
+    isFitToDrive: medical.isFitToDrive,
+    vision: medical.vision,
+    hearing: medical.hearing,
+    remarks: medical.remarks,
+
+    total_amount: payment.totalAmount,
+    payment_reference_id: renewalData.payment_reference_id,
+    payment_transaction_id: renewalData.payment_transaction_id
+  });
+
+  return {
+    success: true,
+    applicationId: application.application_id,
+    status: application.status,
+    licenceNumber: payment.licenceNumber,
+    totalAmount: payment.totalAmount
+  };
+};
+
+module.exports = {
+  getRenewalOptions,
+  calculateRenewalPayment,
+  submitRenewal
+};
@@ -0,0 +1,180 @@
+const Review = require("../models/reviewModel");
+const Role = require("../models/roleModel");
+const ApplicationStatus = require("../models/applicationStatusModel");
+const { DECISION_STATUSES, DECISION_REASONS, OPEN_STATUSES } = require("../config/applicationLifecycle");
+const { POLICIES } = require("../config/policies");
+const { hasPolicy, findVisibleApplication, assertNotOwnApplication, changeApplicationStatus } = require("./applicationLifecycleService");
+
+const QUEUE_STATUSES = ['submitted', 'under_review'];
+
+/**
+ * Lists applications waiting for review, oldest first
+ * @param {Object} options - status (submitted or under_review), mine, limit and offset
+ * @param {Object} user - Session user
+ * @returns {Object} queue page with the total number of matching applications
+ */
+const getReviewQueue = async ({ status = 'submitted', mine = false, limit = 50, offset = 0 } = {}, user) => {
+  if (!QUEUE_STATUSES.includes(status)) {
+    throw new Error(`Invalid queue status. Must be one of: ${QUEUE_STATUSES.join(', ')}`);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const rows = await Review.getQueue({
+    status,
+    assignedTo: mine ? user.sub : undefined,
+    limit: pageSize,
+    offset: skip
+  });
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total_count) : 0,
+    limit: pageSize,
+    offset: skip,
+    applications: rows.map(({ total_count, ...application }) => application)
+  };
+};
+
+/**
+ * Claims a submitted application for the user to review
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Session user
+ * @returns {Object} Recorded status change
+ */
+const claimApplication = async (applicationId, user) => {
+  return changeApplicationStatus(applicationId, 'under_review', null, user);
+};
+
+/**
+ * Assigns an application to an officer. Submitted applications move under review;
+ * applications already under review are handed over.
+ * @param {string} applicationId - Application ID
+ * @param {string} officerSub - Officer to assign
+ * @param {Object} user - Session user
+ * @returns {Object} Recorded status change
+ */
+const assignApplication = async (applicationId, officerSub, user) => {
+  if (!officerSub) {
+    throw new Error("Invalid assignment: officerSub is required.");
+  }
+
+  const officerRoles = (await Role.getUserRoles(officerSub)).map(role => role.role_code);
+  if (!officerRoles.some(role => POLICIES['applications:review'].includes(role))) {
+    throw new Error(`Invalid assignment: '${officerSub}' is not a licensing officer.`);
+  }
+
+  const application = await findVisibleApplication(applicationId, user);
+
+  if (application.status !== 'under_review') {
+    return changeApplicationStatus(applicationId, 'under_review', null, user, { assignTo: officerSub });
+  }
+
+  if (!hasPolicy(user, 'applications:assign')) {
+    throw new Error("You are not permitted to assign applications to other officers.");
+  }
+  assertNotOwnApplication(application, user.sub);
+  assertNotOwnApplication(application, officerSub);
+
+  return ApplicationStatus.changeStatus(applicationId, {
+    fromStatus: 'under_review',
+    toStatus: 'under_review',
+    actorSub: user.sub,
+    actorRole: user.roles.find(role => POLICIES['applications:assign'].includes(role)),
+    reason: `Reassigned from ${application.assigned_to || 'nobody'} to ${officerSub}`,
+    assignTo: officerSub,
+    expectedAssignee: application.assigned_to
+  });
+};
+
+/**
+ * Puts an application under review back in the queue
+ * @param {string} applicationId - Application ID
+ * @param {string} reason - Optional reason
+ * @param {Object} user - Session user
+ * @returns {Object} Recorded status change
+ */
+const releaseApplication = async (applicationId, reason, user) => {
+  return changeApplicationStatus(applicationId, 'submitted', reason, user);
+};
+
+/**
+ * Approves or rejects an application assigned to the user
+ * @param {string} applicationId - Application ID
+ * @param {string} decision - approved or rejected
+ * @param {string} reasonCode - Code from the decision reasons
+ * @param {string} reason - Free-text reason
+ * @param {Object} user - Session user
+ * @returns {Object} Recorded status change
+ */
+const decideApplication = async (applicationId, { decision, reasonCode, reason }, user) => {
+  if (!DECISION_STATUSES.includes(decision)) {
+    throw new Error(`Invalid decision. Must be one of: ${DECISION_STATUSES.join(', ')}`);
+  }
+
+  return changeApplicationStatus(applicationId, decision, reason, user, { reasonCode });
+};
+
+/**
+ * Lists the reason codes officers choose from when deciding
+ * @returns {Object} reasons per decision
+ */
+const getDecisionReasons = () => DECISION_REASONS;
+
+/**
+ * Lists groups of applications that look like duplicates, for officers to follow up
+ * @returns {Array} groups with match type (same_email, same_nic or same_categories), the shared value and the applications
+ */
+const getSuspectedDuplicates = async () => {
+  const groups = await Review.getSuspectedDuplicates(OPEN_STATUSES);
+  return groups.map(group => ({
+    matchType: group.match_type,
+    matchValue: group.match_value,
+    applications: group.applications
+  }));
+};
+
+/**
+ * Adds an internal note, never shown to the applicant
+ * @param {string} applicationId - Application ID
+ * @param {string} note - Note text
+ * @param {Object} user - Session user
+ * @returns {Object} Saved note
+ */
+const addApplicationNote = async (applicationId, note, user) => {
+  const text = typeof note === 'string' ? note.trim() : '';
+  if (!text) {
+    throw new Error("Invalid note: text is required.");
+  }
+
+  await findVisibleApplication(applicationId, user);
+
+  return Review.addNote({
+    application_id: applicationId,
+    author_sub: user.sub,
+    note: text
+  });
+};
+
+/**
+ * Lists the internal notes of an application
+ * @param {string} applicationId - Application ID
+ * @param {Object} user - Session user
+ * @returns {Array} Notes, oldest first
+ */
+const getApplicationNotes = async (applicationId, user) => {
+  await findVisibleApplication(applicationId, user);
+  return Review.getNotes(applicationId);
+};
+
+module.exports = {
+  getReviewQueue,
+  claimApplication,
+  assignApplication,
+  releaseApplication,
+  decideApplication,
+  getDecisionReasons,
+  getSuspectedDuplicates,
+  addApplicationNote,
+  getApplicationNotes
+};
@@ -0,0 +1,90 @@
+const User = require("../models/userModel");
+const Role = require("../models/roleModel");
+const { ROLES } = require("../config/policies");
+const { BOOTSTRAP_ADMIN_SUBS } = require("../config");
+
+/**
+ * Retrieves all roles that can be granted
+ * @returns {Array} List of roles
+ */
+const getRoles = async () => {
+  return Role.getRoles();
+};
+
+/**
+ * Retrieves the roles granted to a user
+ * @param {string} sub - User's subject identifier
+ * @returns {Array} Granted roles
+ */
+const getUserRoles = async (sub) => {
+  const user = await User.findBySub(sub);
+  if (!user) {
+    throw new Error(`User '${sub}' not found`);
+  }
+
+  return Role.getUserRoles(sub);
+};
+
+/**
+ * Grants a role to a user
+ * @param {string} sub - User's subject identifier
+ * @param {string} roleCode - Role to grant
+ * @param {string} grantedBy - Subject identifier of the admin granting the role
+ * @returns {Object} Granted role
+ */
+const grantRole = async (sub, roleCode, grantedBy) => {
+  if (!sub || !roleCode) {
+    throw new Error("User subject identifier and role are required.");
+  }
+
+  const role = await Role.getRoleByCode(roleCode);
+  if (!role) {
+    throw new Error(`Role '${roleCode}' not found`);
+  }
+
+  const user = await User.findBySub(sub);
+  if (!user) {
+    throw new Error(`User '${sub}' not found`);
+  }
+
+  return Role.grantRole(sub, roleCode, grantedBy);
+};
+
+/**
+ * Revokes a role from a user
+ * @param {string} sub - User's subject identifier
+ * @param {string} roleCode - Role to revoke
+ * @param {string} revokedBy - Subject identifier of the admin revoking the role
+ * @returns {Object} Revoked role
+ */
+const revokeRole = async (sub, roleCode, revokedBy) => {
+  if (!sub || !roleCode) {
+    throw new Error("User subject identifier and role are required.");
+  }
+
+  // Keeps at least the acting admin able to manage roles
+  if (sub === revokedBy && roleCode === ROLES.ADMIN) {
+    throw new Error("Administrators cannot revoke their own admin role.");
+  }
+
+  return Role.revokeRole(sub, roleCode);
+};
+
+/**
+ * Grants the admin role to users listed in BOOTSTRAP_ADMIN_SUBS, so a fresh
+ * installation has someone who can grant roles to others.
+ * @param {string} sub - User's subject identifier
+ */
+const grantBootstrapRoles = async (sub) => {
+  if (BOOTSTRAP_ADMIN_SUBS.includes(sub)) {
+    await Role.grantRole(sub, ROLES.ADMIN, 'bootstrap');
+  }
+};
+
+module.exports = {
+  getRoles,
+  getUserRoles,
+  grantRole,
+  revokeRole,
+  grantBootstrapRoles
+};
@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+const User = require("../models/userModel");
+const { post_RefreshToken, revokeToken, buildEndSessionUrl, verifyIdToken } = require("./esignetService");
+const { SESSION_MAX_AGE_SECONDS, TOKEN_REFRESH_LEEWAY_SECONDS } = require("../config");
+
+// Refreshes in progress per session, so concurrent requests share one refresh token exchange
+const refreshesInFlight = new Map();
+
+/**
+ * Hashes a session token. Only the hash is stored, so the user_sessions table
+ * cannot be used to forge session cookies.
+ * @param {string} sessionToken opaque token sent in the session cookie
+ * @returns {string} hex encoded SHA-256 hash
+ */
+const hashSessionToken = (sessionToken) => {
+  return crypto.createHash("sha256").update(sessionToken).digest("hex");
+};
+
+/**
+ * Creates a server-side session for a logged in user.
+ * With a refresh token the session lives for SESSION_MAX_AGE_SECONDS, otherwise it ends with the access token.
+ * @param {string} sub user's subject identifier
+ * @param {Object} tokenResponse token response from eSignet
+ * @returns {Object} sessionToken for the cookie and the stored session row
+ */
+const createSession = async (sub, tokenResponse) => {
+  if (!sub || !tokenResponse || !tokenResponse.access_token) {
+    throw new Error("Subject identifier and access token are required to create a session.");
+  }
+
+  const sessionToken = crypto.randomBytes(32).toString("base64url");
+  const accessTokenExpiresIn = tokenResponse.expires_in || 3600;
+
+  const session = await User.saveUserSession(sub, {
+    session_id: hashSessionToken(sessionToken),
+    access_token: tokenResponse.access_token,
+    token_type: tokenResponse.token_type,
+    expires_in: tokenResponse.refresh_token ? SESSION_MAX_AGE_SECONDS : accessTokenExpiresIn,
+    scope: tokenResponse.scope,
+    refresh_token: tokenResponse.refresh_token,
+    id_token: tokenResponse.id_token,
+    access_token_expires_in: accessTokenExpiresIn
+  });
+
+  return { sessionToken, session };
+};
+
+/**
+ * Looks up an active session by the token from the session cookie
+ * @param {string} sessionToken opaque token sent in the session cookie
+ * @returns {Object|null} session joined with the user, or null when missing or expired
+ */
+const getSession = async (sessionToken) => {
+  if (!sessionToken) {
+    return null;
+  }
+
+  const session = await User.findActiveSession(hashSessionToken(sessionToken));
+  return session || null;
+};
+
+/**
+ * Destroys the session identified by the session cookie token
+ * @param {string} sessionToken opaque token sent in the session cookie
+ * @returns {boolean} whether a session was removed
+ */
+const destroySession = async (sessionToken) => {
+  if (!sessionToken) {
+    return false;
+  }
+
+  return User.deleteUserSession(hashSessionToken(sessionToken));
+};
+
+/**
+ * Exchanges the session's refresh token for new tokens and stores them
+ * @param {Object} session active session
+ * @returns {string} new access token
+ */
+const refreshSessionTokens = async (session) => {
+  const tokenResponse = await post_RefreshToken(session.refresh_token);
+
+  if (tokenResponse.id_token) {
+    await verifyIdToken(tokenResponse.id_token);
+  }
+
+  const updated = await User.updateSessionTokens(session.session_id, {
+    access_token: tokenResponse.access_token,
+    token_type: tokenResponse.token_type,
+    expires_in: tokenResponse.expires_in || 3600,
+    scope: tokenResponse.scope,
+    refresh_token: tokenResponse.refresh_token,
+    id_token: tokenResponse.id_token
+  });
+
+  return updated.access_token;
+};
+
+/**
+ * Returns an access token for the session that is valid for at least TOKEN_REFRESH_LEEWAY_SECONDS,
+ * refreshing it first when needed
+ * @param {Object} session active session (req.session)
+ * @returns {string} access token
+ */
+const getValidAccessToken = async (session) => {
+  const expiresAt = session.access_token_expires_at ? new Date(session.access_token_expires_at).getTime() : 0;
+
+  if (expiresAt - Date.now() > TOKEN_REFRESH_LEEWAY_SECONDS * 1000) {
+    return session.access_token;
+  }
+
+  if (!session.refresh_token) {
+    throw new Error("Session expired: the access token expired and no refresh token is available");
+  }
+
+  if (!refreshesInFlight.has(session.session_id)) {
+    const refresh = refreshSessionTokens(session).finally(() => {
+      refreshesInFlight.delete(session.session_id);
+    });
+    refreshesInFlight.set(session.session_id, refresh);
+  }
+
+  try {
+    return await refreshesInFlight.get(session.session_id);
+  } catch (error) {
+    throw new Error(`Session expired: token refresh failed (${error.message})`);
+  }
+};
+
+/**
+ * Logs the user out: revokes the eSignet tokens, destroys the session and
+ * builds the end-session URL for RP-initiated logout
+ * @param {string} sessionToken opaque token sent in the session cookie
+ * @returns {Object} endSessionUrl, or null when eSignet has no end-session endpoint configured
+ */
+const logout = async (sessionToken) => {
+  const session = await getSession(sessionToken);
+
+  if (session) {
+    await revokeToken(session.refresh_token, "refresh_token");
+    await revokeToken(session.access_token, "access_token");
+  }
+
+  await destroySession(sessionToken);
+
+  return {
+    endSessionUrl: await buildEndSessionUrl(session ? session.id_token : null)
+  };
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  destroySession,
+  getValidAccessToken,
+  logout
+};
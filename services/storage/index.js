@@ -0,0 +1,40 @@
+const { createLocalDiskStorage } = require("./localDiskStorage");
+const { createS3Storage } = require("./s3Storage");
+const config = require("../../config");
+
+// Storage backends by DOCUMENT_STORAGE value. A backend stores a buffer under a key
+// with put(key, buffer, contentType), reads it back with get(key) and deletes it with remove(key).
+const BACKENDS = {
+  local: () => createLocalDiskStorage(config.DOCUMENT_STORAGE_DIR),
+  s3: () => createS3Storage({
+    endpoint: config.S3_ENDPOINT,
+    region: config.S3_REGION,
+    bucket: config.S3_BUCKET,
+    accessKeyId: config.S3_ACCESS_KEY_ID,
+    secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: config.S3_FORCE_PATH_STYLE
+  })
+};
+
+const backends = new Map();
+
+/**
+ * Returns a storage backend, created on first use. Documents are read back from the
+ * backend they were stored in, so changing DOCUMENT_STORAGE does not strand older files.
+ * @param {string} name - Backend name (default: DOCUMENT_STORAGE)
+ * @returns {Object} storage backend
+ */
+const getStorage = (name = config.DOCUMENT_STORAGE) => {
+  if (!backends.has(name)) {
+    const createBackend = BACKENDS[name];
+    if (!createBackend) {
+      throw new Error(`Unknown document storage '${name}'. Must be one of: ${Object.keys(BACKENDS).join(", ")}`);
+    }
+    backends.set(name, createBackend());
+  }
+  return backends.get(name);
+};
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,50 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Stores documents as files below a base directory
+ * @param {string} baseDir - Directory the files are written to
+ * @returns {Object} storage backend with put, get and remove
+ */
+const createLocalDiskStorage = (baseDir) => {
+  const root = path.resolve(baseDir);
+
+  // Keys are generated by the server, but never let one point outside the base directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'.`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // wx: never overwrite an existing document
+      await fs.writeFile(filePath, buffer, { flag: "wx" });
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          throw new Error(`Stored document '${key}' not found.`);
+        }
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createLocalDiskStorage
+};
@@ -0,0 +1,112 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding as required by AWS Signature Version 4
+const encodeSegment = (segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Stores documents in an S3-compatible object store (AWS S3, MinIO, Ceph ...).
+ * Requests are signed with AWS Signature Version 4.
+ * @param {Object} options - endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle
+ * @returns {Object} storage backend with put, get and remove
+ */
+const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.");
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const objectUrl = (key) => {
+    const encodedKey = key.split("/").map(encodeSegment).join("/");
+    return forcePathStyle
+      ? new URL(`${base.protocol}//${base.host}/${bucket}/${encodedKey}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${encodedKey}`);
+  };
+
+  /**
+   * Sends a signed request for an object
+   */
+  const send = async (method, key, body = Buffer.alloc(0), contentType) => {
+    const url = objectUrl(key);
+    const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const payloadHash = sha256Hex(body);
+
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+      ...(contentType ? { "content-type": contentType } : {})
+    };
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      signedHeaders.map(name => `${name}:${headers[name]}\n`).join(""),
+      signedHeaders.join(";"),
+      payloadHash
+    ].join("\n");
+
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    const signingKey = ["s3", "aws4_request"].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    const { host, ...requestHeaders } = headers;
+    return axios({
+      method,
+      url: url.toString(),
+      data: method === "PUT" ? body : undefined,
+      headers: {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`
+      },
+      responseType: "arraybuffer",
+      maxBodyLength: Infinity,
+      validateStatus: () => true
+    });
+  };
+
+  return {
+    name: "s3",
+
+    put: async (key, buffer, contentType) => {
+      const response = await send("PUT", key, buffer, contentType);
+      if (response.status !== 200) {
+        throw new Error(`S3 upload failed with status ${response.status}.`);
+      }
+    },
+
+    get: async (key) => {
+      const response = await send("GET", key);
+      if (response.status === 404) {
+        throw new Error(`Stored document '${key}' not found.`);
+      }
+      if (response.status !== 200) {
+        throw new Error(`S3 download failed with status ${response.status}.`);
+      }
+      return Buffer.from(response.data);
+    },
+
+    remove: async (key) => {
+      const response = await send("DELETE", key);
+      if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+        throw new Error(`S3 delete failed with status ${response.status}.`);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
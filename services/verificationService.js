@@ -0,0 +1,142 @@
+const { SignJWT, jwtVerify, createLocalJWKSet, errors } = require("jose");
+const Licence = require("../models/licenceModel");
+const { getIssuerSigningKey, getIssuerJwks } = require("./issuerKeyService");
+const { getPhotoHash } = require("./documentService");
+const { today, addDays, isValidLicenceNumber } = require("./licenceService");
+const { CREDENTIAL_ISSUER_URL, JWT_CLOCK_TOLERANCE_SECONDS, TEMPORARY_PERMIT_VALIDITY_DAYS } = require("../config");
+
+// Type of the signed payload printed in licence and permit QR codes
+const PAYLOAD_TYP = "licence-status+jwt";
+
+/**
+ * Builds the verification result from the licence status, categories and photo hash. Online checks
+ * and offline checks of a signed payload both go through here, so they answer the same way.
+ * @param {Object} record - licenceNumber, status, categories with validFrom and validUntil, photoHash
+ * @param {string} date - Date to check validity on (default: today)
+ * @returns {Object} verification result
+ */
+const toVerificationResult = ({ licenceNumber, status, categories, photoHash }, date = today()) => {
+  const checked = categories.map(category => ({
+    category: category.category,
+    validUntil: category.validUntil,
+    valid: status === 'active' && category.validFrom <= date && date <= category.validUntil
+  }));
+
+  let result = status;
+  if (status === 'active') {
+    result = checked.some(category => category.valid) ? 'valid' : 'expired';
+  }
+
+  return {
+    licenceNumber,
+    status: result,
+    categories: checked,
+    photoHash: photoHash || null
+  };
+};
+
+/**
+ * Reads the verification record of the current version of a licence
+ * @param {string} licenceNumber - Licence number
+ * @returns {Object} licenceNumber, version, status, categories and photoHash
+ */
+const findVerificationRecord = async (licenceNumber) => {
+  if (!isValidLicenceNumber(licenceNumber)) {
+    throw new Error(`Invalid licence number '${licenceNumber}'.`);
+  }
+
+  const licence = await Licence.findCurrent({ licenceNumber });
+  if (!licence) {
+    throw new Error(`Licence '${licenceNumber}' not found.`);
+  }
+
+  return {
+    licenceNumber: licence.licence_number,
+    version: licence.version,
+    status: licence.status,
+    expiryDate: licence.expiry_date,
+    categories: licence.categories.map(category => ({
+      category: category.category_code,
+      validFrom: category.valid_from,
+      validUntil: category.valid_until
+    })),
+    photoHash: await getPhotoHash(licence.photo_url, licence.sub)
+  };
+};
+
+/**
+ * Signs the payload printed in a licence QR code: a compact JWS with the licence number, version,
+ * status, categories and photo hash, and no other personal data. Short claim names keep the QR code small.
+ * The payload expires at the end of validUntil, so a printed status cannot be relied on for longer than
+ * the document it is printed on.
+ * @param {string} licenceNumber - Licence number
+ * @param {string} validUntil - Last day the payload is valid, YYYY-MM-DD (default: TEMPORARY_PERMIT_VALIDITY_DAYS
+ *                              from today, and never past the licence expiry)
+ * @returns {string} compact JWS
+ */
+const createVerificationPayload = async (licenceNumber, validUntil = null) => {
+  const record = await findVerificationRecord(licenceNumber);
+  const signingKey = await getIssuerSigningKey();
+  const expiresOn = validUntil || [addDays(today(), TEMPORARY_PERMIT_VALIDITY_DAYS), record.expiryDate].sort()[0];
+
+  return new SignJWT({
+    lno: record.licenceNumber,
+    ver: record.version,
+    st: record.status,
+    cat: record.categories.map(category => [category.category, category.validFrom, category.validUntil]),
+    ph: record.photoHash || undefined
+  })
+    .setProtectedHeader({ alg: signingKey.alg, kid: signingKey.kid, typ: PAYLOAD_TYP })
+    .setIssuer(CREDENTIAL_ISSUER_URL)
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(Date.parse(`${expiresOn}T23:59:59Z`) / 1000))
+    .sign(signingKey.key);
+};
+
+/**
+ * Verifies a licence by number against the current licence record
+ * @param {string} licenceNumber - Licence number
+ * @returns {Object} verification result
+ */
+const verifyLicence = async (licenceNumber) => {
+  return toVerificationResult(await findVerificationRecord(licenceNumber));
+};
+
+/**
+ * Verifies a signed payload read from a licence QR code. Once the signature checks out, the result
+ * comes from the current licence record, so a licence suspended after printing shows as suspended.
+ * @param {string} payload - Compact JWS from the QR code
+ * @returns {Object} verification result
+ */
+const verifyQrPayload = async (payload) => {
+  if (typeof payload !== "string" || payload.split(".").length !== 3) {
+    throw new Error("Invalid verification payload: expected a compact JWS.");
+  }
+
+  let claims;
+  try {
+    ({ payload: claims } = await jwtVerify(payload, createLocalJWKSet(await getIssuerJwks()), {
+      issuer: CREDENTIAL_ISSUER_URL,
+      typ: PAYLOAD_TYP,
+      clockTolerance: JWT_CLOCK_TOLERANCE_SECONDS
+    }));
+  } catch (error) {
+    if (error instanceof errors.JWTExpired) {
+      throw new Error("This QR code has expired; verify the licence by its number instead.");
+    }
+    throw new Error(`Invalid verification payload: ${error.message}`);
+  }
+
+  if (typeof claims.lno !== "string") {
+    throw new Error("Invalid verification payload: licence number missing.");
+  }
+
+  return verifyLicence(claims.lno);
+};
+
+module.exports = {
+  toVerificationResult,
+  createVerificationPayload,
+  verifyLicence,
+  verifyQrPayload
+};
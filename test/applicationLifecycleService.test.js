@@ -0,0 +1,110 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const User = require("../models/userModel");
+const ApplicationStatus = require("../models/applicationStatusModel");
+const { changeApplicationStatus } = require("../services/applicationLifecycleService");
+
+const officer = { sub: "officer-1", roles: ["licensing_officer"] };
+const admin = { sub: "admin-1", roles: ["admin"] };
+
+let application;
+let changes;
+
+beforeEach(() => {
+  changes = [];
+  User.findApplicationById = async () => ({ ...application });
+  ApplicationStatus.withTransaction = async (work) => work(null);
+  ApplicationStatus.changeStatus = async (applicationId, change) => {
+    changes.push(change);
+    return { application_id: applicationId, to_status: change.toStatus };
+  };
+});
+
+describe("officers acting on their own application", () => {
+  it("cannot claim it", async () => {
+    application = { application_id: "DL-1", sub: officer.sub, status: "submitted", assigned_to: null };
+
+    await assert.rejects(
+      changeApplicationStatus("DL-1", "under_review", null, officer),
+      /not permitted to review an application made by the reviewing officer/
+    );
+    assert.strictEqual(changes.length, 0);
+  });
+
+  it("cannot be assigned it", async () => {
+    application = { application_id: "DL-1", sub: officer.sub, status: "submitted", assigned_to: null };
+
+    await assert.rejects(
+      changeApplicationStatus("DL-1", "under_review", null, admin, { assignTo: officer.sub }),
+      /not permitted to review an application made by the reviewing officer/
+    );
+    assert.strictEqual(changes.length, 0);
+  });
+
+  it("cannot decide it", async () => {
+    application = { application_id: "DL-1", sub: officer.sub, status: "under_review", assigned_to: officer.sub };
+
+    await assert.rejects(
+      changeApplicationStatus("DL-1", "approved", null, officer, { reasonCode: "REQUIREMENTS_MET" }),
+      /not permitted to review an application made by the reviewing officer/
+    );
+    assert.strictEqual(changes.length, 0);
+  });
+
+  it("can still claim someone else's application", async () => {
+    application = { application_id: "DL-2", sub: "applicant-1", status: "submitted", assigned_to: null };
+
+    await changeApplicationStatus("DL-2", "under_review", null, officer);
+    assert.strictEqual(changes.length, 1);
+    assert.strictEqual(changes[0].assignTo, officer.sub);
+  });
+});
+
+describe("status transitions", () => {
+  const applicant = { sub: "applicant-1", roles: [] };
+
+  it("refuse changes the lifecycle does not allow", async () => {
+    application = { application_id: "DL-3", sub: applicant.sub, status: "submitted", assigned_to: null };
+
+    await assert.rejects(
+      changeApplicationStatus("DL-3", "approved", null, admin, { reasonCode: "REQUIREMENTS_MET" }),
+      /Invalid status transition from submitted to approved/
+    );
+    assert.strictEqual(changes.length, 0);
+  });
+
+  it("refuse any change out of a final status", async () => {
+    application = { application_id: "DL-3", sub: applicant.sub, status: "approved", assigned_to: admin.sub };
+
+    await assert.rejects(
+      changeApplicationStatus("DL-3", "submitted", null, admin),
+      /Invalid status transition from approved to submitted/
+    );
+    assert.strictEqual(changes.length, 0);
+  });
+
+  it("do not let applicants submit their own pending application", async () => {
+    application = { application_id: "DL-3", sub: applicant.sub, status: "pending", assigned_to: null, payment_reference_id: "PAY-1" };
+
+    await assert.rejects(
+      changeApplicationStatus("DL-3", "submitted", null, applicant),
+      /not permitted to change this application from pending to submitted/
+    );
+    assert.strictEqual(changes.length, 0);
+  });
+
+  it("let admins submit a pending application only once it is paid", async () => {
+    application = { application_id: "DL-3", sub: applicant.sub, status: "pending", assigned_to: null };
+
+    await assert.rejects(
+      changeApplicationStatus("DL-3", "submitted", null, admin),
+      /has no confirmed payment/
+    );
+    assert.strictEqual(changes.length, 0);
+
+    application.payment_reference_id = "PAY-1";
+    await changeApplicationStatus("DL-3", "submitted", null, admin);
+    assert.strictEqual(changes.length, 1);
+    assert.strictEqual(changes[0].toStatus, "submitted");
+  });
+});
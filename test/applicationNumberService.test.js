@@ -0,0 +1,54 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  luhnCheckDigit,
+  formatApplicationNumber,
+  isValidApplicationNumber,
+  isValidApplicationId
+} = require("../services/applicationNumberService");
+
+describe("Luhn check digit", () => {
+  it("matches the reference example", () => {
+    assert.strictEqual(luhnCheckDigit("7992739871"), 3);
+  });
+
+  it("is 0 when the digits already sum to a multiple of 10", () => {
+    assert.strictEqual(luhnCheckDigit("0000"), 0);
+  });
+});
+
+describe("application numbers", () => {
+  it("are formatted with the year, a padded running number and the check digit", () => {
+    assert.strictEqual(formatApplicationNumber(2026, 123), "DL-2026-000123-3");
+    assert.strictEqual(formatApplicationNumber(2026, 1234567), "DL-2026-1234567-0");
+  });
+
+  it("round-trip through validation", () => {
+    for (const sequence of [1, 123, 999999, 1000000]) {
+      assert.ok(isValidApplicationNumber(formatApplicationNumber(2026, sequence)));
+    }
+  });
+
+  it("are refused when any single digit is mistyped", () => {
+    const number = "DL-2026-000123-3";
+    for (let i = 0; i < number.length; i++) {
+      if (!/\d/.test(number[i])) {
+        continue;
+      }
+      const mistyped = number.slice(0, i) + ((Number(number[i]) + 1) % 10) + number.slice(i + 1);
+      assert.strictEqual(isValidApplicationNumber(mistyped), false, mistyped);
+    }
+  });
+
+  it("are refused when malformed", () => {
+    for (const value of ["DL-2026-00123-3", "DL-26-000123-3", "dl-2026-000123-3", "DL-2026-000123", "", null, 123]) {
+      assert.strictEqual(isValidApplicationNumber(value), false, String(value));
+    }
+  });
+
+  it("still accept the certificate-based IDs of older applications", () => {
+    assert.ok(isValidApplicationId("MC-1700000000000"));
+    assert.strictEqual(isValidApplicationId("MC-abc"), false);
+    assert.strictEqual(isValidApplicationId("../etc/passwd"), false);
+  });
+});
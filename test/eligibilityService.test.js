@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { toDate, ageOn, checkApplicant } = require("../services/eligibilityService");
+const { WRITTEN_TEST_PASS_PERCENT, PRACTICAL_TEST_PASS_PERCENT } = require("../config");
+
+const today = toDate("2026-10-19");
+
+const records = (overrides = {}) => ({
+  medicalCertificate: { certificateId: "MC-1", isFitToDrive: true, expiryDate: "2027-10-01" },
+  writtenTest: { testId: "WT-1", score: WRITTEN_TEST_PASS_PERCENT, maxScore: 100 },
+  practicalTest: { testId: "PT-1", score: PRACTICAL_TEST_PASS_PERCENT, maxScore: 100 },
+  ...overrides
+});
+
+const codes = (reasons) => reasons.map(reason => reason.code);
+
+describe("ageOn", () => {
+  it("counts a year on the birthday itself", () => {
+    assert.strictEqual(ageOn(toDate("2008-10-19"), today), 18);
+  });
+
+  it("does not count the year the day before the birthday", () => {
+    assert.strictEqual(ageOn(toDate("2008-10-20"), today), 17);
+  });
+
+  it("counts a 29 February birthday from 1 March in other years", () => {
+    const dob = toDate("2008-02-29");
+    assert.strictEqual(ageOn(dob, toDate("2026-02-28")), 17);
+    assert.strictEqual(ageOn(dob, toDate("2026-03-01")), 18);
+  });
+});
+
+describe("checkApplicant", () => {
+  it("passes a fit, unexpired certificate and tests scored at the pass mark", () => {
+    assert.deepStrictEqual(checkApplicant(records(), today), []);
+  });
+
+  it("needs a certificate and both test results on record", () => {
+    const reasons = checkApplicant({ medicalCertificate: null, writtenTest: null, practicalTest: null }, today);
+    assert.deepStrictEqual(codes(reasons), ["MEDICAL_MISSING", "TEST_MISSING", "TEST_MISSING"]);
+  });
+
+  it("refuses an unfit or expired certificate", () => {
+    const unfit = records({ medicalCertificate: { isFitToDrive: false, expiryDate: "2027-10-01" } });
+    const expired = records({ medicalCertificate: { isFitToDrive: true, expiryDate: "2026-10-18" } });
+
+    assert.deepStrictEqual(codes(checkApplicant(unfit, today)), ["MEDICAL_UNFIT"]);
+    assert.deepStrictEqual(codes(checkApplicant(expired, today)), ["MEDICAL_EXPIRED"]);
+  });
+
+  it("accepts a certificate on its expiry date", () => {
+    const expiring = records({ medicalCertificate: { isFitToDrive: true, expiryDate: "2026-10-19" } });
+    assert.deepStrictEqual(checkApplicant(expiring, today), []);
+  });
+
+  it("decides tests on the score only, as a percentage of the maximum score", () => {
+    const failed = records({ writtenTest: { score: WRITTEN_TEST_PASS_PERCENT - 1, maxScore: 100, passed: true } });
+    const scaled = records({ practicalTest: { score: PRACTICAL_TEST_PASS_PERCENT / 2, maxScore: 50 } });
+
+    assert.deepStrictEqual(codes(checkApplicant(failed, today)), ["TEST_FAILED"]);
+    assert.deepStrictEqual(checkApplicant(scaled, today), []);
+  });
+
+  it("treats a result without a score as missing", () => {
+    const unscored = records({ practicalTest: { testId: "PT-1", passed: true } });
+    assert.deepStrictEqual(codes(checkApplicant(unscored, today)), ["TEST_MISSING"]);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { PNG } = require("pngjs");
+const { detectFaces, checkFaces } = require("../services/faceDetectionService");
+const { DOCUMENT_TYPES } = require("../config/documentTypes");
+
+const rules = DOCUMENT_TYPES.photo.faces;
+const face = (height, score = 0.95) => ({ score, x: 0.2, y: 0.2, width: height * 0.8, height });
+
+describe("photo face rules", () => {
+  it("accept a single face filling enough of the photo", () => {
+    assert.deepStrictEqual(checkFaces([face(0.5)], rules), []);
+  });
+
+  it("refuse a photo without a face", () => {
+    assert.deepStrictEqual(checkFaces([], rules), ["must show exactly one face, but none was found"]);
+  });
+
+  it("refuse a photo with several faces", () => {
+    assert.deepStrictEqual(checkFaces([face(0.4), face(0.4)], rules), ["must show exactly one face, but 2 were found"]);
+  });
+
+  it("refuse a face that is too small", () => {
+    assert.match(checkFaces([face(0.1)], rules)[0], /fills 10% of the photo height, at least 30% is needed/);
+  });
+});
+
+describe("face detection", () => {
+  it("finds no face in a blank photo", async () => {
+    const png = new PNG({ width: 350, height: 450 });
+    png.data.fill(200);
+
+    assert.deepStrictEqual(await detectFaces(PNG.sync.write(png), "image/png", rules.minConfidence), []);
+  });
+
+  it("refuses an image that cannot be decoded", async () => {
+    await assert.rejects(detectFaces(Buffer.from([0xff, 0xd8, 0xff, 0x00]), "image/jpeg", rules.minConfidence), /could not be read/);
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const User = require("../models/userModel");
+const { getCategoryFee, getApplicationFees } = require("../services/feeService");
+
+beforeEach(() => {
+  User.getLicenceCategories = async () => [
+    { id: "B", description: "Light motor car", fee: "2500.00", renewal_fee: "1000.00" },
+    { id: "C1", description: "Light motor lorry", fee: "5000.00", renewal_fee: null }
+  ];
+});
+
+describe("category fees", () => {
+  it("charge the renewal fee for renewals", () => {
+    assert.strictEqual(getCategoryFee({ fee: "2500.00", renewal_fee: "1000.00" }, true), 1000);
+    assert.strictEqual(getCategoryFee({ fee: "2500.00", renewal_fee: "1000.00" }), 2500);
+  });
+
+  it("fall back to the category fee when no renewal fee is set", () => {
+    assert.strictEqual(getCategoryFee({ fee: "5000.00", renewal_fee: null }, true), 5000);
+  });
+});
+
+describe("application fees", () => {
+  it("price a renewal with the same fallback as the renewal options", async () => {
+    const fees = await getApplicationFees({ application_type: "renewal", selected_categories: ["B", "C1"] });
+
+    assert.strictEqual(fees.totalAmount, 6000);
+    assert.deepStrictEqual(fees.breakdown.map(line => [line.category, line.fee]), [["B", 1000], ["C1", 5000]]);
+  });
+
+  it("ignore categories that are not offered", async () => {
+    const fees = await getApplicationFees({ application_type: "new", selected_categories: ["B", "Z"] });
+    assert.strictEqual(fees.totalAmount, 2500);
+  });
+});
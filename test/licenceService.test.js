@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { addYears, renewedValidUntil, formatLicenceNumber, isValidLicenceNumber } = require("../services/licenceService");
+
+describe("licence numbers", () => {
+  it("are formatted with a padded running number and a Luhn check digit", () => {
+    assert.strictEqual(formatLicenceNumber(1234), "LK-00001234-4");
+    assert.strictEqual(formatLicenceNumber(123456789), "LK-123456789-7");
+  });
+
+  it("round-trip through validation", () => {
+    for (const sequence of [1, 1234, 99999999, 100000000]) {
+      assert.ok(isValidLicenceNumber(formatLicenceNumber(sequence)));
+    }
+  });
+
+  it("are refused when a digit is mistyped or two neighbouring digits are swapped", () => {
+    assert.strictEqual(isValidLicenceNumber("LK-00001234-5"), false);
+    assert.strictEqual(isValidLicenceNumber("LK-00001235-4"), false);
+    assert.strictEqual(isValidLicenceNumber("LK-00002134-4"), false);
+  });
+
+  it("are refused when malformed", () => {
+    for (const value of ["LK-1234-4", "lk-00001234-4", "LK-00001234", "DL-2026-000123-3", "", null]) {
+      assert.strictEqual(isValidLicenceNumber(value), false, String(value));
+    }
+  });
+});
+
+describe("addYears", () => {
+  it("keeps the day and month", () => {
+    assert.strictEqual(addYears("2026-10-19", 8), "2034-10-19");
+  });
+
+  it("keeps 29 February in leap years and moves it to 1 March in other years", () => {
+    assert.strictEqual(addYears("2024-02-29", 4), "2028-02-29");
+    assert.strictEqual(addYears("2024-02-29", 1), "2025-03-01");
+  });
+});
+
+describe("renewedValidUntil", () => {
+  it("counts from the current expiry date when renewed early", () => {
+    assert.strictEqual(renewedValidUntil("2026-12-31", 8, "2026-10-19"), "2034-12-31");
+  });
+
+  it("counts from the renewal date once the category has expired", () => {
+    assert.strictEqual(renewedValidUntil("2026-01-31", 8, "2026-10-19"), "2034-10-19");
+  });
+
+  it("counts from the renewal date when renewed on the expiry date itself", () => {
+    assert.strictEqual(renewedValidUntil("2026-10-19", 4, "2026-10-19"), "2030-10-19");
+  });
+
+  it("keeps a 29 February expiry only where the new year has one", () => {
+    assert.strictEqual(renewedValidUntil("2028-02-29", 4, "2028-01-10"), "2032-02-29");
+    assert.strictEqual(renewedValidUntil("2028-02-29", 5, "2028-01-10"), "2033-03-01");
+  });
+});
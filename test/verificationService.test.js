@@ -0,0 +1,53 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { toVerificationResult } = require("../services/verificationService");
+
+const record = (status, categories, photoHash) => ({ licenceNumber: "LK-00001234-4", status, categories, photoHash });
+const category = (id, validFrom, validUntil) => ({ category: id, validFrom, validUntil });
+
+describe("verification results", () => {
+  it("are valid while any category of an active licence is in date", () => {
+    const result = toVerificationResult(record("active", [
+      category("A", "2018-05-01", "2026-05-01"),
+      category("B", "2018-05-01", "2034-05-01")
+    ], "abc123"), "2026-10-19");
+
+    assert.deepStrictEqual(result, {
+      licenceNumber: "LK-00001234-4",
+      status: "valid",
+      categories: [
+        { category: "A", validUntil: "2026-05-01", valid: false },
+        { category: "B", validUntil: "2034-05-01", valid: true }
+      ],
+      photoHash: "abc123"
+    });
+  });
+
+  it("count the first and last day of validity", () => {
+    const categories = [category("B", "2026-10-19", "2034-10-19")];
+
+    assert.strictEqual(toVerificationResult(record("active", categories), "2026-10-19").status, "valid");
+    assert.strictEqual(toVerificationResult(record("active", categories), "2034-10-19").status, "valid");
+    assert.strictEqual(toVerificationResult(record("active", categories), "2034-10-20").status, "expired");
+  });
+
+  it("are expired once every category of an active licence is out of date", () => {
+    const result = toVerificationResult(record("active", [category("B", "2018-05-01", "2026-05-01")]), "2026-10-19");
+
+    assert.strictEqual(result.status, "expired");
+    assert.strictEqual(result.categories[0].valid, false);
+  });
+
+  it("report a suspended or revoked licence as such, with no valid category", () => {
+    for (const status of ["suspended", "revoked"]) {
+      const result = toVerificationResult(record(status, [category("B", "2018-05-01", "2034-05-01")]), "2026-10-19");
+
+      assert.strictEqual(result.status, status);
+      assert.strictEqual(result.categories[0].valid, false);
+    }
+  });
+
+  it("have no photo hash when the licence has no photo", () => {
+    assert.strictEqual(toVerificationResult(record("active", []), "2026-10-19").photoHash, null);
+  });
+});